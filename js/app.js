@@ -2,9 +2,47 @@ import { EventBus } from './core/EventBus.js';
 import { CanvasManager } from './core/CanvasManager.js';
 import { StateManager } from './core/StateManager.js';
 import { ObjectManager } from './core/ObjectManager.js';
+import { SnapManager } from './core/SnapManager.js';
+import { ClipboardManager } from './core/ClipboardManager.js';
 import { Toolbar } from './components/Toolbar.js';
 import { Canvas } from './components/Canvas.js';
 import { PropertiesPanel } from './components/PropertiesPanel.js';
+import { LayersPanel } from './components/LayersPanel.js';
+import { ContextMenu } from './components/ContextMenu.js';
+import { PDFExportDialog } from './components/PDFExportDialog.js';
+import { Minimap } from './components/Minimap.js';
+import { TextUtils } from './utils/TextUtils.js';
+import { PathUtils } from './utils/PathUtils.js';
+import { ImageUtils } from './utils/ImageUtils.js';
+
+/**
+ * Alt+Shift shortcuts for aligning and distributing the selection, by key code
+ * so they work whatever character Alt produces on the keyboard layout
+ */
+const ALIGN_SHORTCUTS = {
+    KeyL: ['action:align', 'left'],
+    KeyC: ['action:align', 'center'],
+    KeyR: ['action:align', 'right'],
+    KeyT: ['action:align', 'top'],
+    KeyM: ['action:align', 'middle'],
+    KeyB: ['action:align', 'bottom'],
+    KeyH: ['action:distribute', 'horizontal'],
+    KeyV: ['action:distribute', 'vertical']
+};
+
+/**
+ * Largest side of an exported image in pixels; browsers refuse to create bigger canvases
+ */
+const MAX_EXPORT_SIDE = 16384;
+
+/**
+ * Shift shortcuts for the view, by key code since Shift changes what the digit keys type
+ */
+const VIEW_SHORTCUTS = {
+    Digit0: 'action:zoom-reset',
+    Digit1: 'action:zoom-fit',
+    Digit2: 'action:zoom-selection'
+};
 
 /**
  * Main application class that orchestrates all components
@@ -15,10 +53,21 @@ class DrawingApp {
         this.stateManager = new StateManager(this.eventBus);
         this.canvasManager = new CanvasManager(this.eventBus);
         this.objectManager = new ObjectManager(this.eventBus);
+        this.snapManager = new SnapManager(this.eventBus, this.objectManager, this.canvasManager);
+        this.clipboardManager = new ClipboardManager(this.eventBus, this.objectManager, this.canvasManager,
+            (area, scale, ids) => this.renderImage(area, scale, ids));
         
         this.components = {};
         this.currentTool = null;
-        this.renderLoop = null;
+        this.redrawFrame = null;
+        this.isRedrawing = false;
+        this.editingObjectId = null;
+        
+        // Title and author of the open project, used for saving and PDF metadata
+        this.projectMetadata = { title: '', author: '' };
+        
+        // Set once the user has been told auto-save failed
+        this.autoSaveWarned = false;
         
         this.init();
     }
@@ -42,17 +91,34 @@ class DrawingApp {
         this.components.toolbar = new Toolbar(this.eventBus);
         this.components.canvas = new Canvas(this.eventBus, this.canvasManager);
         this.components.propertiesPanel = new PropertiesPanel(this.eventBus);
+        this.components.layersPanel = new LayersPanel(this.eventBus);
+        this.components.contextMenu = new ContextMenu(this.eventBus);
+        this.components.pdfExportDialog = new PDFExportDialog(this.eventBus);
+        this.components.minimap = new Minimap(
+            this.eventBus,
+            this.canvasManager,
+            this.objectManager,
+            (obj, ctx) => this.drawObject(obj, ctx)
+        );
 
         // Mount components
         appContainer.appendChild(this.components.toolbar.mount());
+        appContainer.appendChild(this.components.layersPanel.mount());
         appContainer.appendChild(this.components.canvas.mount());
+        this.components.canvas.element.appendChild(this.components.minimap.mount());
         appContainer.appendChild(this.components.propertiesPanel.mount());
+        document.body.appendChild(this.components.contextMenu.mount());
+        document.body.appendChild(this.components.pdfExportDialog.mount());
+        
+        // Populate the layers panel with the initial layer stack
+        this.eventBus.emit('layers:request');
 
         // Initialize canvas manager with the canvas element after a brief delay
         // to ensure DOM has settled and container has proper dimensions
         setTimeout(() => {
             this.canvasManager.init(this.components.canvas.getCanvasElement());
-            this.startRenderLoop();
+            this.requestRedraw();
+            this.components.minimap.requestRender();
         }, 100);
     }
 
@@ -65,35 +131,86 @@ class DrawingApp {
             this.selectTool(toolName);
         });
 
-        // Canvas state changes
-        this.eventBus.on('canvas:change', () => {
-            this.stateManager.saveState(this.canvasManager.getCanvasState());
-        });
-
-        // Undo/Redo
+        // Undo/Redo (commands are recorded by the object manager)
         this.eventBus.on('action:undo', () => {
-            const state = this.stateManager.undo();
-            if (state) {
-                this.canvasManager.restoreState(state);
-            }
+            this.stateManager.undo();
         });
 
         this.eventBus.on('action:redo', () => {
-            const state = this.stateManager.redo();
-            if (state) {
-                this.canvasManager.restoreState(state);
-            }
+            this.stateManager.redo();
         });
 
         // Clear canvas
         this.eventBus.on('action:clear', () => {
-            this.canvasManager.clear();
-            this.eventBus.emit('canvas:change');
+            this.objectManager.clear();
+        });
+
+        // View
+        this.eventBus.on('action:zoom-fit', () => {
+            // An empty drawing goes back to the origin
+            if (!this.zoomToObjects(this.objectManager.getVisibleObjects())) {
+                this.canvasManager.resetTransform();
+            }
+        });
+
+        this.eventBus.on('action:zoom-selection', () => {
+            this.zoomToObjects(this.objectManager.getSelectedObjects());
+        });
+
+        this.eventBus.on('action:zoom-reset', () => {
+            this.canvasManager.resetTransform();
+        });
+
+        // Grouping
+        this.eventBus.on('action:group', () => {
+            this.objectManager.groupSelected();
+        });
+
+        this.eventBus.on('action:ungroup', () => {
+            this.objectManager.ungroupSelected();
+        });
+
+        // Draw order
+        this.eventBus.on('action:bring-forward', () => {
+            this.objectManager.bringForward();
+        });
+
+        this.eventBus.on('action:send-backward', () => {
+            this.objectManager.sendBackward();
+        });
+
+        this.eventBus.on('action:bring-to-front', () => {
+            this.objectManager.bringToFront();
+        });
+
+        this.eventBus.on('action:send-to-back', () => {
+            this.objectManager.sendToBack();
+        });
+
+        // Align and distribute
+        this.eventBus.on('action:align', (edge) => {
+            this.objectManager.alignSelection(edge);
+        });
+
+        this.eventBus.on('action:distribute', (axis) => {
+            this.objectManager.distributeSelection(axis);
+        });
+
+        this.eventBus.on('action:delete', () => {
+            this.objectManager.deleteSelected();
+        });
+
+        this.eventBus.on('canvas:contextmenu', (x, y, event) => {
+            this.showContextMenu(x, y, event);
         });
 
         // Export
-        this.eventBus.on('action:export', (format) => {
-            this.exportCanvas(format);
+        this.eventBus.on('action:export', (format, scale) => {
+            this.exportCanvas(format, scale);
+        });
+
+        this.eventBus.on('action:export-pdf', (options) => {
+            this.exportPDF(options);
         });
 
         // Save/Load Project
@@ -105,18 +222,46 @@ class DrawingApp {
             this.loadProject();
         });
 
+        this.eventBus.on('action:insert-image', () => {
+            this.insertImage();
+        });
+
         // Selection tool events
         this.eventBus.on('selection:activated', () => {
             this.eventBus.emit('objectManager:ready', this.objectManager);
         });
 
-        // Object management
-        this.eventBus.on('objects:changed', () => {
-            this.redrawCanvas();
+        this.eventBus.on('objectManager:request', () => {
+            this.eventBus.emit('objectManager:ready', this.objectManager);
         });
 
-        this.eventBus.on('canvas:redraw', () => {
-            this.redrawCanvas();
+        this.eventBus.on('snapManager:request', () => {
+            this.eventBus.emit('snapManager:ready', this.snapManager);
+        });
+
+        // The text editor overlays the object it edits, so hide the canvas copy meanwhile
+        this.eventBus.on('text:edit-start', (objectId) => {
+            this.editingObjectId = objectId;
+            this.requestRedraw();
+        });
+
+        this.eventBus.on('text:edit-end', () => {
+            this.editingObjectId = null;
+            this.requestRedraw();
+        });
+
+        // The canvas is only redrawn when something it shows changes
+        [
+            'objects:changed',
+            'layers:changed',
+            'selection:changed',
+            'view:changed',
+            'snap:changed',
+            'tool:selected',
+            'image:loaded',
+            'canvas:redraw'
+        ].forEach(event => {
+            this.eventBus.on(event, () => this.requestRedraw());
         });
 
         // Keyboard shortcuts
@@ -136,9 +281,12 @@ class DrawingApp {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // Leave typing in text fields alone
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            
             // Prevent default for app shortcuts
             if (e.ctrlKey || e.metaKey) {
-                switch (e.key) {
+                switch (e.key.toLowerCase()) {
                     case 'z':
                         e.preventDefault();
                         if (e.shiftKey) {
@@ -159,13 +307,55 @@ class DrawingApp {
                             this.eventBus.emit('action:export', 'png');
                         }
                         break;
-                case 'o':
+                    case 'o':
                         e.preventDefault();
                         this.eventBus.emit('action:load-project');
                         break;
+                    case 'g':
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.eventBus.emit('action:ungroup');
+                        } else {
+                            this.eventBus.emit('action:group');
+                        }
+                        break;
+                    case ']':
+                    case '}':
+                        e.preventDefault();
+                        this.eventBus.emit(e.shiftKey ? 'action:bring-to-front' : 'action:bring-forward');
+                        break;
+                    case '[':
+                    case '{':
+                        e.preventDefault();
+                        this.eventBus.emit(e.shiftKey ? 'action:send-to-back' : 'action:send-backward');
+                        break;
+                    case 'd':
+                        e.preventDefault();
+                        this.eventBus.emit('action:duplicate');
+                        break;
+                    case "'":
+                    case '"':
+                        e.preventDefault();
+                        this.eventBus.emit('snap:toggle', e.shiftKey ? 'snapToGrid' : 'gridVisible');
+                        break;
                 }
             }
 
+            if (e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey && ALIGN_SHORTCUTS[e.code]) {
+                e.preventDefault();
+                this.eventBus.emit(...ALIGN_SHORTCUTS[e.code]);
+                return;
+            }
+
+            if (e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey && VIEW_SHORTCUTS[e.code]) {
+                e.preventDefault();
+                this.eventBus.emit(VIEW_SHORTCUTS[e.code]);
+                return;
+            }
+
+            // Letters with a modifier belong to the shortcuts above, e.g. Ctrl+C is copy, not the circle tool
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
             // Tool shortcuts
             switch (e.key) {
                 case 'v':
@@ -189,10 +379,71 @@ class DrawingApp {
                 case 'a':
                     this.eventBus.emit('tool:select', 'arrow');
                     break;
+                case 't':
+                    this.eventBus.emit('tool:select', 'text');
+                    break;
             }
         });
     }
 
+    /**
+     * Zoom and pan so some objects fill the canvas
+     * @param {Array} objects - Objects to show
+     * @returns {boolean} False if there were no objects, leaving the view as it was
+     */
+    zoomToObjects(objects) {
+        const bounds = this.objectManager.getCombinedBounds(objects);
+        if (!bounds) return false;
+        
+        this.canvasManager.zoomToRect(bounds);
+        return true;
+    }
+
+    /**
+     * Show the canvas context menu. Right-clicking an unselected object selects it first.
+     * @param {number} x - Canvas X coordinate
+     * @param {number} y - Canvas Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    showContextMenu(x, y, event) {
+        // Object commands only make sense while the selection is visible
+        if (!this.currentTool || this.currentTool.constructor.name !== 'SelectionTool') return;
+        
+        const clickedObject = this.objectManager.getObjectAtPosition(x, y);
+        if (clickedObject && !this.objectManager.isSelected(clickedObject.id)) {
+            this.objectManager.selectObject(clickedObject.id);
+        }
+        
+        const selected = this.objectManager.getSelectedObjects();
+        const hasSelection = selected.length > 0;
+        
+        this.components.contextMenu.show(event.clientX, event.clientY, [
+            { label: 'Cut', event: 'action:cut', shortcut: 'Ctrl+X', disabled: !hasSelection },
+            { label: 'Copy', event: 'action:copy', shortcut: 'Ctrl+C', disabled: !hasSelection },
+            { label: 'Paste Here', event: 'action:paste', args: [{ x, y }], shortcut: 'Ctrl+Shift+V' },
+            { label: 'Duplicate', event: 'action:duplicate', shortcut: 'Ctrl+D', disabled: !hasSelection },
+            { separator: true },
+            { label: 'Bring to Front', event: 'action:bring-to-front', shortcut: 'Ctrl+Shift+]', disabled: !hasSelection },
+            { label: 'Bring Forward', event: 'action:bring-forward', shortcut: 'Ctrl+]', disabled: !hasSelection },
+            { label: 'Send Backward', event: 'action:send-backward', shortcut: 'Ctrl+[', disabled: !hasSelection },
+            { label: 'Send to Back', event: 'action:send-to-back', shortcut: 'Ctrl+Shift+[', disabled: !hasSelection },
+            { separator: true },
+            { label: 'Group', event: 'action:group', shortcut: 'Ctrl+G', disabled: selected.length < 2 },
+            { label: 'Ungroup', event: 'action:ungroup', shortcut: 'Ctrl+Shift+G', disabled: !selected.some(obj => obj.type === 'group') },
+            { separator: true },
+            { label: 'Align Left', event: 'action:align', args: ['left'], shortcut: 'Alt+Shift+L', disabled: selected.length < 2 },
+            { label: 'Align Centers', event: 'action:align', args: ['center'], shortcut: 'Alt+Shift+C', disabled: selected.length < 2 },
+            { label: 'Align Right', event: 'action:align', args: ['right'], shortcut: 'Alt+Shift+R', disabled: selected.length < 2 },
+            { label: 'Align Top', event: 'action:align', args: ['top'], shortcut: 'Alt+Shift+T', disabled: selected.length < 2 },
+            { label: 'Align Middles', event: 'action:align', args: ['middle'], shortcut: 'Alt+Shift+M', disabled: selected.length < 2 },
+            { label: 'Align Bottom', event: 'action:align', args: ['bottom'], shortcut: 'Alt+Shift+B', disabled: selected.length < 2 },
+            { label: 'Distribute Horizontally', event: 'action:distribute', args: ['horizontal'], shortcut: 'Alt+Shift+H', disabled: selected.length < 3 },
+            { label: 'Distribute Vertically', event: 'action:distribute', args: ['vertical'], shortcut: 'Alt+Shift+V', disabled: selected.length < 3 },
+            { separator: true },
+            { label: 'Delete', event: 'action:delete', shortcut: 'Del', disabled: !hasSelection }
+        ]);
+    }
+
     /**
      * Select a drawing tool
      * @param {string} toolName - Name of the tool to select
@@ -226,7 +477,8 @@ class DrawingApp {
             rectangle: './tools/RectangleTool.js',
             circle: './tools/CircleTool.js',
             line: './tools/LineTool.js',
-            arrow: './tools/ArrowTool.js'
+            arrow: './tools/ArrowTool.js',
+            text: './tools/TextTool.js'
         };
 
         if (!toolMap[toolName]) {
@@ -245,20 +497,76 @@ class DrawingApp {
 
     /**
      * Export canvas as image
-     * @param {string} format - Export format (png, jpg, svg)
+     * @param {string} format - Export format (png, jpg, svg, pdf)
+     * @param {number} scale - Output pixels per drawing unit for png and jpg
      */
-    async exportCanvas(format = 'png') {
+    async exportCanvas(format = 'png', scale = 1) {
+        // PDF needs page setup first; the dialog answers with action:export-pdf
+        if (format === 'pdf') {
+            this.eventBus.emit('pdf-export:open', this.projectMetadata);
+            return;
+        }
+        
         try {
             const { ExportUtils } = await import('./utils/ExportUtils.js');
-            const canvas = this.components.canvas.getCanvasElement();
+            const { SVGUtils } = await import('./utils/SVGUtils.js');
+            const emptyBounds = { x: 0, y: 0, width: this.canvasManager.canvasWidth, height: this.canvasManager.canvasHeight };
             
-            ExportUtils.exportCanvas(canvas, format);
+            // SVG is generated from the objects rather than the bitmap
+            if (format === 'svg') {
+                ExportUtils.exportAsSVG(SVGUtils.createSVG(this.objectManager, { emptyBounds }));
+                return;
+            }
+            
+            // Bitmaps cover the same area as the SVG, wherever the view is
+            const bounds = SVGUtils.getExportBounds(this.objectManager, emptyBounds);
+            ExportUtils.exportCanvas(this.renderImage(bounds, scale), format);
         } catch (error) {
             console.error('Export failed:', error);
             alert('Export failed. Please try again.');
         }
     }
 
+    /**
+     * Export the drawing as a vector PDF
+     * @param {Object} options - Page setup and metadata (see PDFUtils.createPDF)
+     */
+    async exportPDF(options) {
+        try {
+            const { ExportUtils } = await import('./utils/ExportUtils.js');
+            const { PDFUtils } = await import('./utils/PDFUtils.js');
+            
+            this.projectMetadata = { title: options.title, author: options.author };
+            
+            const pdf = await PDFUtils.createPDF(this.objectManager, {
+                ...options,
+                emptyBounds: { x: 0, y: 0, width: this.canvasManager.canvasWidth, height: this.canvasManager.canvasHeight }
+            });
+            ExportUtils.exportAsPDF(pdf);
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.showNotification('PDF export failed. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Pick image files and add them as image objects
+     */
+    insertImage() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.multiple = true;
+        
+        input.onchange = () => {
+            if (input.files.length > 0) {
+                this.eventBus.emit('image:insert', [...input.files], null);
+            }
+        };
+        
+        input.click();
+    }
+
     /**
      * Save current project as JSON file
      */
@@ -269,15 +577,20 @@ class DrawingApp {
             
             // Gather current application state
             const projectData = {
-                title: prompt('Enter project name:', 'My Drawing') || 'Untitled Drawing',
+                title: prompt('Enter project name:', this.projectMetadata.title || 'My Drawing') || 'Untitled Drawing',
+                author: this.projectMetadata.author,
                 zoom: this.canvasManager.getZoom(),
                 panX: this.canvasManager.panX,
                 panY: this.canvasManager.panY,
                 lastUsedTool: this.currentTool?.constructor.name || 'pen',
-                toolSettings: this.components.propertiesPanel.getProperties()
+                toolSettings: this.components.propertiesPanel.getProperties(),
+                ...this.snapManager.getSettings(),
+                layers: this.objectManager.serializeLayers(),
+                activeLayerId: this.objectManager.activeLayerId
             };
             
             const project = ProjectUtils.saveProject(canvas, projectData);
+            this.projectMetadata.title = projectData.title;
             
             // Create quick save backup
             ProjectUtils.createQuickSave(canvas, projectData);
@@ -292,7 +605,7 @@ class DrawingApp {
     }
 
     /**
-     * Load project from JSON file
+     * Load project from JSON file, or import an SVG file into the current drawing
      */
     async loadProject() {
         try {
@@ -301,13 +614,19 @@ class DrawingApp {
             // Create file input
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.json';
+            input.accept = '.json,.svg,image/svg+xml';
             input.style.display = 'none';
             
             input.onchange = async (e) => {
                 const file = e.target.files[0];
                 if (!file) return;
                 
+                if (file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')) {
+                    await this.importSVG(file);
+                    document.body.removeChild(input);
+                    return;
+                }
+                
                 try {
                     // Show loading state
                     this.showNotification('Loading project...', 'info');
@@ -316,8 +635,12 @@ class DrawingApp {
                     const projectData = await ProjectUtils.loadProject(file);
                     
                     // Apply to canvas
-                    const canvas = this.components.canvas.getCanvasElement();
-                    await ProjectUtils.applyProject(projectData, canvas, this.canvasManager);
+                    await ProjectUtils.applyProject(projectData, this.canvasManager, this.objectManager);
+                    this.snapManager.updateSettings(ProjectUtils.getGridSettings(projectData.settings));
+                    this.projectMetadata = {
+                        title: projectData.metadata?.title || '',
+                        author: projectData.metadata?.author || ''
+                    };
                     
                     // Restore tool settings
                     if (projectData.tools?.toolSettings) {
@@ -335,9 +658,8 @@ class DrawingApp {
                     // Update zoom display
                     this.eventBus.emit('zoom:changed', this.canvasManager.getZoom());
                     
-                    // Clear undo/redo history and save new state
+                    // Start a fresh undo/redo history for the loaded project
                     this.stateManager.clear();
-                    this.stateManager.saveState(this.canvasManager.getCanvasState());
                     
                     // Show success message
                     this.showNotification(`Project "${projectData.metadata?.title || 'Untitled'}" loaded successfully!`, 'success');
@@ -361,6 +683,39 @@ class DrawingApp {
         }
     }
 
+    /**
+     * Import an SVG file as editable objects on the active layer
+     * @param {File} file - SVG file
+     */
+    async importSVG(file) {
+        try {
+            const { SVGUtils } = await import('./utils/SVGUtils.js');
+            const { objects, unsupported } = SVGUtils.parseSVG(await file.text());
+            if (objects.length === 0) {
+                throw new Error('No supported elements found');
+            }
+
+            // One undo step for the whole import
+            this.eventBus.emit('history:batch-start', 'import');
+            const ids = objects.map(object => this.objectManager.addObject(object));
+            this.eventBus.emit('history:batch-end');
+
+            this.objectManager.setSelection(ids);
+
+            let message = `Imported ${objects.length} object${objects.length === 1 ? '' : 's'} from "${file.name}"`;
+            if (unsupported.length > 0) {
+                const skipped = unsupported.map(({ name, count }) => `<${name}> ×${count}`).join(', ');
+                console.warn('SVG import skipped unsupported elements:', skipped);
+                message += `. Skipped unsupported elements: ${skipped}`;
+            }
+            this.showNotification(message, unsupported.length > 0 ? 'info' : 'success');
+
+        } catch (error) {
+            console.error('SVG import failed:', error);
+            this.showNotification('Failed to import SVG: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Setup auto-save functionality
      */
@@ -374,15 +729,17 @@ class DrawingApp {
                         zoom: this.canvasManager.getZoom(),
                         panX: this.canvasManager.panX,
                         panY: this.canvasManager.panY,
-                        currentTool: this.currentTool?.constructor.name || 'pen'
+                        currentTool: this.currentTool?.constructor.name || 'pen',
+                        layers: this.objectManager.serializeLayers(),
+                        activeLayerId: this.objectManager.activeLayerId
                     };
                     
-                    // Import and use ProjectUtils
+                    // Import and use ProjectUtils; storage errors such as a full quota surface here
                     import('./utils/ProjectUtils.js').then(({ ProjectUtils }) => {
                         ProjectUtils.createQuickSave(canvas, projectData);
-                    });
+                    }).catch(error => this.handleAutoSaveError(error));
                 } catch (error) {
-                    console.warn('Auto-save failed:', error);
+                    this.handleAutoSaveError(error);
                 }
             }
         }, 30000); // 30 seconds
@@ -393,6 +750,19 @@ class DrawingApp {
         }, 1000);
     }
 
+    /**
+     * Report a failed auto-save, telling the user only the first time so every tick doesn't repeat it
+     * @param {Error} error - Error thrown while saving
+     */
+    handleAutoSaveError(error) {
+        console.warn('Auto-save failed:', error);
+        
+        if (!this.autoSaveWarned) {
+            this.autoSaveWarned = true;
+            this.showNotification('Auto-save failed, probably because the drawing is too large for browser storage. Save the project to keep your work.', 'error');
+        }
+    }
+
     /**
      * Try to restore from quick save
      */
@@ -401,7 +771,9 @@ class DrawingApp {
             const { ProjectUtils } = await import('./utils/ProjectUtils.js');
             const quickSave = ProjectUtils.loadQuickSave();
             
-            if (quickSave && quickSave.timestamp) {
+            const hasObjects = quickSave?.layers?.some(layer => layer.objects?.length) || quickSave?.objects?.length;
+            
+            if (quickSave && quickSave.timestamp && hasObjects) {
                 const timeDiff = Date.now() - quickSave.timestamp;
                 const hoursDiff = timeDiff / (1000 * 60 * 60);
                 
@@ -410,28 +782,24 @@ class DrawingApp {
                     const restore = confirm('Found an auto-saved drawing from your last session. Would you like to restore it?');
                     
                     if (restore) {
-                        const canvas = this.components.canvas.getCanvasElement();
+                        // Rebuild layers and objects from quick save
+                        if (quickSave.layers) {
+                            this.objectManager.loadLayers(quickSave.layers, quickSave.activeLayerId);
+                        } else {
+                            this.objectManager.loadObjects(quickSave.objects);
+                        }
+                        this.stateManager.clear();
+                        
+                        // Restore state
+                        if (quickSave.state) {
+                            this.canvasManager.setView({
+                                zoom: quickSave.state.zoom || 1,
+                                panX: quickSave.state.panX || 0,
+                                panY: quickSave.state.panY || 0
+                            });
+                        }
                         
-                        // Apply quick save
-                        const img = new Image();
-                        img.onload = () => {
-                            this.canvasManager.setCanvasSize(quickSave.canvas.width, quickSave.canvas.height);
-                            const ctx = canvas.getContext('2d');
-                            ctx.clearRect(0, 0, canvas.width, canvas.height);
-                            ctx.drawImage(img, 0, 0);
-                            
-                            // Restore state
-                            if (quickSave.state) {
-                                this.canvasManager.zoom = quickSave.state.zoom || 1;
-                                this.canvasManager.panX = quickSave.state.panX || 0;
-                                this.canvasManager.panY = quickSave.state.panY || 0;
-                                this.canvasManager.updateTransform();
-                                this.eventBus.emit('zoom:changed', this.canvasManager.getZoom());
-                            }
-                            
-                            this.showNotification('Previous session restored!', 'success');
-                        };
-                        img.src = quickSave.canvas.dataURL;
+                        this.showNotification('Previous session restored!', 'success');
                     }
                 }
             }
@@ -441,27 +809,16 @@ class DrawingApp {
     }
 
     /**
-     * Start render loop for object-based drawing
+     * Schedule a redraw for the next animation frame. Every request made
+     * before then is served by that one redraw.
      */
-    startRenderLoop() {
-        this.isRedrawing = false;
-        const render = () => {
-            if (!this.isRedrawing) {
-                this.redrawCanvas();
-            }
-            this.renderLoop = requestAnimationFrame(render);
-        };
-        render();
-    }
-
-    /**
-     * Stop render loop
-     */
-    stopRenderLoop() {
-        if (this.renderLoop) {
-            cancelAnimationFrame(this.renderLoop);
-            this.renderLoop = null;
-        }
+    requestRedraw() {
+        if (this.redrawFrame || !this.canvasManager.canvas) return;
+        
+        this.redrawFrame = requestAnimationFrame(() => {
+            this.redrawFrame = null;
+            this.redrawCanvas();
+        });
     }
 
     /**
@@ -471,64 +828,181 @@ class DrawingApp {
         if (!this.canvasManager.canvas || this.isRedrawing) return;
         
         this.isRedrawing = true;
+        const { pixelRatio } = this.canvasManager;
+        this.drawView(this.canvasManager.ctx, this.canvasManager.getViewportBounds(), this.canvasManager.getZoom() * pixelRatio, true);
+        this.isRedrawing = false;
+    }
+
+    /**
+     * Draw part of the drawing onto a new canvas, without the grid, selection and guides
+     * @param {Object} area - Area to draw {x, y, width, height} in canvas coordinates
+     * @param {number} scale - Output pixels per drawing unit; lowered if the image would be too large to create
+     * @param {Set<string>} ids - IDs of the top-level objects to draw; defaults to everything in the area
+     * @returns {HTMLCanvasElement} Rendered image
+     */
+    renderImage(area, scale = 1, ids = null) {
+        const fitScale = Math.min(scale, MAX_EXPORT_SIDE / area.width, MAX_EXPORT_SIDE / area.height);
+        const image = document.createElement('canvas');
+        image.width = Math.max(1, Math.round(area.width * fitScale));
+        image.height = Math.max(1, Math.round(area.height * fitScale));
         
-        const ctx = this.canvasManager.ctx;
-        const canvas = this.canvasManager.canvas;
-        
+        this.drawView(image.getContext('2d'), area, fitScale, false, ids);
+        return image;
+    }
+
+    /**
+     * Draw an area of the drawing so it fills a context's bitmap
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on; its bitmap is cleared first
+     * @param {Object} area - Area to draw {x, y, width, height} in canvas coordinates
+     * @param {number} scale - Bitmap pixels per drawing unit
+     * @param {boolean} overlays - Also draw the grid, selection, tool overlays and guides
+     * @param {Set<string>} ids - IDs of the top-level objects to draw; defaults to everything in the area
+     */
+    drawView(ctx, area, scale, overlays, ids = null) {
         // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
         
-        // Draw all objects
-        const objects = this.objectManager.getAllObjects();
-        objects.forEach(obj => {
-            if (obj.visible) {
-                this.drawObject(obj);
+        // Everything below is drawn in canvas coordinates
+        ctx.setTransform(scale, 0, 0, scale, -area.x * scale, -area.y * scale);
+        
+        if (overlays) {
+            this.snapManager.drawGrid(ctx, area);
+        }
+        
+        // Draw all layers, bottom first, skipping objects out of view
+        const inView = ids || this.objectManager.getObjectIdsInArea(area);
+        this.objectManager.getLayers().forEach(layer => {
+            if (layer.visible) {
+                this.drawLayer(layer, inView, ctx);
             }
         });
         
-        // Draw selection if selection tool is active
-        if (this.currentTool && this.currentTool.constructor.name === 'SelectionTool') {
-            this.drawSelectionBox();
+        if (overlays) {
+            // Draw selection if selection tool is active; crop mode draws its own frame
+            if (this.currentTool && this.currentTool.constructor.name === 'SelectionTool' && !this.currentTool.isCropMode()) {
+                this.drawSelectionBox();
+            }
+            
+            // Draw tool overlays such as the marquee rectangle
+            if (this.currentTool) {
+                this.currentTool.drawOverlay(ctx);
+            }
+            
+            // Smart guides of the snap in progress
+            this.snapManager.drawGuides(ctx);
         }
         
-        this.isRedrawing = false;
+        ctx.restore();
     }
 
     /**
-     * Draw selection box for selected object
+     * Draw a layer's objects. Semi-transparent layers are composited
+     * through an offscreen buffer so overlapping objects don't show through each other.
+     * @param {Object} layer - Layer to draw
+     * @param {Set<string>} inView - IDs of the objects that may show on the canvas
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     */
+    drawLayer(layer, inView, ctx) {
+        const objects = layer.objects.filter(obj => obj.visible && inView.has(obj.id) && obj.id !== this.editingObjectId);
+        if (objects.length === 0) return;
+        
+        if (layer.opacity >= 1) {
+            objects.forEach(obj => this.drawObject(obj, ctx));
+            return;
+        }
+        
+        const canvas = ctx.canvas;
+        if (!this.layerBuffer) {
+            this.layerBuffer = document.createElement('canvas');
+        }
+        if (this.layerBuffer.width !== canvas.width || this.layerBuffer.height !== canvas.height) {
+            this.layerBuffer.width = canvas.width;
+            this.layerBuffer.height = canvas.height;
+        }
+        
+        const bufferCtx = this.layerBuffer.getContext('2d');
+        bufferCtx.setTransform(1, 0, 0, 1, 0, 0);
+        bufferCtx.clearRect(0, 0, this.layerBuffer.width, this.layerBuffer.height);
+        bufferCtx.setTransform(ctx.getTransform());
+        objects.forEach(obj => this.drawObject(obj, bufferCtx));
+        
+        // The buffer is already in view, so it goes on unscaled
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = layer.opacity;
+        ctx.drawImage(this.layerBuffer, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Draw selection box around the selected objects
      */
     drawSelectionBox() {
-        const selectedObject = this.objectManager.getSelectedObject();
-        if (!selectedObject) return;
+        const selectedObjects = this.objectManager.getSelectedObjects();
+        if (selectedObjects.length === 0) return;
         
-        const bounds = this.objectManager.getObjectBounds(selectedObject);
+        const frame = this.objectManager.getSelectionFrame();
         const ctx = this.canvasManager.ctx;
         
+        // Sizes are in screen pixels, so the frame and handles look the same at any zoom
+        const px = 1 / this.canvasManager.getZoom();
+        
         ctx.save();
         
+        // Outline each member of a multi-selection along its own orientation
+        if (selectedObjects.length > 1) {
+            ctx.strokeStyle = 'rgba(37, 99, 235, 0.6)';
+            ctx.lineWidth = px;
+            ctx.setLineDash([3 * px, 3 * px]);
+            selectedObjects.forEach(obj => {
+                const corners = this.objectManager.getObjectCorners(obj);
+                ctx.beginPath();
+                corners.forEach((corner, i) => ctx[i === 0 ? 'moveTo' : 'lineTo'](corner.x, corner.y));
+                ctx.closePath();
+                ctx.stroke();
+            });
+        }
+        
+        // Draw the frame in its own rotated space
+        const centerX = frame.x + frame.width / 2;
+        const centerY = frame.y + frame.height / 2;
+        ctx.translate(centerX, centerY);
+        ctx.rotate(frame.rotation);
+        ctx.translate(-centerX, -centerY);
+        
         // Draw selection outline
+        const gap = 2 * px;
         ctx.strokeStyle = '#2563eb';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.strokeRect(bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4);
+        ctx.lineWidth = 2 * px;
+        ctx.setLineDash([5 * px, 5 * px]);
+        ctx.strokeRect(frame.x - gap, frame.y - gap, frame.width + gap * 2, frame.height + gap * 2);
+        
+        // Handles come from the selection tool so they are drawn where it hit-tests them
+        const handles = this.currentTool.getResizeHandles({ ...frame, rotation: 0 });
+        const rotateHandle = handles.find(handle => handle.type === 'rotate');
+        
+        // Draw rotation handle above the top edge
+        ctx.setLineDash([]);
+        ctx.lineWidth = px;
+        ctx.beginPath();
+        ctx.moveTo(centerX, frame.y - gap);
+        ctx.lineTo(rotateHandle.x, rotateHandle.y);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 2 * px;
+        ctx.beginPath();
+        ctx.arc(rotateHandle.x, rotateHandle.y, 5 * px, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
         
         // Draw resize handles
         ctx.fillStyle = '#2563eb';
-        ctx.setLineDash([]);
         
-        const handleSize = 8;
-        const handles = [
-            { x: bounds.x, y: bounds.y },
-            { x: bounds.x + bounds.width / 2, y: bounds.y },
-            { x: bounds.x + bounds.width, y: bounds.y },
-            { x: bounds.x + bounds.width, y: bounds.y + bounds.height / 2 },
-            { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
-            { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height },
-            { x: bounds.x, y: bounds.y + bounds.height },
-            { x: bounds.x, y: bounds.y + bounds.height / 2 }
-        ];
-        
-        handles.forEach(handle => {
+        const handleSize = this.currentTool.getHandleSize();
+        handles.filter(handle => handle !== rotateHandle).forEach(handle => {
             ctx.fillRect(
                 handle.x - handleSize / 2,
                 handle.y - handleSize / 2,
@@ -543,11 +1017,19 @@ class DrawingApp {
     /**
      * Draw a single object
      * @param {Object} obj - Object to draw
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
      */
-    drawObject(obj) {
-        const ctx = this.canvasManager.ctx;
+    drawObject(obj, ctx = this.canvasManager.ctx) {
         ctx.save();
         
+        // Rotate around the center of the object's unrotated bounds
+        if (obj.rotation) {
+            const center = this.objectManager.getRotationCenter(obj);
+            ctx.translate(center.x, center.y);
+            ctx.rotate(obj.rotation);
+            ctx.translate(-center.x, -center.y);
+        }
+        
         // Apply object properties
         if (obj.properties) {
             ctx.strokeStyle = obj.properties.strokeColor || '#000000';
@@ -556,7 +1038,7 @@ class DrawingApp {
             ctx.lineCap = obj.properties.lineCap || 'round';
             ctx.lineJoin = obj.properties.lineJoin || 'round';
             if (obj.properties.opacity !== undefined) {
-                ctx.globalAlpha = obj.properties.opacity;
+                ctx.globalAlpha *= obj.properties.opacity;
             }
         }
         
@@ -589,31 +1071,81 @@ class DrawingApp {
                 
             case 'arrow':
                 if (obj.points && obj.points.length >= 2) {
-                    this.drawArrowObject(obj);
+                    this.drawArrowObject(obj, ctx);
                 }
                 break;
                 
             case 'freehand':
                 if (obj.path && obj.path.length > 0) {
-                    ctx.beginPath();
-                    ctx.moveTo(obj.path[0].x, obj.path[0].y);
-                    for (let i = 1; i < obj.path.length; i++) {
-                        ctx.lineTo(obj.path[i].x, obj.path[i].y);
-                    }
-                    ctx.stroke();
+                    this.drawFreehandObject(obj, ctx);
                 }
                 break;
+                
+            case 'text':
+                this.drawTextObject(obj, ctx);
+                break;
+                
+            case 'image':
+                this.drawImageObject(obj, ctx);
+                break;
+                
+            case 'group':
+                obj.children.forEach(child => {
+                    if (child.visible) {
+                        this.drawObject(child, ctx);
+                    }
+                });
+                break;
         }
         
         ctx.restore();
     }
 
+    /**
+     * Draw a freehand path, as a curve when it is smoothed and with variable
+     * width when it carries pressure
+     * @param {Object} obj - Freehand object
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
+     */
+    drawFreehandObject(obj, ctx = this.canvasManager.ctx) {
+        const { outline, pressure } = PathUtils.getPath2D(obj, ctx.lineWidth);
+        if (obj.properties?.enableFill) {
+            ctx.fill(outline);
+        }
+        
+        if (!pressure) {
+            ctx.stroke(outline);
+            return;
+        }
+        
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.fill(pressure);
+    }
+
+    /**
+     * Draw the visible part of an image object, or a placeholder while its image is still loading
+     * @param {Object} obj - Image object
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
+     */
+    drawImageObject(obj, ctx = this.canvasManager.ctx) {
+        const image = obj.src && ImageUtils.getImage(obj.src, () => this.eventBus.emit('image:loaded', obj.src));
+        
+        if (image) {
+            const source = ImageUtils.getSourceRect(obj, image);
+            ctx.drawImage(image, source.x, source.y, source.width, source.height, obj.x, obj.y, obj.width, obj.height);
+            return;
+        }
+        
+        ctx.fillStyle = '#f3f4f6';
+        ctx.fillRect(obj.x, obj.y, obj.width, obj.height);
+    }
+
     /**
      * Draw arrow object with arrowhead
      * @param {Object} obj - Arrow object
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
      */
-    drawArrowObject(obj) {
-        const ctx = this.canvasManager.ctx;
+    drawArrowObject(obj, ctx = this.canvasManager.ctx) {
         const p1 = obj.points[0];
         const p2 = obj.points[1];
         
@@ -641,6 +1173,28 @@ class DrawingApp {
         ctx.stroke();
     }
 
+    /**
+     * Draw text object line by line
+     * @param {Object} obj - Text object
+     * @param {CanvasRenderingContext2D} ctx - Context to draw into
+     */
+    drawTextObject(obj, ctx = this.canvasManager.ctx) {
+        const properties = TextUtils.getTextProperties(obj.properties);
+        const layout = TextUtils.measureTextObject(obj);
+        
+        ctx.font = TextUtils.getFont(properties);
+        ctx.fillStyle = properties.color;
+        ctx.textAlign = properties.textAlign;
+        ctx.textBaseline = 'middle';
+        
+        const anchors = { left: obj.x, center: obj.x + layout.width / 2, right: obj.x + layout.width };
+        const x = anchors[properties.textAlign] ?? obj.x;
+        
+        layout.lines.forEach((line, i) => {
+            ctx.fillText(line, x, obj.y + (i + 0.5) * layout.lineHeight);
+        });
+    }
+
     /**
      * Map tool class name to tool identifier
      * @param {string} className - Tool class name
@@ -654,7 +1208,8 @@ class DrawingApp {
             'RectangleTool': 'rectangle',
             'CircleTool': 'circle',
             'LineTool': 'line',
-            'ArrowTool': 'arrow'
+            'ArrowTool': 'arrow',
+            'TextTool': 'text'
         };
         return mapping[className] || 'select';
     }
@@ -1,3 +1,8 @@
+/**
+ * Zoom levels offered in the zoom menu, in percent
+ */
+const ZOOM_PRESETS = [25, 50, 75, 100, 150, 200, 300, 400];
+
 /**
  * Canvas component with drawing area and controls
  */
@@ -8,6 +13,8 @@ export class Canvas {
         this.zoom = 1;
         this.isPanning = false;
         this.lastPanPoint = null;
+        this.spaceHeld = false;
+        this.activePointerId = null;
         
         this.setupEventListeners();
     }
@@ -20,6 +27,10 @@ export class Canvas {
             this.zoom = zoom;
             this.updateZoomDisplay();
         });
+
+        this.eventBus.on('snap:changed', (settings) => {
+            this.updateSnapButtons(settings);
+        });
     }
 
     /**
@@ -28,6 +39,10 @@ export class Canvas {
      */
     mount() {
         this.element = this.createElement();
+        
+        // Pick up the current snap settings
+        this.eventBus.emit('snap:request');
+        
         return this.element;
     }
 
@@ -48,17 +63,29 @@ export class Canvas {
                 <button class="zoom-btn" data-action="zoom-out" title="Zoom Out">
                     <i data-feather="minus"></i>
                 </button>
-                <span class="zoom-level">${Math.round(this.zoom * 100)}%</span>
+                <input class="zoom-level" type="text" value="${Math.round(this.zoom * 100)}%" title="Zoom level" aria-label="Zoom level">
+                <button class="zoom-btn zoom-menu-btn" data-action="zoom-menu" title="Zoom Presets">
+                    <i data-feather="chevron-down"></i>
+                </button>
                 <button class="zoom-btn" data-action="zoom-in" title="Zoom In">
                     <i data-feather="plus"></i>
                 </button>
-                <button class="zoom-btn" data-action="zoom-reset" title="Reset Zoom">
+                <button class="zoom-btn" data-action="zoom-reset" title="Reset Zoom (Shift+0)">
                     <i data-feather="maximize"></i>
                 </button>
             </div>
             
             <div class="canvas-controls">
-                <button class="control-btn" data-action="fit-canvas" title="Fit to Screen">
+                <button class="control-btn" data-action="toggle-grid" data-setting="gridVisible" title="Show Grid (Ctrl+')">
+                    <i data-feather="grid"></i>
+                </button>
+                <button class="control-btn" data-action="toggle-snap-grid" data-setting="snapToGrid" title="Snap to Grid (Ctrl+Shift+')">
+                    <i data-feather="hash"></i>
+                </button>
+                <button class="control-btn" data-action="toggle-snap-objects" data-setting="snapToObjects" title="Snap to Objects (hold Alt to bypass snapping)">
+                    <i data-feather="crosshair"></i>
+                </button>
+                <button class="control-btn" data-action="fit-canvas" title="Zoom to Fit (Shift+1)">
                     <i data-feather="maximize-2"></i>
                 </button>
             </div>
@@ -84,48 +111,59 @@ export class Canvas {
         const canvas = container.querySelector('.drawing-canvas');
         const wrapper = container.querySelector('.canvas-wrapper');
         
-        // Mouse events for drawing
-        canvas.addEventListener('mousedown', (e) => {
-            this.handleMouseDown(e);
+        // Pointer events cover mouse, touch and stylus alike
+        canvas.addEventListener('pointerdown', (e) => {
+            this.handlePointerDown(e);
         });
         
-        canvas.addEventListener('mousemove', (e) => {
-            this.handleMouseMove(e);
+        canvas.addEventListener('pointermove', (e) => {
+            this.handlePointerMove(e);
         });
         
-        canvas.addEventListener('mouseup', (e) => {
-            this.handleMouseUp(e);
+        canvas.addEventListener('pointerup', (e) => {
+            this.handlePointerUp(e);
         });
         
-        canvas.addEventListener('mouseleave', (e) => {
-            this.handleMouseUp(e);
+        canvas.addEventListener('pointercancel', (e) => {
+            this.handlePointerUp(e);
         });
         
-        // Touch events for mobile
-        canvas.addEventListener('touchstart', (e) => {
+        canvas.addEventListener('dblclick', (e) => {
+            const coords = this.canvasManager.screenToCanvas(e.clientX, e.clientY);
+            this.eventBus.emit('canvas:dblclick', coords.x, coords.y, e);
+        });
+        
+        // Right-click opens the app context menu instead of the browser's
+        canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousedown', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.handleMouseDown(mouseEvent);
+            this.handleContextMenu(e);
         });
         
-        canvas.addEventListener('touchmove', (e) => {
+        // Drop image files to insert them where they land
+        wrapper.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
             e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousemove', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.handleMouseMove(mouseEvent);
+            e.dataTransfer.dropEffect = 'copy';
+            wrapper.classList.add('drag-over');
         });
         
-        canvas.addEventListener('touchend', (e) => {
+        wrapper.addEventListener('dragleave', (e) => {
+            if (!wrapper.contains(e.relatedTarget)) {
+                wrapper.classList.remove('drag-over');
+            }
+        });
+        
+        wrapper.addEventListener('drop', (e) => {
+            wrapper.classList.remove('drag-over');
+            if (!e.dataTransfer.types.includes('Files')) return;
+            
+            // Keep the browser from opening dropped files that aren't images
             e.preventDefault();
-            const mouseEvent = new MouseEvent('mouseup', {});
-            this.handleMouseUp(mouseEvent);
+            const files = [...e.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+            if (files.length === 0) return;
+            
+            const coords = this.canvasManager.screenToCanvas(e.clientX, e.clientY);
+            this.eventBus.emit('image:insert', files, coords);
         });
         
         // Zoom with mouse wheel
@@ -140,27 +178,47 @@ export class Canvas {
         });
         
         // Pan with middle mouse button or space+drag
-        wrapper.addEventListener('mousedown', (e) => {
-            if (e.button === 1 || (e.button === 0 && e.ctrlKey)) { // Middle button or Ctrl+Left
+        wrapper.addEventListener('pointerdown', (e) => {
+            if (this.isPanGesture(e)) {
                 e.preventDefault();
+                wrapper.setPointerCapture(e.pointerId);
                 this.startPanning(e);
             }
         });
         
-        wrapper.addEventListener('mousemove', (e) => {
+        wrapper.addEventListener('pointermove', (e) => {
             if (this.isPanning) {
                 e.preventDefault();
                 this.continuePanning(e);
             }
         });
         
-        wrapper.addEventListener('mouseup', (e) => {
+        wrapper.addEventListener('pointerup', (e) => {
             if (e.button === 1 || this.isPanning) {
                 e.preventDefault();
                 this.stopPanning();
             }
         });
         
+        // Typed zoom level, applied on Enter or when leaving the field
+        const zoomInput = container.querySelector('.zoom-level');
+        zoomInput.addEventListener('focus', () => {
+            zoomInput.select();
+        });
+        
+        zoomInput.addEventListener('change', () => {
+            this.applyZoomInput(zoomInput.value);
+        });
+        
+        zoomInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                zoomInput.blur();
+            } else if (e.key === 'Escape') {
+                zoomInput.value = `${Math.round(this.zoom * 100)}%`;
+                zoomInput.blur();
+            }
+        });
+        
         // Control buttons
         container.addEventListener('click', (e) => {
             const btn = e.target.closest('[data-action]');
@@ -171,49 +229,96 @@ export class Canvas {
         
         // Keyboard events for panning
         document.addEventListener('keydown', (e) => {
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            
             if (e.code === 'Space' && !e.repeat) {
                 e.preventDefault();
-                wrapper.style.cursor = 'grab';
+                this.spaceHeld = true;
+                if (!this.isPanning) {
+                    wrapper.style.cursor = 'grab';
+                }
             }
         });
         
         document.addEventListener('keyup', (e) => {
             if (e.code === 'Space') {
-                wrapper.style.cursor = '';
+                this.spaceHeld = false;
+                if (!this.isPanning) {
+                    wrapper.style.cursor = '';
+                }
             }
         });
     }
 
     /**
-     * Handle mouse down events
-     * @param {MouseEvent} e - Mouse event
+     * Check whether a pointer press starts panning rather than going to the tool
+     * @param {PointerEvent} e - Pointer event
+     * @returns {boolean} True for the middle button, or the primary button with Space held
      */
-    handleMouseDown(e) {
+    isPanGesture(e) {
+        return e.button === 1 || (e.button === 0 && this.spaceHeld);
+    }
+
+    /**
+     * Handle pointer down events. Only the primary pointer draws, so a
+     * second finger can't start another stroke.
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        // The right button is reserved for the context menu; pan gestures are handled by the wrapper
+        if (!e.isPrimary || e.button === 2 || this.isPanGesture(e)) return;
+        
+        // Keep receiving moves when the pointer leaves the canvas mid-stroke
+        e.target.setPointerCapture(e.pointerId);
+        this.activePointerId = e.pointerId;
+        
         const coords = this.canvasManager.screenToCanvas(e.clientX, e.clientY);
         this.eventBus.emit('canvas:mousedown', coords.x, coords.y, e);
     }
 
     /**
-     * Handle mouse move events
-     * @param {MouseEvent} e - Mouse event
+     * Handle pointer move events. While drawing, every coalesced sample is
+     * forwarded so fast strokes keep their full resolution.
+     * @param {PointerEvent} e - Pointer event
      */
-    handleMouseMove(e) {
+    handlePointerMove(e) {
+        // Pointer movement while panning belongs to the pan gesture, not the tool
+        if (this.isPanning || !e.isPrimary) return;
+        
+        const samples = e.pointerId === this.activePointerId && e.getCoalescedEvents
+            ? e.getCoalescedEvents()
+            : [];
+        
+        (samples.length > 0 ? samples : [e]).forEach(sample => {
+            const coords = this.canvasManager.screenToCanvas(sample.clientX, sample.clientY);
+            this.eventBus.emit('canvas:mousemove', coords.x, coords.y, sample);
+        });
+    }
+
+    /**
+     * Handle pointer up and cancel events
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+        if (e.pointerId !== this.activePointerId) return;
+        
+        this.activePointerId = null;
         const coords = this.canvasManager.screenToCanvas(e.clientX, e.clientY);
-        this.eventBus.emit('canvas:mousemove', coords.x, coords.y, e);
+        this.eventBus.emit('canvas:mouseup', coords.x, coords.y, e);
     }
 
     /**
-     * Handle mouse up events
+     * Handle context menu events
      * @param {MouseEvent} e - Mouse event
      */
-    handleMouseUp(e) {
+    handleContextMenu(e) {
         const coords = this.canvasManager.screenToCanvas(e.clientX, e.clientY);
-        this.eventBus.emit('canvas:mouseup', coords.x, coords.y, e);
+        this.eventBus.emit('canvas:contextmenu', coords.x, coords.y, e);
     }
 
     /**
      * Start panning operation
-     * @param {MouseEvent} e - Mouse event
+     * @param {PointerEvent} e - Pointer event
      */
     startPanning(e) {
         this.isPanning = true;
@@ -223,7 +328,7 @@ export class Canvas {
 
     /**
      * Continue panning operation
-     * @param {MouseEvent} e - Mouse event
+     * @param {PointerEvent} e - Pointer event
      */
     continuePanning(e) {
         if (!this.isPanning || !this.lastPanPoint) return;
@@ -241,7 +346,7 @@ export class Canvas {
     stopPanning() {
         this.isPanning = false;
         this.lastPanPoint = null;
-        this.element.querySelector('.canvas-wrapper').style.cursor = '';
+        this.element.querySelector('.canvas-wrapper').style.cursor = this.spaceHeld ? 'grab' : '';
     }
 
     /**
@@ -259,29 +364,75 @@ export class Canvas {
             case 'zoom-reset':
                 this.canvasManager.resetTransform();
                 break;
+            case 'zoom-menu':
+                this.showZoomMenu();
+                break;
             case 'fit-canvas':
                 this.fitCanvasToScreen();
                 break;
+            case 'toggle-grid':
+                this.eventBus.emit('snap:toggle', 'gridVisible');
+                break;
+            case 'toggle-snap-grid':
+                this.eventBus.emit('snap:toggle', 'snapToGrid');
+                break;
+            case 'toggle-snap-objects':
+                this.eventBus.emit('snap:toggle', 'snapToObjects');
+                break;
         }
     }
 
     /**
-     * Fit canvas to screen
+     * Show the zoom presets and fit commands next to the zoom level
      */
-    fitCanvasToScreen() {
-        const container = this.element.querySelector('.canvas-wrapper');
-        const containerRect = container.getBoundingClientRect();
+    showZoomMenu() {
+        const rect = this.element.querySelector('.zoom-level').getBoundingClientRect();
         
-        // Make canvas fill the available space
-        this.canvasManager.canvasWidth = Math.max(1200, containerRect.width);
-        this.canvasManager.canvasHeight = Math.max(800, containerRect.height);
-        this.canvasManager.setCanvasSize(this.canvasManager.canvasWidth, this.canvasManager.canvasHeight);
+        this.eventBus.emit('contextmenu:show', rect.left, rect.top, [
+            ...ZOOM_PRESETS.map(percent => ({
+                label: `${percent}%`,
+                event: 'canvas:zoom-to',
+                args: [percent / 100],
+                shortcut: percent === 100 ? 'Shift+0' : ''
+            })),
+            { separator: true },
+            { label: 'Zoom to Fit', event: 'action:zoom-fit', shortcut: 'Shift+1' },
+            { label: 'Zoom to Selection', event: 'action:zoom-selection', shortcut: 'Shift+2' }
+        ]);
+    }
+
+    /**
+     * Zoom to a typed percentage; anything that isn't a positive number is ignored
+     * @param {string} value - Field value, with or without a percent sign
+     */
+    applyZoomInput(value) {
+        const percent = parseFloat(value);
+        if (Number.isFinite(percent) && percent > 0) {
+            this.canvasManager.zoomTo(percent / 100);
+        }
         
-        this.canvasManager.zoom = 1;
-        this.canvasManager.panX = 0;
-        this.canvasManager.panY = 0;
-        this.canvasManager.updateTransform();
-        this.eventBus.emit('zoom:changed', 1);
+        // Show the level actually used, which may be clamped or unchanged
+        this.updateZoomDisplay();
+    }
+
+    /**
+     * Highlight the grid and snapping buttons that are on
+     * @param {Object} settings - Snap settings
+     */
+    updateSnapButtons(settings) {
+        if (!this.element) return;
+
+        this.element.querySelectorAll('[data-setting]').forEach(btn => {
+            btn.classList.toggle('active', !!settings[btn.dataset.setting]);
+        });
+    }
+
+    /**
+     * Fit canvas to screen and zoom so the whole drawing is in view
+     */
+    fitCanvasToScreen() {
+        this.canvasManager.autoSizeCanvas();
+        this.eventBus.emit('action:zoom-fit');
     }
 
     /**
@@ -290,7 +441,7 @@ export class Canvas {
     updateZoomDisplay() {
         const zoomLevel = this.element.querySelector('.zoom-level');
         if (zoomLevel) {
-            zoomLevel.textContent = `${Math.round(this.zoom * 100)}%`;
+            zoomLevel.value = `${Math.round(this.zoom * 100)}%`;
         }
     }
 
@@ -298,7 +449,7 @@ export class Canvas {
      * Handle window resize
      */
     handleResize() {
-        // Resize canvas to fit new container size
+        // Resize canvas to fit new container size; the view now covers a different area
         this.canvasManager.autoSizeCanvas();
         this.canvasManager.updateTransform();
     }
@@ -0,0 +1,151 @@
+/**
+ * Context menu component shown on right-click
+ */
+export class ContextMenu {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.items = [];
+        this.isOpen = false;
+
+        this.boundHide = this.hide.bind(this);
+        this.boundKeyDown = this.onKeyDown.bind(this);
+        this.boundPointerDown = this.onPointerDown.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('contextmenu:show', (clientX, clientY, items) => {
+            this.show(clientX, clientY, items);
+        });
+    }
+
+    /**
+     * Create and mount context menu
+     * @returns {HTMLElement} Context menu element
+     */
+    mount() {
+        this.element = this.createElement();
+        return this.element;
+    }
+
+    /**
+     * Create context menu element
+     * @returns {HTMLElement} Created element
+     */
+    createElement() {
+        const menu = document.createElement('div');
+        menu.className = 'context-menu hidden';
+
+        this.attachEventListeners(menu);
+        return menu;
+    }
+
+    /**
+     * Attach event listeners to context menu
+     * @param {HTMLElement} menu - Menu element
+     */
+    attachEventListeners(menu) {
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item || item.disabled) return;
+
+            const { event, args = [] } = this.items[item.dataset.index];
+            this.hide();
+            this.eventBus.emit(event, ...args);
+        });
+
+        // Keep the browser menu from opening on top of ours
+        menu.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+    }
+
+    /**
+     * Create menu items HTML
+     * @returns {string} HTML string
+     */
+    createItems() {
+        return this.items.map((item, index) => {
+            if (item.separator) {
+                return '<div class="context-menu-separator"></div>';
+            }
+
+            return `
+                <button class="context-menu-item"
+                        data-index="${index}"
+                        ${item.disabled ? 'disabled' : ''}>
+                    <span>${item.label}</span>
+                    <span class="context-menu-shortcut">${item.shortcut || ''}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the menu at a screen position
+     * @param {number} clientX - Screen X coordinate
+     * @param {number} clientY - Screen Y coordinate
+     * @param {Array} items - Items {label, event, args, shortcut, disabled} or {separator: true}
+     */
+    show(clientX, clientY, items) {
+        if (!this.element) return;
+
+        this.items = items;
+        this.element.innerHTML = this.createItems();
+        this.element.classList.remove('hidden');
+
+        // Keep the menu inside the viewport
+        const rect = this.element.getBoundingClientRect();
+        const x = Math.min(clientX, window.innerWidth - rect.width - 4);
+        const y = Math.min(clientY, window.innerHeight - rect.height - 4);
+        this.element.style.left = `${Math.max(0, x)}px`;
+        this.element.style.top = `${Math.max(0, y)}px`;
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+            document.addEventListener('mousedown', this.boundPointerDown, true);
+            document.addEventListener('keydown', this.boundKeyDown);
+            window.addEventListener('blur', this.boundHide);
+            window.addEventListener('resize', this.boundHide);
+        }
+    }
+
+    /**
+     * Hide the menu
+     */
+    hide() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+
+        document.removeEventListener('mousedown', this.boundPointerDown, true);
+        document.removeEventListener('keydown', this.boundKeyDown);
+        window.removeEventListener('blur', this.boundHide);
+        window.removeEventListener('resize', this.boundHide);
+    }
+
+    /**
+     * Close the menu when clicking anywhere else
+     * @param {MouseEvent} event - Mouse event
+     */
+    onPointerDown(event) {
+        if (!this.element.contains(event.target)) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Close the menu on Escape
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.hide();
+        }
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * Layers panel component for managing the layer stack
+ */
+export class LayersPanel {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.layers = [];
+        this.activeLayerId = null;
+        this.isAdjustingOpacity = false;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('layers:changed', (layers, activeLayerId) => {
+            this.layers = layers;
+            this.activeLayerId = activeLayerId;
+            this.render();
+        });
+
+        this.eventBus.on('objects:changed', () => {
+            this.updateObjectCounts();
+        });
+    }
+
+    /**
+     * Create and mount layers panel
+     * @returns {HTMLElement} Layers panel element
+     */
+    mount() {
+        this.element = this.createElement();
+        return this.element;
+    }
+
+    /**
+     * Create layers panel element
+     * @returns {HTMLElement} Created element
+     */
+    createElement() {
+        const panel = document.createElement('div');
+        panel.className = 'sidebar layers-panel';
+
+        panel.innerHTML = `
+            <div class="layers-header">
+                <h3>Layers</h3>
+                <button class="layer-btn" data-action="add-layer" title="Add Layer">
+                    <i data-feather="plus"></i>
+                </button>
+            </div>
+            <div id="layers-content">
+                ${this.createLayersContent()}
+            </div>
+        `;
+
+        this.attachEventListeners(panel);
+        return panel;
+    }
+
+    /**
+     * Create the layer list and active layer settings
+     * @returns {string} HTML string
+     */
+    createLayersContent() {
+        const activeLayer = this.layers.find(layer => layer.id === this.activeLayerId);
+
+        // Show the topmost layer first, like the drawing order on screen
+        const items = [...this.layers].reverse().map(layer => this.createLayerItem(layer)).join('');
+
+        return `
+            <ul class="layer-list">
+                ${items}
+            </ul>
+            ${activeLayer ? this.createActiveLayerProperties(activeLayer) : ''}
+        `;
+    }
+
+    /**
+     * Create a single layer row
+     * @param {Object} layer - Layer
+     * @returns {string} HTML string
+     */
+    createLayerItem(layer) {
+        const isActive = layer.id === this.activeLayerId;
+        const index = this.layers.indexOf(layer);
+
+        return `
+            <li class="layer-item ${isActive ? 'active' : ''} ${layer.visible ? '' : 'layer-hidden'}"
+                data-layer-id="${layer.id}">
+                <button class="layer-btn"
+                        data-action="toggle-visibility"
+                        title="${layer.visible ? 'Hide Layer' : 'Show Layer'}">
+                    <i data-feather="${layer.visible ? 'eye' : 'eye-off'}"></i>
+                </button>
+                <button class="layer-btn"
+                        data-action="toggle-lock"
+                        title="${layer.locked ? 'Unlock Layer' : 'Lock Layer'}">
+                    <i data-feather="${layer.locked ? 'lock' : 'unlock'}"></i>
+                </button>
+                <span class="layer-name" title="Double-click to rename">${this.escapeHTML(layer.name)}</span>
+                <span class="layer-count">${layer.objects.length}</span>
+                <button class="layer-btn"
+                        data-action="move-up"
+                        title="Move Up"
+                        ${index === this.layers.length - 1 ? 'disabled' : ''}>
+                    <i data-feather="chevron-up"></i>
+                </button>
+                <button class="layer-btn"
+                        data-action="move-down"
+                        title="Move Down"
+                        ${index === 0 ? 'disabled' : ''}>
+                    <i data-feather="chevron-down"></i>
+                </button>
+                <button class="layer-btn"
+                        data-action="delete-layer"
+                        title="Delete Layer"
+                        ${this.layers.length === 1 ? 'disabled' : ''}>
+                    <i data-feather="trash-2"></i>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Create settings for the active layer
+     * @param {Object} layer - Active layer
+     * @returns {string} HTML string
+     */
+    createActiveLayerProperties(layer) {
+        return `
+            <div class="property-group">
+                <h4>${this.escapeHTML(layer.name)}</h4>
+                <div class="property-row">
+                    <label class="property-label">Opacity</label>
+                    <input type="range"
+                           class="range property-input"
+                           data-layer-property="opacity"
+                           min="0"
+                           max="1"
+                           step="0.05"
+                           value="${layer.opacity}">
+                    <span class="property-value">${Math.round(layer.opacity * 100)}%</span>
+                </div>
+                <button class="btn btn-secondary layer-move-selection"
+                        data-action="move-selection"
+                        title="Move selected objects to this layer">
+                    Move selection here
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach event listeners to layers panel
+     * @param {HTMLElement} panel - Panel element
+     */
+    attachEventListeners(panel) {
+        panel.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            const item = e.target.closest('.layer-item');
+            const layerId = item ? item.dataset.layerId : this.activeLayerId;
+
+            if (actionBtn) {
+                if (!actionBtn.disabled) {
+                    this.handleAction(actionBtn.dataset.action, layerId);
+                }
+                return;
+            }
+
+            if (item) {
+                this.eventBus.emit('layer:activate', layerId);
+            }
+        });
+
+        panel.addEventListener('dblclick', (e) => {
+            const name = e.target.closest('.layer-name');
+            if (name) {
+                this.renameLayer(name.closest('.layer-item').dataset.layerId);
+            }
+        });
+
+        // Opacity drags are recorded as one undo step and don't re-render the slider
+        panel.addEventListener('input', (e) => {
+            if (e.target.dataset.layerProperty !== 'opacity') return;
+
+            if (!this.isAdjustingOpacity) {
+                this.isAdjustingOpacity = true;
+                this.eventBus.emit('history:batch-start', 'layer-opacity');
+            }
+
+            const opacity = parseFloat(e.target.value);
+            e.target.parentElement.querySelector('.property-value').textContent = `${Math.round(opacity * 100)}%`;
+            this.eventBus.emit('layer:update', this.activeLayerId, { opacity });
+        });
+
+        panel.addEventListener('change', (e) => {
+            if (e.target.dataset.layerProperty !== 'opacity' || !this.isAdjustingOpacity) return;
+
+            this.isAdjustingOpacity = false;
+            this.eventBus.emit('history:batch-end');
+            this.render();
+        });
+
+        this.replaceIcons();
+    }
+
+    /**
+     * Handle layer actions
+     * @param {string} action - Action name
+     * @param {string} layerId - Layer the action applies to
+     */
+    handleAction(action, layerId) {
+        const layer = this.layers.find(l => l.id === layerId);
+
+        switch (action) {
+            case 'add-layer':
+                this.eventBus.emit('layer:add');
+                break;
+            case 'toggle-visibility':
+                this.eventBus.emit('layer:update', layerId, { visible: !layer.visible });
+                break;
+            case 'toggle-lock':
+                this.eventBus.emit('layer:update', layerId, { locked: !layer.locked });
+                break;
+            case 'move-up':
+                this.eventBus.emit('layer:move', layerId, 1);
+                break;
+            case 'move-down':
+                this.eventBus.emit('layer:move', layerId, -1);
+                break;
+            case 'delete-layer':
+                if (layer.objects.length === 0 || confirm(`Delete "${layer.name}" and everything on it?`)) {
+                    this.eventBus.emit('layer:delete', layerId);
+                }
+                break;
+            case 'move-selection':
+                this.eventBus.emit('layer:move-selection', layerId);
+                break;
+        }
+    }
+
+    /**
+     * Prompt for a new layer name
+     * @param {string} layerId - Layer ID
+     */
+    renameLayer(layerId) {
+        const layer = this.layers.find(l => l.id === layerId);
+        if (!layer) return;
+
+        const name = prompt('Layer name:', layer.name);
+        if (name && name.trim()) {
+            this.eventBus.emit('layer:update', layerId, { name: name.trim() });
+        }
+    }
+
+    /**
+     * Re-render the layer list
+     */
+    render() {
+        if (!this.element || this.isAdjustingOpacity) return;
+
+        const content = this.element.querySelector('#layers-content');
+        content.innerHTML = this.createLayersContent();
+        this.replaceIcons();
+    }
+
+    /**
+     * Refresh the per-layer object counts without rebuilding the list
+     */
+    updateObjectCounts() {
+        if (!this.element) return;
+
+        this.layers.forEach(layer => {
+            const count = this.element.querySelector(`[data-layer-id="${layer.id}"] .layer-count`);
+            if (count) {
+                count.textContent = layer.objects.length;
+            }
+        });
+    }
+
+    /**
+     * Replace feather icon placeholders
+     */
+    replaceIcons() {
+        setTimeout(() => {
+            if (window.feather) {
+                window.feather.replace();
+            }
+        }, 0);
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,324 @@
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+
+/**
+ * Size of the minimap in CSS pixels
+ */
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+
+/**
+ * Space left around the drawing, as a fraction of its larger side
+ */
+const FRAME_MARGIN = 0.1;
+
+/**
+ * Minimap overlay: a thumbnail of the whole drawing with the visible area
+ * outlined. Clicking or dragging on it moves the view there.
+ */
+export class Minimap {
+    constructor(eventBus, canvasManager, objectManager, drawObject) {
+        this.eventBus = eventBus;
+        this.canvasManager = canvasManager;
+        this.objectManager = objectManager;
+        this.drawObject = drawObject;
+
+        this.canvas = null;
+        this.pixelRatio = 1;
+
+        // Objects drawn at minimap scale, redrawn only when they or the frame change
+        this.thumbnail = null;
+        this.contentChanged = true;
+
+        // Area around the objects, and the area the minimap shows: the content frame,
+        // widened while the view is outside it. Mapping converts the frame onto the minimap
+        this.contentFrame = null;
+        this.frame = null;
+        this.mapping = null;
+
+        this.renderFrame = null;
+        this.dragOffset = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Images still loading were drawn as placeholders
+        ['objects:changed', 'layers:changed', 'image:loaded'].forEach(event => {
+            this.eventBus.on(event, () => {
+                this.contentChanged = true;
+                this.requestRender();
+            });
+        });
+
+        // Emitted for zoom and pan alike
+        this.eventBus.on('view:changed', () => {
+            this.requestRender();
+        });
+    }
+
+    /**
+     * Create and mount minimap component
+     * @returns {HTMLElement} Minimap element
+     */
+    mount() {
+        this.element = this.createElement();
+        return this.element;
+    }
+
+    /**
+     * Create minimap element
+     * @returns {HTMLElement} Created element
+     */
+    createElement() {
+        const container = document.createElement('div');
+        container.className = 'minimap';
+        container.title = 'Click or drag to move the view';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap-canvas';
+        container.appendChild(this.canvas);
+        this.thumbnail = document.createElement('canvas');
+
+        this.attachEventListeners(this.canvas);
+        return container;
+    }
+
+    /**
+     * Attach event listeners to the minimap canvas
+     * @param {HTMLCanvasElement} canvas - Minimap canvas
+     */
+    attachEventListeners(canvas) {
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.mapping) return;
+
+            e.preventDefault();
+            canvas.setPointerCapture(e.pointerId);
+            this.startDrag(this.toCanvasPoint(e));
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragOffset) return;
+
+            const point = this.toCanvasPoint(e);
+            this.canvasManager.centerOn(point.x + this.dragOffset.x, point.y + this.dragOffset.y);
+        });
+
+        const endDrag = () => {
+            if (!this.dragOffset) return;
+
+            this.dragOffset = null;
+            this.requestRender();
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * Start moving the view. Grabbing the viewport rectangle drags it from
+     * where it was grabbed; anywhere else centers the view there first.
+     * @param {Object} point - Canvas point {x, y} under the pointer
+     */
+    startDrag(point) {
+        const viewport = this.canvasManager.getViewportBounds();
+        const inside = point.x >= viewport.x && point.x <= viewport.x + viewport.width &&
+                       point.y >= viewport.y && point.y <= viewport.y + viewport.height;
+
+        this.dragOffset = inside
+            ? { x: viewport.x + viewport.width / 2 - point.x, y: viewport.y + viewport.height / 2 - point.y }
+            : { x: 0, y: 0 };
+
+        if (!inside) {
+            this.canvasManager.centerOn(point.x, point.y);
+        }
+    }
+
+    /**
+     * Convert a pointer position on the minimap to canvas coordinates
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} Canvas point {x, y}
+     */
+    toCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { scale, offsetX, offsetY } = this.mapping;
+
+        return {
+            x: (e.clientX - rect.left - offsetX) / scale,
+            y: (e.clientY - rect.top - offsetY) / scale
+        };
+    }
+
+    /**
+     * Schedule a render for the next animation frame; repeated requests share it
+     */
+    requestRender() {
+        if (this.renderFrame || !this.canvas) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the thumbnail and the viewport rectangle
+     */
+    render() {
+        if (!this.canvasManager.canvas) return;
+
+        // Follow the main canvas to screens of a different density
+        if (this.pixelRatio !== this.canvasManager.pixelRatio || !this.mapping) {
+            this.pixelRatio = CanvasUtils.setupHighDPICanvas(this.canvas, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+            this.thumbnail.width = this.canvas.width;
+            this.thumbnail.height = this.canvas.height;
+            this.contentChanged = true;
+        }
+
+        const viewport = this.canvasManager.getViewportBounds();
+        if (this.contentChanged) {
+            this.contentFrame = this.getContentFrame();
+        }
+
+        // Keep the frame still while dragging so the map doesn't shift under the pointer
+        const frame = this.dragOffset && this.frame ? this.frame : this.getFrame(viewport);
+        if (this.contentChanged || !this.frame || !this.isSameRect(frame, this.frame)) {
+            this.frame = frame;
+            this.mapping = this.getMapping(frame);
+            this.drawThumbnail();
+            this.contentChanged = false;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        const { scale, offsetX, offsetY } = this.mapping;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.thumbnail, 0, 0);
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        const x = viewport.x * scale + offsetX;
+        const y = viewport.y * scale + offsetY;
+        ctx.fillStyle = 'rgba(37, 99, 235, 0.1)';
+        ctx.strokeStyle = '#2563eb';
+        ctx.lineWidth = 1.5;
+        ctx.fillRect(x, y, viewport.width * scale, viewport.height * scale);
+        ctx.strokeRect(x, y, viewport.width * scale, viewport.height * scale);
+    }
+
+    /**
+     * Draw the visible layers' objects into the thumbnail at minimap scale
+     */
+    drawThumbnail() {
+        const ctx = this.thumbnail.getContext('2d');
+        const { scale, offsetX, offsetY } = this.mapping;
+        const ratio = this.pixelRatio;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.thumbnail.width, this.thumbnail.height);
+        ctx.setTransform(scale * ratio, 0, 0, scale * ratio, offsetX * ratio, offsetY * ratio);
+
+        this.objectManager.getLayers().forEach(layer => {
+            if (!layer.visible) return;
+
+            ctx.globalAlpha = layer.opacity;
+            layer.objects.forEach(obj => {
+                if (obj.visible) {
+                    this.drawObject(obj, ctx);
+                }
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Get the area of the drawing to show. Panning and zooming within the content
+     * frame, or within a frame already widened for the view, keep the frame as is,
+     * so the thumbnail is only redrawn when the view leaves it.
+     * @param {Object} viewport - Visible area {x, y, width, height} in canvas coordinates
+     * @returns {Object} Rectangle {x, y, width, height}
+     */
+    getFrame(viewport) {
+        if (this.contentFrame && this.containsRect(this.contentFrame, viewport)) {
+            return this.contentFrame;
+        }
+        if (this.frame && !this.contentChanged && this.containsRect(this.frame, viewport)) {
+            return this.frame;
+        }
+
+        const rects = this.contentFrame ? [this.contentFrame, viewport] : [viewport];
+        return this.addMargin(
+            Math.min(...rects.map(rect => rect.x)),
+            Math.min(...rects.map(rect => rect.y)),
+            Math.max(...rects.map(rect => rect.x + rect.width)),
+            Math.max(...rects.map(rect => rect.y + rect.height))
+        );
+    }
+
+    /**
+     * Get the area around every visible object, with a margin
+     * @returns {Object|null} Rectangle {x, y, width, height}, or null if there is nothing to show
+     */
+    getContentFrame() {
+        const content = this.objectManager.getCombinedBounds(this.objectManager.getVisibleObjects());
+        if (!content) return null;
+
+        return this.addMargin(content.x, content.y, content.x + content.width, content.y + content.height);
+    }
+
+    /**
+     * Grow an area by the frame margin on every side
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Object} Rectangle {x, y, width, height}
+     */
+    addMargin(minX, minY, maxX, maxY) {
+        const margin = Math.max(maxX - minX, maxY - minY) * FRAME_MARGIN;
+        return {
+            x: minX - margin,
+            y: minY - margin,
+            width: maxX - minX + margin * 2,
+            height: maxY - minY + margin * 2
+        };
+    }
+
+    /**
+     * Fit a frame into the minimap, centered
+     * @param {Object} frame - Rectangle {x, y, width, height} in canvas coordinates
+     * @returns {Object} Mapping {scale, offsetX, offsetY}: minimap = canvas * scale + offset
+     */
+    getMapping(frame) {
+        const scale = Math.min(MINIMAP_WIDTH / frame.width, MINIMAP_HEIGHT / frame.height);
+
+        return {
+            scale,
+            offsetX: (MINIMAP_WIDTH - frame.width * scale) / 2 - frame.x * scale,
+            offsetY: (MINIMAP_HEIGHT - frame.height * scale) / 2 - frame.y * scale
+        };
+    }
+
+    /**
+     * Check whether one rectangle lies entirely within another
+     * @param {Object} outer - Rectangle {x, y, width, height}
+     * @param {Object} inner - Rectangle {x, y, width, height}
+     * @returns {boolean} True if inner is inside outer
+     */
+    containsRect(outer, inner) {
+        return inner.x >= outer.x && inner.y >= outer.y &&
+               inner.x + inner.width <= outer.x + outer.width &&
+               inner.y + inner.height <= outer.y + outer.height;
+    }
+
+    /**
+     * Compare two rectangles
+     * @param {Object} a - Rectangle {x, y, width, height}
+     * @param {Object} b - Rectangle {x, y, width, height}
+     * @returns {boolean} True if they are equal
+     */
+    isSameRect(a, b) {
+        return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Dialog collecting page setup and metadata for PDF export
+ */
+export class PDFExportDialog {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.element = null;
+
+        // Remembered between exports
+        this.options = {
+            pageSize: 'a4',
+            customWidth: 210,
+            customHeight: 297,
+            orientation: 'portrait',
+            margin: 10,
+            mode: 'fit',
+            title: '',
+            author: ''
+        };
+
+        this.boundKeyDown = this.onKeyDown.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('pdf-export:open', (metadata = {}) => {
+            this.open(metadata);
+        });
+    }
+
+    /**
+     * Create and mount the dialog
+     * @returns {HTMLElement} Dialog overlay element
+     */
+    mount() {
+        this.element = this.createElement();
+        return this.element;
+    }
+
+    /**
+     * Create dialog element
+     * @returns {HTMLElement} Created element
+     */
+    createElement() {
+        const overlay = document.createElement('div');
+        overlay.className = 'file-input-overlay hidden';
+        overlay.innerHTML = `
+            <form class="file-input-dialog pdf-export-dialog">
+                <h3>Export PDF</h3>
+                <div class="property-row">
+                    <label class="property-label">Page size</label>
+                    <select name="pageSize" class="input">
+                        <option value="a4">A4</option>
+                        <option value="letter">Letter</option>
+                        <option value="custom">Custom</option>
+                    </select>
+                </div>
+                <div class="property-row pdf-custom-size">
+                    <label class="property-label">Size (mm)</label>
+                    <input type="number" name="customWidth" class="input" min="10" max="5000" step="1" aria-label="Width">
+                    <span>×</span>
+                    <input type="number" name="customHeight" class="input" min="10" max="5000" step="1" aria-label="Height">
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Orientation</label>
+                    <select name="orientation" class="input">
+                        <option value="portrait">Portrait</option>
+                        <option value="landscape">Landscape</option>
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Margin (mm)</label>
+                    <input type="number" name="margin" class="input" min="0" max="100" step="1">
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Layout</label>
+                    <select name="mode" class="input">
+                        <option value="fit">Fit to page</option>
+                        <option value="tile">Actual size, tiled across pages</option>
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Title</label>
+                    <input type="text" name="title" class="input">
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Author</label>
+                    <input type="text" name="author" class="input">
+                </div>
+                <div class="file-input-buttons">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Export</button>
+                </div>
+            </form>
+        `;
+
+        this.attachEventListeners(overlay);
+        return overlay;
+    }
+
+    /**
+     * Attach event listeners to dialog
+     * @param {HTMLElement} overlay - Overlay element
+     */
+    attachEventListeners(overlay) {
+        const form = overlay.querySelector('form');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        form.elements.pageSize.addEventListener('change', () => {
+            this.updateCustomSize();
+        });
+
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            this.close();
+        });
+
+        // Clicking the backdrop cancels
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the dialog
+     * @param {Object} metadata - Project metadata {title, author} used as defaults
+     */
+    open(metadata) {
+        if (!this.element) return;
+
+        const options = {
+            ...this.options,
+            title: metadata.title || this.options.title,
+            author: metadata.author || this.options.author
+        };
+
+        const form = this.element.querySelector('form');
+        Object.entries(options).forEach(([name, value]) => {
+            if (form.elements[name]) {
+                form.elements[name].value = value;
+            }
+        });
+
+        this.updateCustomSize();
+        this.element.classList.remove('hidden');
+        document.addEventListener('keydown', this.boundKeyDown);
+        form.elements.pageSize.focus();
+    }
+
+    /**
+     * Show the custom size inputs only for custom pages
+     */
+    updateCustomSize() {
+        const form = this.element.querySelector('form');
+        const custom = form.elements.pageSize.value === 'custom';
+        this.element.querySelector('.pdf-custom-size').classList.toggle('hidden', !custom);
+    }
+
+    /**
+     * Read the form and request the export
+     */
+    submit() {
+        const form = this.element.querySelector('form');
+        const number = (name, fallback) => {
+            const value = parseFloat(form.elements[name].value);
+            return isNaN(value) ? fallback : value;
+        };
+
+        this.options = {
+            pageSize: form.elements.pageSize.value,
+            customWidth: number('customWidth', this.options.customWidth),
+            customHeight: number('customHeight', this.options.customHeight),
+            orientation: form.elements.orientation.value,
+            margin: number('margin', this.options.margin),
+            mode: form.elements.mode.value,
+            title: form.elements.title.value.trim(),
+            author: form.elements.author.value.trim()
+        };
+
+        this.close();
+        this.eventBus.emit('action:export-pdf', { ...this.options });
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (!this.element) return;
+
+        this.element.classList.add('hidden');
+        document.removeEventListener('keydown', this.boundKeyDown);
+    }
+
+    /**
+     * Close on Escape
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+}
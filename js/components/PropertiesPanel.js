@@ -1,3 +1,24 @@
+import { TEXT_DEFAULTS, TextUtils } from '../utils/TextUtils.js';
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+
+/**
+ * Font choices offered for text
+ */
+const FONTS = [
+    { value: 'Arial, sans-serif', label: 'Sans Serif' },
+    { value: 'Georgia, serif', label: 'Serif' },
+    { value: '"Courier New", monospace', label: 'Monospace' },
+    { value: '"Comic Sans MS", cursive', label: 'Handwritten' }
+];
+
+/**
+ * Placeholder for a property that differs between selected objects
+ */
+const MIXED = Symbol('mixed');
+
+const STROKE_TYPES = ['rectangle', 'circle', 'line', 'arrow', 'freehand'];
+const FILL_TYPES = ['rectangle', 'circle', 'freehand'];
+
 /**
  * Properties panel component for tool configuration
  */
@@ -11,6 +32,9 @@ export class PropertiesPanel {
             strokeWidth: 2,
             opacity: 1.0
         };
+        this.selection = [];
+        this.objectManager = null;
+        this.isEditBatchOpen = false;
         
         this.setupEventListeners();
     }
@@ -27,6 +51,32 @@ export class PropertiesPanel {
         this.eventBus.on('properties:request', () => {
             this.eventBus.emit('properties:response', this.properties);
         });
+
+        this.eventBus.on('objectManager:ready', (objectManager) => {
+            this.objectManager = objectManager;
+        });
+
+        this.eventBus.on('selection:changed', (selected) => {
+            this.selection = selected;
+            if (this.currentTool === 'select') {
+                this.updatePropertiesForTool();
+            }
+        });
+
+        // Keep shown values in sync with moves, resizes and undo
+        this.eventBus.on('objects:changed', () => {
+            if (this.isEditingSelection()) {
+                this.refreshSelectionValues();
+            }
+        });
+    }
+
+    /**
+     * Check whether the panel edits selected objects rather than tool settings
+     * @returns {boolean} True if the selection tool is active with something selected
+     */
+    isEditingSelection() {
+        return this.currentTool === 'select' && this.selection.length > 0;
     }
 
     /**
@@ -62,6 +112,10 @@ export class PropertiesPanel {
      * @returns {string} HTML string
      */
     createPropertiesContent() {
+        if (this.isEditingSelection()) {
+            return this.createSelectionProperties();
+        }
+        
         return `
             ${this.createStrokeProperties()}
             ${this.createFillProperties()}
@@ -159,6 +213,8 @@ export class PropertiesPanel {
                 return this.createEraserProperties();
             case 'pen':
                 return this.createPenProperties();
+            case 'text':
+                return this.createTextProperties();
             default:
                 return '';
         }
@@ -172,6 +228,13 @@ export class PropertiesPanel {
         return `
             <div class="property-group">
                 <h4>Eraser</h4>
+                <div class="property-row">
+                    <label class="property-label">Mode</label>
+                    <select data-property="eraserMode" class="input">
+                        <option value="stroke" ${this.properties.eraserMode !== 'partial' ? 'selected' : ''}>Whole object</option>
+                        <option value="partial" ${this.properties.eraserMode === 'partial' ? 'selected' : ''}>Partial</option>
+                    </select>
+                </div>
                 <div class="property-row">
                     <label class="property-label">Size</label>
                     <input type="range" 
@@ -191,6 +254,8 @@ export class PropertiesPanel {
      * @returns {string} HTML string
      */
     createPenProperties() {
+        const smoothing = this.properties.smoothing ?? 5;
+        
         return `
             <div class="property-group">
                 <h4>Pen</h4>
@@ -202,10 +267,402 @@ export class PropertiesPanel {
                         <option value="butt" ${this.properties.penStyle === 'butt' ? 'selected' : ''}>Flat</option>
                     </select>
                 </div>
+                <div class="property-row">
+                    <label class="property-label">Pressure</label>
+                    <input type="checkbox" 
+                           data-property="pressure" 
+                           title="Vary the width with stylus pressure, or with speed for mouse and touch"
+                           ${this.properties.pressure !== false ? 'checked' : ''}>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Smoothing</label>
+                    <input type="range" 
+                           class="range property-input" 
+                           data-property="smoothing" 
+                           min="0" 
+                           max="10" 
+                           value="${smoothing}">
+                    <span class="property-value">${smoothing}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create text-specific properties
+     * @returns {string} HTML string
+     */
+    createTextProperties() {
+        const fontFamily = this.properties.fontFamily || TEXT_DEFAULTS.fontFamily;
+        const fontSize = this.properties.fontSize || TEXT_DEFAULTS.fontSize;
+        const fontWeight = this.properties.fontWeight || TEXT_DEFAULTS.fontWeight;
+        const textAlign = this.properties.textAlign || TEXT_DEFAULTS.textAlign;
+        
+        return `
+            <div class="property-group">
+                <h4>Text</h4>
+                <div class="property-row">
+                    <label class="property-label">Font</label>
+                    <select data-property="fontFamily" class="input">
+                        ${FONTS.map(font => `
+                            <option value='${font.value}' ${fontFamily === font.value ? 'selected' : ''}>${font.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Size</label>
+                    <input type="range" 
+                           class="range property-input" 
+                           data-property="fontSize" 
+                           min="8" 
+                           max="120" 
+                           value="${fontSize}">
+                    <span class="property-value">${fontSize}px</span>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Weight</label>
+                    <select data-property="fontWeight" class="input">
+                        <option value="normal" ${fontWeight === 'normal' ? 'selected' : ''}>Normal</option>
+                        <option value="bold" ${fontWeight === 'bold' ? 'selected' : ''}>Bold</option>
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label class="property-label">Align</label>
+                    <select data-property="textAlign" class="input">
+                        <option value="left" ${textAlign === 'left' ? 'selected' : ''}>Left</option>
+                        <option value="center" ${textAlign === 'center' ? 'selected' : ''}>Center</option>
+                        <option value="right" ${textAlign === 'right' ? 'selected' : ''}>Right</option>
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the fields for editing the selected objects. Values are filled
+     * in afterwards by refreshSelectionValues.
+     * @returns {string} HTML string
+     */
+    createSelectionProperties() {
+        return this.getSelectionSections().map(section => `
+            <div class="property-group">
+                <h4>${section.title}</h4>
+                ${section.fields.map(field => this.createSelectionField(field)).join('')}
+            </div>
+        `).join('') + this.createImageControls() + this.createArrangeControls();
+    }
+
+    /**
+     * Create the crop buttons for a single selected image
+     * @returns {string} HTML string
+     */
+    createImageControls() {
+        if (this.selection.length !== 1 || this.selection[0].type !== 'image') return '';
+        
+        return `
+            <div class="property-group">
+                <h4>Image</h4>
+                <div class="arrange-buttons">
+                    <button class="btn btn-secondary arrange-btn" data-command="crop:start"
+                            title="Crop (double-click the image)">Crop</button>
+                    <button class="btn btn-secondary arrange-btn" data-command="crop:reset"
+                            title="Show the whole image">Reset Crop</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the align and distribute buttons for a multi-object selection
+     * @returns {string} HTML string
+     */
+    createArrangeControls() {
+        if (this.selection.length < 2) return '';
+        
+        const button = (command, label, title, disabled = false) => `
+            <button class="btn btn-secondary arrange-btn" data-command="${command}"
+                    title="${title}" ${disabled ? 'disabled' : ''}>${label}</button>`;
+        const distributeDisabled = this.selection.length < 3;
+        
+        return `
+            <div class="property-group">
+                <h4>Align</h4>
+                <div class="arrange-buttons">
+                    ${button('align:left', 'Left', 'Align Left (Alt+Shift+L)')}
+                    ${button('align:center', 'Center', 'Align Centers (Alt+Shift+C)')}
+                    ${button('align:right', 'Right', 'Align Right (Alt+Shift+R)')}
+                    ${button('align:top', 'Top', 'Align Top (Alt+Shift+T)')}
+                    ${button('align:middle', 'Middle', 'Align Middles (Alt+Shift+M)')}
+                    ${button('align:bottom', 'Bottom', 'Align Bottom (Alt+Shift+B)')}
+                </div>
+                <div class="arrange-buttons">
+                    ${button('distribute:horizontal', 'Space H', 'Distribute Horizontally (Alt+Shift+H)', distributeDisabled)}
+                    ${button('distribute:vertical', 'Space V', 'Distribute Vertically (Alt+Shift+V)', distributeDisabled)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe the sections and fields that apply to the current selection
+     * @returns {Array} Sections {title, fields}; each field has kind, label,
+     *     property or geometry key, value (or MIXED) and input options
+     */
+    getSelectionSections() {
+        const objects = this.selection;
+        const leaves = this.getLeafObjects(objects);
+        const ofType = (types) => leaves.filter(obj => types.includes(obj.type));
+        const sections = [];
+        
+        const stroked = ofType(STROKE_TYPES);
+        if (stroked.length > 0) {
+            sections.push({ title: 'Stroke', fields: [
+                { kind: 'color', label: 'Color', property: 'strokeColor',
+                    value: this.getSharedValue(stroked, obj => obj.properties.strokeColor || '#000000') },
+                { kind: 'range', label: 'Width', property: 'strokeWidth', min: 1, max: 50, step: 1,
+                    value: this.getSharedValue(stroked, obj => obj.properties.strokeWidth || 2) }
+            ] });
+        }
+        
+        const fillable = ofType(FILL_TYPES);
+        if (fillable.length > 0) {
+            sections.push({ title: 'Fill', fields: [
+                { kind: 'color', label: 'Color', property: 'fillColor',
+                    value: this.getSharedValue(fillable, obj => obj.properties.fillColor || '#ffffff') },
+                { kind: 'checkbox', label: 'Enable', property: 'enableFill',
+                    value: this.getSharedValue(fillable, obj => !!obj.properties.enableFill) }
+            ] });
+        }
+        
+        const texts = ofType(['text']);
+        if (texts.length > 0) {
+            const text = (name) => this.getSharedValue(texts, obj => TextUtils.getTextProperties(obj.properties)[name]);
+            sections.push({ title: 'Text', fields: [
+                { kind: 'color', label: 'Color', property: 'color', value: text('color') },
+                { kind: 'select', label: 'Font', property: 'fontFamily', value: text('fontFamily'), options: FONTS },
+                { kind: 'range', label: 'Size', property: 'fontSize', min: 8, max: 120, step: 1, value: text('fontSize') },
+                { kind: 'select', label: 'Weight', property: 'fontWeight', value: text('fontWeight'), options: [
+                    { value: 'normal', label: 'Normal' },
+                    { value: 'bold', label: 'Bold' }
+                ] },
+                { kind: 'select', label: 'Align', property: 'textAlign', value: text('textAlign'), options: [
+                    { value: 'left', label: 'Left' },
+                    { value: 'center', label: 'Center' },
+                    { value: 'right', label: 'Right' }
+                ] }
+            ] });
+        }
+        
+        sections.push({ title: 'Opacity', fields: [
+            { kind: 'range', label: 'Alpha', property: 'opacity', min: 0.1, max: 1, step: 0.1,
+                value: this.getSharedValue(objects, obj => obj.properties.opacity ?? 1) }
+        ] });
+        
+        if (this.objectManager) {
+            sections.push({ title: 'Geometry', fields: this.getGeometryFields(objects) });
+        }
+        
+        return sections;
+    }
+
+    /**
+     * Describe the position, size and rotation fields for the selection
+     * @param {Array} objects - Selected objects
+     * @returns {Array} Fields
+     */
+    getGeometryFields(objects) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const bounds = this.objectManager.getSelectionBounds() || { x: 0, y: 0 };
+        const fields = [
+            { kind: 'number', label: 'X', geometry: 'x', value: round(bounds.x) },
+            { kind: 'number', label: 'Y', geometry: 'y', value: round(bounds.y) }
+        ];
+        
+        if (objects.every(obj => obj.type === 'rectangle')) {
+            fields.push(
+                { kind: 'number', label: 'Width', geometry: 'width', min: 1,
+                    value: this.getSharedValue(objects, obj => round(obj.width)) },
+                { kind: 'number', label: 'Height', geometry: 'height', min: 1,
+                    value: this.getSharedValue(objects, obj => round(obj.height)) }
+            );
+        }
+        
+        if (objects.every(obj => obj.type === 'circle')) {
+            fields.push({ kind: 'number', label: 'Radius', geometry: 'radius', min: 1,
+                value: this.getSharedValue(objects, obj => round(obj.radius)) });
+        }
+        
+        const rotatable = objects.filter(obj => obj.type !== 'circle');
+        if (rotatable.length > 0) {
+            fields.push({ kind: 'number', label: 'Rotation (°)', geometry: 'rotation',
+                value: this.getSharedValue(rotatable, obj => round(CanvasUtils.radToDeg(obj.rotation || 0))) });
+        }
+        
+        return fields;
+    }
+
+    /**
+     * Get the objects that carry style properties, looking inside groups
+     * @param {Array} objects - Objects
+     * @returns {Array} Non-group objects
+     */
+    getLeafObjects(objects) {
+        return objects.flatMap(obj => obj.type === 'group' ? this.getLeafObjects(obj.children) : [obj]);
+    }
+
+    /**
+     * Get the value shared by all objects
+     * @param {Array} objects - Objects
+     * @param {Function} read - Reads the value from an object
+     * @returns {any} The shared value, or MIXED if the objects differ
+     */
+    getSharedValue(objects, read) {
+        const values = objects.map(read);
+        return values.every(value => value === values[0]) ? values[0] : MIXED;
+    }
+
+    /**
+     * Create the markup for a selection field, without its value
+     * @param {Object} field - Field description
+     * @returns {string} HTML string
+     */
+    createSelectionField(field) {
+        const key = field.geometry
+            ? `data-geometry="${field.geometry}"`
+            : `data-property="${field.property}"`;
+        let input;
+        
+        switch (field.kind) {
+            case 'color':
+                input = `<input type="color" class="color-input" ${key}>
+                    <span class="property-value"></span>`;
+                break;
+            case 'range':
+                input = `<input type="range" class="range property-input" ${key}
+                           min="${field.min}" max="${field.max}" step="${field.step}">
+                    <span class="property-value"></span>`;
+                break;
+            case 'checkbox':
+                input = `<input type="checkbox" ${key}>`;
+                break;
+            case 'select':
+                input = `<select class="input" ${key}>
+                        <option value="" disabled hidden>Mixed</option>
+                        ${field.options.map(option => `<option value='${option.value}'>${option.label}</option>`).join('')}
+                    </select>`;
+                break;
+            case 'number':
+                input = `<input type="number" class="input property-input" ${key} step="any"
+                           ${field.min !== undefined ? `min="${field.min}"` : ''}>`;
+                break;
+        }
+        
+        return `
+            <div class="property-row">
+                <label class="property-label">${field.label}</label>
+                ${input}
             </div>
         `;
     }
 
+    /**
+     * Show the selection's current values in the fields. The field being
+     * edited keeps what the user typed.
+     */
+    refreshSelectionValues() {
+        if (!this.element) return;
+        
+        const content = this.element.querySelector('#properties-content');
+        
+        this.getSelectionSections().flatMap(section => section.fields).forEach(field => {
+            const selector = field.geometry
+                ? `[data-geometry="${field.geometry}"]`
+                : `[data-property="${field.property}"]`;
+            const input = content.querySelector(selector);
+            if (!input) return;
+            
+            const mixed = field.value === MIXED;
+            if (input !== document.activeElement) {
+                this.setInputValue(input, field);
+            }
+            
+            const valueSpan = input.parentElement.querySelector('.property-value');
+            if (valueSpan) {
+                valueSpan.textContent = field.kind === 'color'
+                    ? (mixed ? 'Mixed' : '')
+                    : this.formatPropertyValue(field.property, field.value);
+            }
+        });
+    }
+
+    /**
+     * Put a field value into its input, showing MIXED the way the input type allows
+     * @param {HTMLInputElement|HTMLSelectElement} input - Input element
+     * @param {Object} field - Field description
+     */
+    setInputValue(input, field) {
+        const mixed = field.value === MIXED;
+        
+        switch (field.kind) {
+            case 'checkbox':
+                input.checked = field.value === true;
+                input.indeterminate = mixed;
+                break;
+            case 'color':
+                input.value = mixed ? '#000000' : field.value;
+                break;
+            case 'range':
+                input.value = mixed ? field.min : field.value;
+                break;
+            case 'number':
+                input.value = mixed ? '' : field.value;
+                input.placeholder = mixed ? 'Mixed' : '';
+                break;
+            default:
+                input.value = mixed ? '' : field.value;
+        }
+    }
+
+    /**
+     * Apply an edited field to the selected objects
+     * @param {HTMLInputElement|HTMLSelectElement} input - Edited input
+     */
+    applySelectionEdit(input) {
+        const value = this.readInputValue(input);
+        
+        if (input.dataset.geometry) {
+            // An emptied number field leaves the objects as they are
+            if (isNaN(value)) return;
+            
+            const name = input.dataset.geometry;
+            this.eventBus.emit('selection:update-geometry', {
+                [name]: name === 'rotation' ? CanvasUtils.degToRad(value) : value
+            });
+        } else if (input.dataset.property) {
+            this.eventBus.emit('selection:update-properties', { [input.dataset.property]: value });
+        }
+    }
+
+    /**
+     * Start collecting live edits into one undo step
+     */
+    beginEditBatch() {
+        if (this.isEditBatchOpen) return;
+        
+        this.isEditBatchOpen = true;
+        this.eventBus.emit('history:batch-start', 'properties');
+    }
+
+    /**
+     * Finish the undo step started by beginEditBatch
+     */
+    endEditBatch() {
+        if (!this.isEditBatchOpen) return;
+        
+        this.isEditBatchOpen = false;
+        this.eventBus.emit('history:batch-end');
+    }
+
     /**
      * Attach event listeners to properties panel
      * @param {HTMLElement} panel - Panel element
@@ -213,35 +670,69 @@ export class PropertiesPanel {
     attachEventListeners(panel) {
         // Handle property changes
         panel.addEventListener('input', (e) => {
+            if (this.isEditingSelection()) {
+                // Sliders and color pickers apply live; the whole drag is one undo step
+                if (e.target.type === 'range' || e.target.type === 'color') {
+                    this.beginEditBatch();
+                    this.applySelectionEdit(e.target);
+                }
+                return;
+            }
+            
             const property = e.target.dataset.property;
             if (!property) return;
             
-            let value = e.target.value;
-            
-            // Convert values to appropriate types
-            if (e.target.type === 'range') {
-                value = parseFloat(value);
-            } else if (e.target.type === 'checkbox') {
-                value = e.target.checked;
-            }
-            
+            const value = this.readInputValue(e.target);
             this.updateProperty(property, value);
             this.updatePropertyDisplay(property, value);
         });
 
+        // Align, distribute and crop buttons
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-command]');
+            if (!button || button.disabled) return;
+            
+            const [command, value] = button.dataset.command.split(':');
+            this.eventBus.emit(`action:${command}`, value);
+        });
+
         // Handle property changes on change event (for color inputs)
         panel.addEventListener('change', (e) => {
+            if (this.isEditingSelection()) {
+                this.applySelectionEdit(e.target);
+                this.endEditBatch();
+                return;
+            }
+            
             const property = e.target.dataset.property;
             if (!property) return;
             
-            let value = e.target.value;
-            
-            if (e.target.type === 'checkbox') {
-                value = e.target.checked;
+            this.updateProperty(property, this.readInputValue(e.target));
+        });
+
+        // A control can stop firing without a change event, such as a picker dismissed
+        // without committing; close its undo step once it is released or loses focus
+        panel.addEventListener('pointerup', (e) => {
+            if (e.target.type === 'range') {
+                this.endEditBatch();
             }
-            
-            this.updateProperty(property, value);
         });
+        panel.addEventListener('focusout', () => this.endEditBatch());
+    }
+
+    /**
+     * Read an input's value as the type its property uses
+     * @param {HTMLInputElement|HTMLSelectElement} input - Input element
+     * @returns {any} Number, boolean or string value
+     */
+    readInputValue(input) {
+        if (input.type === 'range' || input.type === 'number') {
+            return parseFloat(input.value);
+        }
+        if (input.type === 'checkbox') {
+            return input.checked;
+        }
+        return input.value;
     }
 
     /**
@@ -266,14 +757,27 @@ export class PropertiesPanel {
         const valueSpan = input.parentElement.querySelector('.property-value');
         if (!valueSpan) return;
         
+        valueSpan.textContent = this.formatPropertyValue(property, value);
+    }
+
+    /**
+     * Format a property value for display next to its input
+     * @param {string} property - Property name
+     * @param {any} value - Property value, or MIXED
+     * @returns {string} Display text
+     */
+    formatPropertyValue(property, value) {
+        if (value === MIXED) return 'Mixed';
+        
         switch (property) {
             case 'strokeWidth':
             case 'eraserSize':
-                valueSpan.textContent = `${value}px`;
-                break;
+            case 'fontSize':
+                return `${value}px`;
             case 'opacity':
-                valueSpan.textContent = `${Math.round(value * 100)}%`;
-                break;
+                return `${Math.round(value * 100)}%`;
+            default:
+                return `${value}`;
         }
     }
 
@@ -283,11 +787,16 @@ export class PropertiesPanel {
     updatePropertiesForTool() {
         if (!this.element) return;
         
+        // A rebuild ends whatever edit was in progress
+        this.endEditBatch();
+        
+        // Listeners are delegated to the panel, so the new content needs none of its own
         const content = this.element.querySelector('#properties-content');
         content.innerHTML = this.createPropertiesContent();
         
-        // Re-attach event listeners for new content
-        this.attachEventListeners(this.element);
+        if (this.isEditingSelection()) {
+            this.refreshSelectionValues();
+        }
     }
 
     /**
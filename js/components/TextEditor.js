@@ -0,0 +1,194 @@
+import { TextUtils } from '../utils/TextUtils.js';
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+
+/**
+ * In-place editor for text objects, shown as a textarea over the canvas
+ */
+export class TextEditor {
+    constructor(eventBus, canvasManager) {
+        this.eventBus = eventBus;
+        this.canvasManager = canvasManager;
+        this.textarea = null;
+        this.object = null;
+
+        // Keep the textarea over the text when the view zooms or pans
+        this.unsubscribeView = this.eventBus.on('view:changed', () => this.updateLayout());
+    }
+
+    /**
+     * Check if the editor is open
+     * @returns {boolean} True while editing
+     */
+    isOpen() {
+        return !!this.textarea;
+    }
+
+    /**
+     * Start editing a text object
+     * @param {Object} object - Existing text object, or new text data without an id
+     */
+    open(object) {
+        if (this.isOpen()) {
+            this.commit();
+        }
+
+        this.object = {
+            ...object,
+            properties: TextUtils.getTextProperties(object.properties)
+        };
+
+        // Rotated text is edited at its angle, turning around its current center
+        const bounds = TextUtils.measureTextObject(this.object);
+        this.rotationOrigin = { x: bounds.width / 2, y: bounds.height / 2 };
+
+        this.textarea = this.createElement();
+        this.textarea.value = object.text || '';
+        document.body.appendChild(this.textarea);
+
+        this.updateLayout();
+        this.textarea.focus();
+        this.textarea.select();
+
+        // Hide the canvas copy while the textarea shows the text
+        this.eventBus.emit('text:edit-start', this.object.id || null);
+    }
+
+    /**
+     * Create the textarea element
+     * @returns {HTMLTextAreaElement} Created element
+     */
+    createElement() {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'text-editor';
+        textarea.spellcheck = false;
+
+        textarea.addEventListener('input', () => {
+            this.updateLayout();
+        });
+
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancel();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.commit();
+            }
+        });
+
+        textarea.addEventListener('blur', () => {
+            this.commit();
+        });
+
+        return textarea;
+    }
+
+    /**
+     * Position and size the textarea to match the text on the canvas
+     */
+    updateLayout() {
+        if (!this.textarea) return;
+
+        const { properties } = this.object;
+        const zoom = this.canvasManager.getZoom();
+        const layout = TextUtils.measureText(
+            this.textarea.value,
+            properties,
+            properties.wrap ? this.object.width : null
+        );
+        const position = this.canvasManager.canvasToScreen(this.object.x, this.object.y);
+
+        // Leave room for the caret at the end of the longest line
+        const width = properties.wrap ? layout.width : layout.width + properties.fontSize;
+
+        Object.assign(this.textarea.style, {
+            left: `${position.x}px`,
+            top: `${position.y}px`,
+            width: `${width * zoom}px`,
+            height: `${layout.height * zoom}px`,
+            font: TextUtils.getFont({ ...properties, fontSize: properties.fontSize * zoom }),
+            lineHeight: `${layout.lineHeight * zoom}px`,
+            color: properties.color,
+            textAlign: properties.textAlign,
+            whiteSpace: properties.wrap ? 'pre-wrap' : 'pre',
+            transform: this.object.rotation ? `rotate(${this.object.rotation}rad)` : '',
+            transformOrigin: `${this.rotationOrigin.x * zoom}px ${this.rotationOrigin.y * zoom}px`
+        });
+    }
+
+    /**
+     * Finish editing and write the text back to the object manager
+     */
+    commit() {
+        if (!this.textarea) return;
+
+        const text = this.textarea.value.replace(/\s+$/, '');
+        const object = this.object;
+        const rotationOrigin = this.rotationOrigin;
+        this.close();
+
+        const layout = TextUtils.measureText(text, object.properties, object.properties.wrap ? object.width : null);
+        const changes = { text, width: layout.width, height: layout.height };
+
+        // Resizing moves the rotation center; keep the first line's corner where it was on screen
+        if (object.rotation) {
+            const corner = { x: object.x, y: object.y };
+            const before = CanvasUtils.rotatePoint(corner, {
+                x: object.x + rotationOrigin.x,
+                y: object.y + rotationOrigin.y
+            }, object.rotation);
+            const after = CanvasUtils.rotatePoint(corner, {
+                x: object.x + layout.width / 2,
+                y: object.y + layout.height / 2
+            }, object.rotation);
+            changes.x = object.x + before.x - after.x;
+            changes.y = object.y + before.y - after.y;
+        }
+
+        if (!object.id) {
+            if (text) {
+                this.eventBus.emit('object:add', { ...object, ...changes });
+            }
+        } else if (!text) {
+            // Emptying a text object removes it
+            this.eventBus.emit('object:delete', object.id);
+        } else if (text !== object.text) {
+            this.eventBus.emit('object:update', object.id, changes);
+        }
+    }
+
+    /**
+     * Discard the current edit
+     */
+    cancel() {
+        this.close();
+    }
+
+    /**
+     * Finish any edit in progress and stop listening for view changes.
+     * The editor can't be used afterwards.
+     */
+    destroy() {
+        this.commit();
+
+        if (this.unsubscribeView) {
+            this.unsubscribeView();
+            this.unsubscribeView = null;
+        }
+    }
+
+    /**
+     * Remove the textarea
+     */
+    close() {
+        const textarea = this.textarea;
+        this.textarea = null;
+        this.object = null;
+
+        if (textarea && textarea.parentElement) {
+            textarea.parentElement.removeChild(textarea);
+        }
+
+        this.eventBus.emit('text:edit-end');
+    }
+}
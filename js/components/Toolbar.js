@@ -74,7 +74,8 @@ export class Toolbar {
             { name: 'rectangle', icon: 'square', title: 'Rectangle (R)' },
             { name: 'circle', icon: 'circle', title: 'Circle (C)' },
             { name: 'line', icon: 'minus', title: 'Line (L)' },
-            { name: 'arrow', icon: 'arrow-up-right', title: 'Arrow (A)' }
+            { name: 'arrow', icon: 'arrow-up-right', title: 'Arrow (A)' },
+            { name: 'text', icon: 'type', title: 'Text (T)' }
         ];
         
         return tools.map(tool => `
@@ -115,11 +116,18 @@ export class Toolbar {
             
             <button class="btn btn-secondary" 
                     data-action="load-project" 
-                    title="Load Project">
+                    title="Load Project or Import SVG">
                 <i data-feather="folder-open"></i>
                 Load
             </button>
             
+            <button class="btn btn-secondary" 
+                    data-action="insert-image" 
+                    title="Insert Image">
+                <i data-feather="image"></i>
+                Image
+            </button>
+            
             <button class="btn btn-secondary" 
                     data-action="clear" 
                     title="Clear Canvas">
@@ -183,17 +191,37 @@ export class Toolbar {
             case 'load-project':
                 this.eventBus.emit('action:load-project');
                 break;
+            case 'insert-image':
+                this.eventBus.emit('action:insert-image');
+                break;
             case 'clear':
                 if (confirm('Are you sure you want to clear the canvas?')) {
                     this.eventBus.emit('action:clear');
                 }
                 break;
             case 'export':
-                this.eventBus.emit('action:export', 'png');
+                this.showExportMenu();
                 break;
         }
     }
 
+    /**
+     * Show the export format menu below the export button
+     */
+    showExportMenu() {
+        const button = this.element.querySelector('[data-action="export"]');
+        const rect = button.getBoundingClientRect();
+        
+        this.eventBus.emit('contextmenu:show', rect.left, rect.bottom + 4, [
+            { label: 'PNG Image', event: 'action:export', args: ['png'], shortcut: 'Ctrl+S' },
+            { label: 'PNG Image (2x)', event: 'action:export', args: ['png', 2] },
+            { label: 'PNG Image (3x)', event: 'action:export', args: ['png', 3] },
+            { label: 'JPEG Image', event: 'action:export', args: ['jpg'] },
+            { label: 'SVG Vector', event: 'action:export', args: ['svg'] },
+            { label: 'PDF Document…', event: 'action:export', args: ['pdf'] }
+        ]);
+    }
+
     /**
      * Update tool button states
      */
@@ -1,5 +1,16 @@
 import { CanvasUtils } from '../utils/CanvasUtils.js';
 
+/**
+ * Zoom limits
+ */
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 5;
+
+/**
+ * Space left around content zoomed to fit, in screen pixels
+ */
+const FIT_MARGIN = 40;
+
 /**
  * Manages canvas operations and state
  */
@@ -11,13 +22,16 @@ export class CanvasManager {
         this.isDrawing = false;
         this.lastPoint = null;
         
-        // Canvas state
+        // View: a drawing point (x, y) is shown at (x * zoom + panX, y * zoom + panY)
         this.zoom = 1;
         this.panX = 0;
         this.panY = 0;
         this.canvasWidth = 1200;
         this.canvasHeight = 800;
         
+        // Device pixels per CSS pixel in the backing store; sizes and coordinates stay in CSS pixels
+        this.pixelRatio = 1;
+        
         // Drawing properties
         this.strokeColor = '#000000';
         this.fillColor = '#ffffff';
@@ -38,7 +52,7 @@ export class CanvasManager {
         
         // Auto-size canvas to container
         this.autoSizeCanvas();
-        this.updateTransform();
+        this.watchPixelRatio();
         
         // Set initial drawing properties
         this.updateDrawingProperties();
@@ -49,11 +63,15 @@ export class CanvasManager {
      */
     setupEventListeners() {
         this.eventBus.on('canvas:zoom', (delta, x, y) => {
-            this.zoom(delta, x, y);
+            this.zoomCanvas(delta, x, y);
+        });
+
+        this.eventBus.on('canvas:zoom-to', (zoom) => {
+            this.zoomTo(zoom);
         });
 
         this.eventBus.on('canvas:pan', (deltaX, deltaY) => {
-            this.pan(deltaX, deltaY);
+            this.panCanvas(deltaX, deltaY);
         });
 
         this.eventBus.on('canvas:resize', (width, height) => {
@@ -67,17 +85,20 @@ export class CanvasManager {
 
     /**
      * Set canvas size
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
      */
     setCanvasSize(width, height) {
         this.canvasWidth = width;
         this.canvasHeight = height;
         
         if (this.canvas) {
-            this.canvas.width = width;
-            this.canvas.height = height;
+            // One bitmap pixel per device pixel keeps drawing sharp on high-density screens
+            this.pixelRatio = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
             this.updateDrawingProperties();
+            
+            // Resizing clears the bitmap
+            this.eventBus.emit('canvas:redraw');
         }
     }
 
@@ -98,41 +119,104 @@ export class CanvasManager {
     }
 
     /**
-     * Update canvas transform (zoom and pan)
+     * Resize the backing store whenever the device pixel ratio changes, as it
+     * does when the window moves to another monitor or the browser zoom changes
      */
-    updateTransform() {
-        if (!this.canvas) return;
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
         
-        // Apply zoom and pan transforms
-        this.canvas.style.transform = `scale(${this.zoom}) translate(${this.panX}px, ${this.panY}px)`;
-        this.canvas.style.transformOrigin = 'center center';
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.autoSizeCanvas();
+            this.updateTransform();
+            this.watchPixelRatio();
+        }, { once: true });
     }
 
     /**
-     * Zoom canvas
-     * @param {number} delta - Zoom delta
-     * @param {number} x - Mouse X position
-     * @param {number} y - Mouse Y position
+     * Announce a change of zoom or pan. The view is applied when the canvas is
+     * redrawn, so nothing is drawn here.
      */
-    zoomCanvas(delta, x, y) {
+    updateTransform() {
+        this.eventBus.emit('view:changed', { zoom: this.zoom, panX: this.panX, panY: this.panY });
+    }
+
+    /**
+     * Set zoom and pan together
+     * @param {Object} view - View {zoom, panX, panY}; missing fields are kept
+     */
+    setView(view) {
         const oldZoom = this.zoom;
-        this.zoom = Math.max(0.1, Math.min(5, this.zoom + delta));
-        
-        if (x !== undefined && y !== undefined) {
-            // Zoom towards mouse position
-            const zoomRatio = this.zoom / oldZoom;
-            this.panX = x - (x - this.panX) * zoomRatio;
-            this.panY = y - (y - this.panY) * zoomRatio;
-        }
-        
+        this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.zoom ?? this.zoom));
+        this.panX = view.panX ?? this.panX;
+        this.panY = view.panY ?? this.panY;
+
         this.updateTransform();
-        this.eventBus.emit('zoom:changed', this.zoom);
+        if (this.zoom !== oldZoom) {
+            this.eventBus.emit('zoom:changed', this.zoom);
+        }
+    }
+
+    /**
+     * Zoom canvas, keeping the drawing point under an anchor in place
+     * @param {number} delta - Zoom delta
+     * @param {number} x - Anchor X relative to the canvas element; defaults to its center
+     * @param {number} y - Anchor Y relative to the canvas element; defaults to its center
+     */
+    zoomCanvas(delta, x = this.canvasWidth / 2, y = this.canvasHeight / 2) {
+        this.zoomTo(this.zoom + delta, x, y);
+    }
+
+    /**
+     * Set the zoom level, keeping the drawing point under an anchor in place
+     * @param {number} zoom - New zoom level
+     * @param {number} x - Anchor X relative to the canvas element; defaults to its center
+     * @param {number} y - Anchor Y relative to the canvas element; defaults to its center
+     */
+    zoomTo(zoom, x = this.canvasWidth / 2, y = this.canvasHeight / 2) {
+        const oldZoom = this.zoom;
+        const newZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+        const zoomRatio = newZoom / oldZoom;
+
+        this.setView({
+            zoom: newZoom,
+            panX: x - (x - this.panX) * zoomRatio,
+            panY: y - (y - this.panY) * zoomRatio
+        });
+    }
+
+    /**
+     * Zoom and pan so a rectangle fills the canvas, leaving a margin around it
+     * @param {Object} rect - Rectangle {x, y, width, height} in canvas coordinates
+     */
+    zoomToRect(rect) {
+        const width = Math.max(1, this.canvasWidth - FIT_MARGIN * 2);
+        const height = Math.max(1, this.canvasHeight - FIT_MARGIN * 2);
+        const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, width / rect.width, height / rect.height));
+
+        this.setView({
+            zoom,
+            panX: this.canvasWidth / 2 - (rect.x + rect.width / 2) * zoom,
+            panY: this.canvasHeight / 2 - (rect.y + rect.height / 2) * zoom
+        });
+    }
+
+    /**
+     * Pan so a canvas point is at the center of the canvas element
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     */
+    centerOn(x, y) {
+        this.setView({
+            panX: this.canvasWidth / 2 - x * this.zoom,
+            panY: this.canvasHeight / 2 - y * this.zoom
+        });
     }
 
     /**
      * Pan canvas
-     * @param {number} deltaX - Pan delta X
-     * @param {number} deltaY - Pan delta Y
+     * @param {number} deltaX - Pan delta X in screen pixels
+     * @param {number} deltaY - Pan delta Y in screen pixels
      */
     panCanvas(deltaX, deltaY) {
         this.panX += deltaX;
@@ -142,15 +226,29 @@ export class CanvasManager {
 
     /**
      * Convert screen coordinates to canvas coordinates
-     * @param {number} x - Screen X
-     * @param {number} y - Screen Y
+     * @param {number} x - Screen X (client coordinates)
+     * @param {number} y - Screen Y (client coordinates)
      * @returns {Object} Canvas coordinates
      */
     screenToCanvas(x, y) {
         const rect = this.canvas.getBoundingClientRect();
         return {
-            x: (x - rect.left) / this.zoom,
-            y: (y - rect.top) / this.zoom
+            x: (x - rect.left - this.panX) / this.zoom,
+            y: (y - rect.top - this.panY) / this.zoom
+        };
+    }
+
+    /**
+     * Convert canvas coordinates to screen coordinates
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {Object} Screen coordinates (client coordinates)
+     */
+    canvasToScreen(x, y) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: rect.left + x * this.zoom + this.panX,
+            y: rect.top + y * this.zoom + this.panY
         };
     }
 
@@ -209,7 +307,6 @@ export class CanvasManager {
         
         this.isDrawing = false;
         this.lastPoint = null;
-        this.eventBus.emit('canvas:change');
     }
 
     /**
@@ -305,23 +402,23 @@ export class CanvasManager {
      * Clear entire canvas
      */
     clear() {
-        this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
-    }
-
-    /**
-     * Get canvas state for undo/redo
-     * @returns {ImageData} Canvas state
-     */
-    getCanvasState() {
-        return this.ctx.getImageData(0, 0, this.canvasWidth, this.canvasHeight);
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
     }
 
     /**
-     * Restore canvas state for undo/redo
-     * @param {ImageData} state - Canvas state
+     * Get the area of the drawing currently in view, in canvas coordinates
+     * @returns {Object} Rectangle {x, y, width, height}
      */
-    restoreState(state) {
-        this.ctx.putImageData(state, 0, 0);
+    getViewportBounds() {
+        return {
+            x: -this.panX / this.zoom,
+            y: -this.panY / this.zoom,
+            width: this.canvasWidth / this.zoom,
+            height: this.canvasHeight / this.zoom
+        };
     }
 
     /**
@@ -336,10 +433,6 @@ export class CanvasManager {
      * Reset canvas transform
      */
     resetTransform() {
-        this.zoom = 1;
-        this.panX = 0;
-        this.panY = 0;
-        this.updateTransform();
-        this.eventBus.emit('zoom:changed', this.zoom);
+        this.setView({ zoom: 1, panX: 0, panY: 0 });
     }
 }
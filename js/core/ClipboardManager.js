@@ -0,0 +1,416 @@
+import { SVGUtils } from '../utils/SVGUtils.js';
+import { ImageUtils } from '../utils/ImageUtils.js';
+import { TextUtils } from '../utils/TextUtils.js';
+
+/**
+ * Clipboard type carrying the copied objects with every detail intact.
+ * Other applications get SVG and PNG copies of the objects instead.
+ */
+const CLIPBOARD_TYPE = 'application/x-drawing-app+json';
+
+/**
+ * How far each paste of the same copy, and each duplicate, lands from the original
+ */
+const PASTE_OFFSET = 20;
+
+/**
+ * Copies, cuts, pastes and duplicates objects through the system clipboard.
+ * Pastes from other applications become new objects: images as image
+ * objects, SVG markup as shapes and plain text as a text object. Image
+ * files from the file picker and drag and drop are inserted here too.
+ */
+export class ClipboardManager {
+    constructor(eventBus, objectManager, canvasManager, renderImage) {
+        this.eventBus = eventBus;
+        this.objectManager = objectManager;
+        this.canvasManager = canvasManager;
+        this.renderImage = renderImage;
+
+        // Last copy, for pastes that can't read our type from the system clipboard
+        this.copied = null;
+        this.pasteCount = 0;
+
+        // Pointer over the canvas in client coordinates, for pasting at the cursor
+        this.pointer = null;
+        this.pasteAtPointer = false;
+        this.currentTool = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.addEventListener('copy', (e) => this.handleCopy(e, false));
+        document.addEventListener('cut', (e) => this.handleCopy(e, true));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+
+        // The paste event doesn't tell whether Shift was held
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'v') {
+                this.pasteAtPointer = e.shiftKey;
+            }
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            this.pointer = e.target === this.canvasManager.canvas ? { x: e.clientX, y: e.clientY } : null;
+        });
+
+        this.eventBus.on('tool:selected', (toolName) => {
+            this.currentTool = toolName;
+        });
+
+        // Menu commands
+        this.eventBus.on('action:copy', () => this.copyFromMenu(false));
+        this.eventBus.on('action:cut', () => this.copyFromMenu(true));
+        this.eventBus.on('action:paste', (at) => this.pasteFromMenu(at));
+        this.eventBus.on('action:duplicate', () => this.duplicateSelection());
+
+        // Images from the file picker or dropped on the canvas
+        this.eventBus.on('image:insert', (files, at) => this.insertImages(files, at));
+    }
+
+    /**
+     * Check whether an event belongs to a text field, which keeps the native clipboard behavior
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True for inputs, text areas and editable content
+     */
+    isTextField(target) {
+        return !!(target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    /**
+     * Put the selected objects on the clipboard
+     * @param {ClipboardEvent} e - Copy or cut event
+     * @param {boolean} cut - Delete the objects afterwards
+     */
+    handleCopy(e, cut) {
+        if (this.isTextField(e.target)) return;
+        if (!this.copySelection(e.clipboardData)) return;
+
+        e.preventDefault();
+        if (cut) {
+            this.cutSelection();
+        }
+    }
+
+    /**
+     * Serialize the selected objects and write them to a clipboard data transfer
+     * @param {DataTransfer|null} clipboardData - Clipboard to write to; null only remembers the copy
+     * @returns {boolean} True if anything was selected
+     */
+    copySelection(clipboardData) {
+        // Keep draw order so pasted objects stack the same way
+        const objects = this.objectManager.getAllObjects().filter(obj => this.objectManager.isSelected(obj.id));
+        if (objects.length === 0) return false;
+
+        const json = JSON.stringify({ objects: objects.map(obj => this.objectManager.snapshot(obj)) });
+        const svg = SVGUtils.createSVG(this.objectManager, { objects, padding: 0 });
+
+        if (clipboardData) {
+            clipboardData.setData(CLIPBOARD_TYPE, json);
+            clipboardData.setData('image/svg+xml', svg);
+            clipboardData.setData('text/plain', svg);
+            this.writeImageCopy(objects, json, svg);
+        }
+
+        this.copied = { json, svg };
+        this.pasteCount = 0;
+        return true;
+    }
+
+    /**
+     * Add a PNG of the objects for applications that only take images. Copy events
+     * can't carry binary data, so the clipboard is written again through the
+     * asynchronous API; pastes here still get the objects back (see pasteContent).
+     * @param {Array} objects - Copied objects
+     * @param {string} json - Serialized objects
+     * @param {string} svg - SVG copy of the objects
+     */
+    writeImageCopy(objects, json, svg) {
+        if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') return;
+
+        // Rendered now, before a cut deletes the objects
+        const area = SVGUtils.getViewBox(this.objectManager, objects, 0);
+        const image = this.renderImage(area, this.canvasManager.pixelRatio, new Set(objects.map(obj => obj.id)));
+        const png = new Promise((resolve, reject) => {
+            image.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to render PNG')), 'image/png');
+        });
+
+        const data = { 'text/plain': new Blob([svg], { type: 'text/plain' }), 'image/png': png };
+        if (ClipboardItem.supports?.('image/svg+xml')) {
+            data['image/svg+xml'] = new Blob([svg], { type: 'image/svg+xml' });
+        }
+        if (ClipboardItem.supports?.(`web ${CLIPBOARD_TYPE}`)) {
+            data[`web ${CLIPBOARD_TYPE}`] = new Blob([json], { type: CLIPBOARD_TYPE });
+        }
+
+        // Without clipboard permission the copy event's data stays on the clipboard
+        navigator.clipboard.write([new ClipboardItem(data)]).catch(error => {
+            console.warn('Image copy failed:', error);
+        });
+    }
+
+    /**
+     * Delete the objects that were just copied. The first paste of a cut lands where they were.
+     */
+    cutSelection() {
+        this.objectManager.deleteSelected();
+        this.pasteCount = -1;
+    }
+
+    /**
+     * Copy or cut from a menu, going through the browser's copy command so the
+     * system clipboard is written as with the keyboard shortcut
+     * @param {boolean} cut - Delete the objects afterwards
+     */
+    copyFromMenu(cut) {
+        let copied = false;
+        try {
+            copied = document.execCommand(cut ? 'cut' : 'copy');
+        } catch (error) {
+            copied = false;
+        }
+
+        // Without clipboard access the copy is still available to paste in this app
+        if (!copied && this.copySelection(null) && cut) {
+            this.cutSelection();
+        }
+    }
+
+    /**
+     * Paste whatever the clipboard holds
+     * @param {ClipboardEvent} e - Paste event
+     */
+    handlePaste(e) {
+        if (this.isTextField(e.target) || !e.clipboardData) return;
+
+        const data = e.clipboardData;
+        const content = {
+            json: data.getData(CLIPBOARD_TYPE),
+            svg: data.getData('image/svg+xml'),
+            text: data.getData('text/plain'),
+            image: [...data.files].find(file => file.type.startsWith('image/')) || null
+        };
+        const at = this.pasteAtPointer ? this.getPointerPoint() : null;
+        this.pasteAtPointer = false;
+
+        if (!content.json && !content.svg && !content.text && !content.image) return;
+
+        e.preventDefault();
+        this.pasteContent(content, at);
+    }
+
+    /**
+     * Paste from a menu. Menus can't receive paste events, so the clipboard is
+     * read through the asynchronous clipboard API, falling back to the last copy.
+     * @param {Object} at - Canvas point {x, y} to center the paste on, or null
+     */
+    async pasteFromMenu(at = null) {
+        try {
+            const items = await navigator.clipboard.read();
+            for (const item of items) {
+                const imageType = item.types.find(type => type.startsWith('image/') && type !== 'image/svg+xml');
+                const read = async (type) => item.types.includes(type) ? (await item.getType(type)).text() : '';
+                const content = {
+                    json: await read(`web ${CLIPBOARD_TYPE}`),
+                    text: await read('text/plain'),
+                    image: imageType ? await item.getType(imageType) : null
+                };
+
+                // Our own copies carry a PNG too; pasteContent prefers the objects
+                if (content.json || content.text || content.image) {
+                    await this.pasteContent(content, at);
+                    return;
+                }
+            }
+        } catch (error) {
+            // Clipboard access denied or unsupported
+            if (this.copied) {
+                await this.pasteContent({ json: this.copied.json }, at);
+            }
+        }
+    }
+
+    /**
+     * Turn clipboard content into new objects. Our own objects win over
+     * images, then SVG, then plain text.
+     * @param {Object} content - Content {json, svg, text, image}; any may be missing
+     * @param {Object} at - Canvas point {x, y} to center the paste on, or null
+     */
+    async pasteContent(content, at) {
+        let { json, svg, text, image } = content;
+
+        // Our SVG fallback came back, e.g. read through the clipboard API; use the full copy instead
+        if (!json && this.copied && [svg, text].includes(this.copied.svg)) {
+            json = this.copied.json;
+        }
+
+        if (json) {
+            const objects = this.parseObjects(json);
+            if (objects) {
+                this.insertObjects(objects, at, this.nextPasteOffset());
+                return;
+            }
+        }
+
+        if (image) {
+            await this.insertImages([image], at);
+            return;
+        }
+
+        const markup = svg || (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text || '') ? text : null);
+        if (markup) {
+            try {
+                const { objects } = SVGUtils.parseSVG(markup);
+                if (objects.length > 0) {
+                    this.insertObjects(objects, at || this.getViewCenter());
+                    return;
+                }
+            } catch (error) {
+                // Not usable as SVG; paste it as text below
+            }
+        }
+
+        if (text && text.trim()) {
+            this.insertObjects([this.createTextObject(text.replace(/\s+$/, ''))], at || this.getViewCenter());
+        }
+    }
+
+    /**
+     * Add image files as image objects, cascading from a point
+     * @param {Array<Blob>} files - Image files; other files are ignored
+     * @param {Object} at - Canvas point {x, y} to center the first image on, or null for the view center
+     */
+    async insertImages(files, at = null) {
+        const center = at || this.getViewCenter();
+        const images = [...files].filter(file => file.type.startsWith('image/'));
+
+        const objects = [];
+        for (const [i, file] of images.entries()) {
+            try {
+                objects.push(await ImageUtils.createImageObject(file, {
+                    x: center.x + i * PASTE_OFFSET,
+                    y: center.y + i * PASTE_OFFSET
+                }));
+            } catch (error) {
+                console.warn('Image insert failed:', error);
+            }
+        }
+
+        if (objects.length > 0) {
+            this.insertObjects(objects, null);
+        }
+    }
+
+    /**
+     * Read objects from our clipboard type
+     * @param {string} json - Clipboard JSON
+     * @returns {Array|null} Object data, or null if the data is not ours
+     */
+    parseObjects(json) {
+        try {
+            const { objects } = JSON.parse(json);
+            return Array.isArray(objects) && objects.length > 0 ? objects : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the offset for the next paste of the current copy, so repeated pastes cascade
+     * @returns {Object} Offset {x, y}
+     */
+    nextPasteOffset() {
+        this.pasteCount++;
+        return { x: PASTE_OFFSET * this.pasteCount, y: PASTE_OFFSET * this.pasteCount };
+    }
+
+    /**
+     * Duplicate the selected objects next to the originals, without touching the clipboard
+     */
+    duplicateSelection() {
+        const objects = this.objectManager.getAllObjects()
+            .filter(obj => this.objectManager.isSelected(obj.id))
+            .map(obj => this.objectManager.snapshot(obj));
+        if (objects.length === 0) return;
+
+        this.insertObjects(objects, null, { x: PASTE_OFFSET, y: PASTE_OFFSET });
+    }
+
+    /**
+     * Add object data as new objects in one undo step and select them
+     * @param {Array} objects - Object data
+     * @param {Object} center - Canvas point {x, y} to center the objects on, or null to keep their position
+     * @param {Object} offset - Offset {x, y} from their position, used when there is no center
+     */
+    insertObjects(objects, center, offset = { x: 0, y: 0 }) {
+        this.eventBus.emit('history:batch-start', 'insert');
+
+        const ids = objects.map(object => this.objectManager.addObject(this.withoutIds(object)));
+        const added = ids.map(id => this.objectManager.getObject(id)).filter(Boolean);
+
+        let deltaX = offset.x;
+        let deltaY = offset.y;
+        if (center) {
+            const bounds = this.objectManager.getCombinedBounds(added);
+            deltaX = center.x - (bounds.x + bounds.width / 2);
+            deltaY = center.y - (bounds.y + bounds.height / 2);
+        }
+        if (deltaX !== 0 || deltaY !== 0) {
+            added.forEach(object => this.objectManager.moveObject(object.id, deltaX, deltaY));
+        }
+
+        this.eventBus.emit('history:batch-end');
+
+        // Show the new objects selected so they can be moved right away
+        if (this.currentTool !== 'select') {
+            this.eventBus.emit('tool:select', 'select');
+        }
+        this.objectManager.setSelection(added.map(object => object.id));
+    }
+
+    /**
+     * Copy object data without IDs, including group children, so it gets fresh ones when added
+     * @param {Object} object - Object data
+     * @returns {Object} Object data without IDs
+     */
+    withoutIds(object) {
+        const { id, ...data } = object;
+        if (data.children) {
+            data.children = data.children.map(child => this.withoutIds(child));
+        }
+        return data;
+    }
+
+    /**
+     * Build a text object for pasted plain text, using the default text style
+     * @param {string} text - Text
+     * @returns {Object} Object data
+     */
+    createTextObject(text) {
+        const properties = TextUtils.getTextProperties({ opacity: 1 });
+        const layout = TextUtils.measureText(text, properties);
+
+        return { type: 'text', x: 0, y: 0, width: layout.width, height: layout.height, text, properties };
+    }
+
+    /**
+     * Get the pointer position on the canvas
+     * @returns {Object|null} Canvas point {x, y}, or null if the pointer is not over the canvas
+     */
+    getPointerPoint() {
+        return this.pointer ? this.canvasManager.screenToCanvas(this.pointer.x, this.pointer.y) : null;
+    }
+
+    /**
+     * Get the canvas point at the center of the visible area
+     * @returns {Object} Canvas point {x, y}
+     */
+    getViewCenter() {
+        const canvas = this.canvasManager.canvas;
+        const rect = (canvas.parentElement || canvas).getBoundingClientRect();
+        return this.canvasManager.screenToCanvas(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+}
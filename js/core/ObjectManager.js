@@ -1,13 +1,52 @@
+import { TextUtils } from '../utils/TextUtils.js';
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+import { PathUtils } from '../utils/PathUtils.js';
+import { ImageUtils } from '../utils/ImageUtils.js';
+import { SpatialIndex } from './SpatialIndex.js';
+
+/**
+ * Simplification tolerance for the pieces left by the eraser, in pixels
+ */
+const ERASE_SIMPLIFY_TOLERANCE = 0.25;
+
+/**
+ * How far an arrowhead reaches past the arrow's points
+ */
+const ARROW_HEAD_REACH = 8;
+
 /**
- * Manages drawable objects for selection and manipulation
+ * Style properties each object type uses, besides opacity which every type has
+ */
+const STYLE_PROPERTIES = {
+    rectangle: ['strokeColor', 'strokeWidth', 'fillColor', 'enableFill'],
+    circle: ['strokeColor', 'strokeWidth', 'fillColor', 'enableFill'],
+    freehand: ['strokeColor', 'strokeWidth', 'fillColor', 'enableFill'],
+    line: ['strokeColor', 'strokeWidth'],
+    arrow: ['strokeColor', 'strokeWidth'],
+    text: ['color', 'fontFamily', 'fontSize', 'fontWeight', 'textAlign'],
+    image: [],
+    group: []
+};
+
+/**
+ * Manages drawable objects for selection and manipulation.
+ * Objects are owned by layers; layers are ordered bottom to top.
  */
 export class ObjectManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
-        this.objects = [];
+        this.layers = [];
+        this.activeLayerId = null;
+        this.selection = new Set();
         this.selectedObject = null;
         this.nextId = 1;
+        this.nextLayerId = 1;
+        this.isReplaying = false;
+        
+        // Bounds of the top-level objects, so lookups by position don't test every object
+        this.spatialIndex = new SpatialIndex();
         
+        this.resetLayers();
         this.setupEventListeners();
     }
 
@@ -38,16 +77,110 @@ export class ObjectManager {
         this.eventBus.on('object:resize', (objectId, scaleX, scaleY) => {
             this.resizeObject(objectId, scaleX, scaleY);
         });
+
+        this.eventBus.on('object:update', (objectId, changes) => {
+            this.updateObject(objectId, changes);
+        });
+
+        this.eventBus.on('object:update-properties', (objectId, properties) => {
+            this.updateObjectProperties(objectId, properties);
+        });
+
+        this.eventBus.on('selection:update-properties', (properties) => {
+            this.updateSelectionProperties(properties);
+        });
+
+        this.eventBus.on('selection:update-geometry', (changes) => {
+            this.updateSelectionGeometry(changes);
+        });
+
+        // Layers
+        this.eventBus.on('layers:request', () => {
+            this.emitLayersChanged();
+        });
+
+        this.eventBus.on('layer:add', () => {
+            this.addLayer();
+        });
+
+        this.eventBus.on('layer:delete', (layerId) => {
+            this.deleteLayer(layerId);
+        });
+
+        this.eventBus.on('layer:activate', (layerId) => {
+            this.setActiveLayer(layerId);
+        });
+
+        this.eventBus.on('layer:update', (layerId, changes) => {
+            this.updateLayer(layerId, changes);
+        });
+
+        this.eventBus.on('layer:move', (layerId, direction) => {
+            this.moveLayer(layerId, direction);
+        });
+
+        this.eventBus.on('layer:move-selection', (layerId) => {
+            this.moveSelectionToLayer(layerId);
+        });
     }
 
     /**
      * Add a new object
      * @param {Object} object - Object to add
+     * @param {string} layerId - Layer to add to (defaults to the active layer)
+     * @param {number} index - Position in the layer (defaults to the top)
      * @returns {string} Object ID
      */
-    addObject(object) {
+    addObject(object, layerId = null, index = null) {
         const id = 'obj_' + this.nextId++;
-        const fullObject = {
+        const layer = this.getLayer(layerId) || this.getEditableLayer();
+        
+        this.placeObject(this.createObject(object, id), layer, index === null ? layer.objects.length : index);
+        
+        return id;
+    }
+
+    /**
+     * Put a complete object into a layer and record it as an addition
+     * @param {Object} object - Complete object record
+     * @param {Object} layer - Layer to add to
+     * @param {number} index - Position in the layer's draw order
+     */
+    placeObject(object, layer, index) {
+        layer.objects.splice(index, 0, object);
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        
+        const snapshot = this.snapshot(object);
+        this.record({
+            type: 'add',
+            undo: () => this.deleteObject(object.id),
+            redo: () => this.insertObject(snapshot, index, layer.id)
+        });
+    }
+
+    /**
+     * Insert a copy of a previously captured object at a given index
+     * @param {Object} snapshot - Object snapshot
+     * @param {number} index - Position in the layer's draw order
+     * @param {string} layerId - Layer to insert into (defaults to the active layer)
+     */
+    insertObject(snapshot, index, layerId = this.activeLayerId) {
+        const layer = this.getLayer(layerId) || this.getActiveLayer();
+        const object = this.snapshot(snapshot);
+        layer.objects.splice(index, 0, object);
+        this.indexObject(object);
+        this.emitObjectsChanged();
+    }
+
+    /**
+     * Build a complete object record from partial object data
+     * @param {Object} object - Object data
+     * @param {string} id - Object ID
+     * @returns {Object} Object with every field populated
+     */
+    createObject(object, id) {
+        return {
             id,
             type: object.type,
             x: object.x || 0,
@@ -57,16 +190,16 @@ export class ObjectManager {
             rotation: object.rotation || 0,
             properties: { ...object.properties },
             path: object.path || null, // For freehand drawings
+            smooth: object.smooth || false, // Freehand path holds curve points rather than a polyline
             points: object.points || null, // For lines/arrows
             radius: object.radius || null, // For circles
-            timestamp: Date.now(),
-            visible: true
+            text: object.text || null, // For text
+            src: object.src || null, // For images
+            crop: object.crop || null, // Visible part of an image's source, as fractions of its size
+            children: object.children ? object.children.map(child => this.createObject(child, child.id || 'obj_' + this.nextId++)) : null, // For groups
+            timestamp: object.timestamp || Date.now(),
+            visible: object.visible !== false
         };
-
-        this.objects.push(fullObject);
-        this.eventBus.emit('objects:changed', this.objects);
-        
-        return id;
     }
 
     /**
@@ -75,143 +208,1150 @@ export class ObjectManager {
      * @returns {Object|null} Object or null
      */
     getObject(objectId) {
-        return this.objects.find(obj => obj.id === objectId) || null;
+        const location = this.findObjectLocation(objectId);
+        return location ? location.layer.objects[location.index] : null;
+    }
+
+    /**
+     * Find the layer and index holding an object
+     * @param {string} objectId - Object ID
+     * @returns {Object|null} Location {layer, index} or null
+     */
+    findObjectLocation(objectId) {
+        for (const layer of this.layers) {
+            const index = layer.objects.findIndex(obj => obj.id === objectId);
+            if (index !== -1) {
+                return { layer, index };
+            }
+        }
+        return null;
     }
 
     /**
-     * Get all objects
+     * Get all objects in draw order (bottom layer first)
      * @returns {Array} All objects
      */
     getAllObjects() {
-        return [...this.objects];
+        return this.layers.flatMap(layer => layer.objects);
+    }
+
+    /**
+     * Get the objects that are shown: those on visible layers that aren't hidden themselves
+     * @returns {Array} Visible objects in draw order
+     */
+    getVisibleObjects() {
+        return this.layers
+            .filter(layer => layer.visible)
+            .flatMap(layer => layer.objects.filter(obj => obj.visible));
+    }
+
+    /**
+     * Get objects together with every object nested inside groups
+     * @param {Array} objects - Objects to flatten (defaults to all objects)
+     * @returns {Array} Objects and their descendants
+     */
+    flattenObjects(objects = this.getAllObjects()) {
+        return objects.flatMap(obj => [obj, ...(obj.children ? this.flattenObjects(obj.children) : [])]);
+    }
+
+    /**
+     * Notify listeners that objects changed
+     */
+    emitObjectsChanged() {
+        this.eventBus.emit('objects:changed', this.getAllObjects());
     }
 
     /**
      * Select an object
      * @param {string} objectId - Object ID to select
+     * @param {boolean} additive - Add to the current selection instead of replacing it
      */
-    selectObject(objectId) {
+    selectObject(objectId, additive = false) {
         const object = this.getObject(objectId);
         if (object) {
-            this.selectedObject = object;
-            this.eventBus.emit('object:selected', object);
+            if (!additive) {
+                this.selection.clear();
+            }
+            this.selection.delete(objectId);
+            this.selection.add(objectId);
+            this.emitSelectionChanged();
+        }
+    }
+
+    /**
+     * Add an object to the selection, or remove it if already selected
+     * @param {string} objectId - Object ID to toggle
+     */
+    toggleSelection(objectId) {
+        if (this.selection.has(objectId)) {
+            this.selection.delete(objectId);
+            this.emitSelectionChanged();
+        } else {
+            this.selectObject(objectId, true);
         }
     }
 
+    /**
+     * Replace the selection with a set of objects
+     * @param {Array<string>} objectIds - Object IDs to select
+     */
+    setSelection(objectIds) {
+        this.selection = new Set(objectIds.filter(id => this.getObject(id)));
+        this.emitSelectionChanged();
+    }
+
     /**
      * Deselect all objects
      */
     deselectAll() {
-        this.selectedObject = null;
-        this.eventBus.emit('object:deselected');
+        this.selection.clear();
+        this.emitSelectionChanged();
     }
 
     /**
-     * Get selected object
+     * Check if an object is selected
+     * @param {string} objectId - Object ID
+     * @returns {boolean} True if selected
+     */
+    isSelected(objectId) {
+        return this.selection.has(objectId);
+    }
+
+    /**
+     * Get selected object (the most recently selected one)
      * @returns {Object|null} Selected object or null
      */
     getSelectedObject() {
         return this.selectedObject;
     }
 
+    /**
+     * Get all selected objects in selection order
+     * @returns {Array} Selected objects
+     */
+    getSelectedObjects() {
+        return [...this.selection].map(id => this.getObject(id)).filter(Boolean);
+    }
+
+    /**
+     * Get combined bounds of the selection
+     * @returns {Object|null} Bounds {x, y, width, height} or null if nothing is selected
+     */
+    getSelectionBounds() {
+        return this.getCombinedBounds(this.getSelectedObjects());
+    }
+
+    /**
+     * Get the box that selection handles are drawn on. A single rotated object
+     * gets its own oriented box; anything else gets the axis-aligned bounds.
+     * @returns {Object|null} Frame {x, y, width, height, rotation} in the frame's unrotated space, or null
+     */
+    getSelectionFrame() {
+        const selected = this.getSelectedObjects();
+        if (selected.length === 0) return null;
+        
+        if (selected.length === 1 && selected[0].rotation) {
+            return { ...this.getLocalBounds(selected[0]), rotation: selected[0].rotation };
+        }
+        return { ...this.getSelectionBounds(), rotation: 0 };
+    }
+
+    /**
+     * Get combined bounds of several objects
+     * @param {Array} objects - Objects
+     * @returns {Object|null} Bounds {x, y, width, height} or null for an empty list
+     */
+    getCombinedBounds(objects) {
+        if (objects.length === 0) return null;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        objects.forEach(obj => {
+            const bounds = this.getObjectBounds(obj);
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+        
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Sync the primary selected object and notify listeners
+     */
+    emitSelectionChanged() {
+        const selected = this.getSelectedObjects();
+        this.selectedObject = selected[selected.length - 1] || null;
+        
+        if (this.selectedObject) {
+            this.eventBus.emit('object:selected', this.selectedObject);
+        } else {
+            this.eventBus.emit('object:deselected');
+        }
+        this.eventBus.emit('selection:changed', selected);
+    }
+
+    /**
+     * Delete all selected objects as a single undo step
+     */
+    deleteSelected() {
+        const ids = [...this.selection];
+        if (ids.length === 0) return;
+        
+        this.eventBus.emit('history:batch-start', 'delete');
+        ids.forEach(id => this.deleteObject(id));
+        this.eventBus.emit('history:batch-end');
+    }
+
+    /**
+     * Combine the selected objects into a single group as one undo step.
+     * The group takes the place of the topmost selected object.
+     * @returns {string|null} Group ID or null if fewer than two objects are selected
+     */
+    groupSelected() {
+        // Keep members in draw order so the group renders them as before
+        const members = this.getAllObjects().filter(obj => this.selection.has(obj.id));
+        if (members.length < 2) return null;
+        
+        const top = this.findObjectLocation(members[members.length - 1].id);
+        const index = top.layer.objects.slice(0, top.index).filter(obj => !this.selection.has(obj.id)).length;
+        const bounds = this.getCombinedBounds(members);
+        
+        this.eventBus.emit('history:batch-start', 'group');
+        members.forEach(obj => this.deleteObject(obj.id));
+        const groupId = this.addObject({
+            type: 'group',
+            ...bounds,
+            children: members.map(obj => this.snapshot(obj))
+        }, top.layer.id, index);
+        this.eventBus.emit('history:batch-end');
+        
+        this.selectObject(groupId);
+        return groupId;
+    }
+
+    /**
+     * Break every selected group back into its children as one undo step.
+     * Children are selected afterwards.
+     */
+    ungroupSelected() {
+        const groups = this.getSelectedObjects().filter(obj => obj.type === 'group');
+        if (groups.length === 0) return;
+        
+        const keep = this.getSelectedObjects().filter(obj => obj.type !== 'group').map(obj => obj.id);
+        const released = [];
+        
+        this.eventBus.emit('history:batch-start', 'ungroup');
+        groups.forEach(group => {
+            const { layer, index } = this.findObjectLocation(group.id);
+            const center = this.getRotationCenter(group);
+            this.deleteObject(group.id);
+            group.children.forEach((child, i) => {
+                // Children are stored in the group's unrotated frame; bake the group's rotation in
+                const copy = this.snapshot(child);
+                if (group.rotation) {
+                    this.rotateGeometry(copy, group.rotation, center.x, center.y);
+                }
+                this.placeObject(copy, layer, index + i);
+                released.push(child.id);
+            });
+        });
+        this.eventBus.emit('history:batch-end');
+        
+        this.setSelection([...keep, ...released]);
+    }
+
+    /**
+     * Move the selected objects one step towards the front of their layers
+     */
+    bringForward() {
+        this.arrangeSelection('forward');
+    }
+
+    /**
+     * Move the selected objects one step towards the back of their layers
+     */
+    sendBackward() {
+        this.arrangeSelection('backward');
+    }
+
+    /**
+     * Move the selected objects to the front of their layers
+     */
+    bringToFront() {
+        this.arrangeSelection('front');
+    }
+
+    /**
+     * Move the selected objects to the back of their layers
+     */
+    sendToBack() {
+        this.arrangeSelection('back');
+    }
+
+    /**
+     * Reorder the selected objects within their layers as one undo step
+     * @param {string} mode - 'forward', 'backward', 'front' or 'back'
+     */
+    arrangeSelection(mode) {
+        if (this.selection.size === 0) return;
+        
+        this.eventBus.emit('history:batch-start', 'arrange');
+        this.layers.forEach(layer => {
+            const order = this.getArrangedOrder(layer.objects, mode);
+            if (order.some((obj, i) => obj !== layer.objects[i])) {
+                this.setLayerOrder(layer.id, order.map(obj => obj.id));
+            }
+        });
+        this.eventBus.emit('history:batch-end');
+    }
+
+    /**
+     * Line the selected objects up along an edge or center of the selection bounds, as one undo step
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     */
+    alignSelection(edge) {
+        const selected = this.getSelectedObjects();
+        if (selected.length < 2) return;
+        
+        const target = this.getSelectionBounds();
+        const horizontal = ['left', 'center', 'right'].includes(edge);
+        
+        // Fraction of the box that lines up: 0 start, 0.5 center, 1 end
+        const anchor = { left: 0, top: 0, center: 0.5, middle: 0.5, right: 1, bottom: 1 }[edge];
+        if (anchor === undefined) return;
+        
+        this.eventBus.emit('history:batch-start', 'align');
+        selected.forEach(object => {
+            const bounds = this.getObjectBounds(object);
+            const delta = horizontal
+                ? target.x + target.width * anchor - (bounds.x + bounds.width * anchor)
+                : target.y + target.height * anchor - (bounds.y + bounds.height * anchor);
+            if (delta !== 0) {
+                this.moveObject(object.id, horizontal ? delta : 0, horizontal ? 0 : delta);
+            }
+        });
+        this.eventBus.emit('history:batch-end');
+    }
+
+    /**
+     * Space the selected objects evenly between the outermost ones, as one undo step
+     * @param {string} axis - 'horizontal' or 'vertical'
+     */
+    distributeSelection(axis) {
+        const selected = this.getSelectedObjects();
+        if (selected.length < 3) return;
+        
+        const position = axis === 'vertical' ? 'y' : 'x';
+        const size = axis === 'vertical' ? 'height' : 'width';
+        const items = selected
+            .map(object => ({ object, bounds: this.getObjectBounds(object) }))
+            .sort((a, b) => a.bounds[position] - b.bounds[position]);
+        
+        const start = items[0].bounds[position];
+        const end = Math.max(...items.map(item => item.bounds[position] + item.bounds[size]));
+        const totalSize = items.reduce((sum, item) => sum + item.bounds[size], 0);
+        const gap = (end - start - totalSize) / (items.length - 1);
+        
+        this.eventBus.emit('history:batch-start', 'distribute');
+        let cursor = start;
+        items.forEach(({ object, bounds }) => {
+            const delta = cursor - bounds[position];
+            if (delta !== 0) {
+                this.moveObject(object.id, position === 'x' ? delta : 0, position === 'y' ? delta : 0);
+            }
+            cursor += bounds[size] + gap;
+        });
+        this.eventBus.emit('history:batch-end');
+    }
+
+    /**
+     * Compute a new draw order with the selected objects moved.
+     * Adjacent selected objects move together and keep their relative order.
+     * @param {Array} objects - Objects in draw order
+     * @param {string} mode - 'forward', 'backward', 'front' or 'back'
+     * @returns {Array} Reordered objects
+     */
+    getArrangedOrder(objects, mode) {
+        const isSelected = (obj) => this.selection.has(obj.id);
+        const order = [...objects];
+        
+        switch (mode) {
+            case 'front':
+                return [...order.filter(obj => !isSelected(obj)), ...order.filter(isSelected)];
+                
+            case 'back':
+                return [...order.filter(isSelected), ...order.filter(obj => !isSelected(obj))];
+                
+            case 'forward':
+                for (let i = order.length - 2; i >= 0; i--) {
+                    if (isSelected(order[i]) && !isSelected(order[i + 1])) {
+                        [order[i], order[i + 1]] = [order[i + 1], order[i]];
+                    }
+                }
+                return order;
+                
+            case 'backward':
+                for (let i = 1; i < order.length; i++) {
+                    if (isSelected(order[i]) && !isSelected(order[i - 1])) {
+                        [order[i], order[i - 1]] = [order[i - 1], order[i]];
+                    }
+                }
+                return order;
+                
+            default:
+                return order;
+        }
+    }
+
+    /**
+     * Set the draw order of a layer's objects
+     * @param {string} layerId - Layer ID
+     * @param {Array<string>} objectIds - Object IDs, bottom first
+     */
+    setLayerOrder(layerId, objectIds) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+        
+        const before = layer.objects.map(obj => obj.id);
+        const byId = new Map(layer.objects.map(obj => [obj.id, obj]));
+        layer.objects = objectIds.map(id => byId.get(id)).filter(Boolean);
+        
+        this.emitObjectsChanged();
+        this.eventBus.emit('objects:reordered', layer);
+        
+        this.record({
+            type: 'reorder',
+            undo: () => this.setLayerOrder(layerId, before),
+            redo: () => this.setLayerOrder(layerId, objectIds)
+        });
+    }
+
     /**
      * Delete an object
      * @param {string} objectId - Object ID to delete
      */
     deleteObject(objectId) {
-        const index = this.objects.findIndex(obj => obj.id === objectId);
-        if (index !== -1) {
-            const deletedObject = this.objects.splice(index, 1)[0];
+        const location = this.findObjectLocation(objectId);
+        if (location) {
+            const { layer, index } = location;
+            const deletedObject = layer.objects.splice(index, 1)[0];
+            this.spatialIndex.remove(objectId);
             
-            if (this.selectedObject && this.selectedObject.id === objectId) {
-                this.selectedObject = null;
-                this.eventBus.emit('object:deselected');
+            if (this.selection.delete(objectId)) {
+                this.emitSelectionChanged();
             }
             
-            this.eventBus.emit('objects:changed', this.objects);
+            this.emitObjectsChanged();
             this.eventBus.emit('object:deleted', deletedObject);
+            
+            const snapshot = this.snapshot(deletedObject);
+            this.record({
+                type: 'delete',
+                undo: () => this.insertObject(snapshot, index, layer.id),
+                redo: () => this.deleteObject(objectId)
+            });
+        }
+    }
+
+    /**
+     * Move an object
+     * @param {string} objectId - Object ID
+     * @param {number} deltaX - X movement
+     * @param {number} deltaY - Y movement
+     */
+    moveObject(objectId, deltaX, deltaY) {
+        const object = this.getObject(objectId);
+        if (object) {
+            this.translateObject(object, deltaX, deltaY);
+            this.spatialIndex.translate(objectId, deltaX, deltaY);
+            
+            this.emitObjectsChanged();
+            this.eventBus.emit('object:moved', object);
+            
+            const command = {
+                type: 'move',
+                mergeKey: `move:${objectId}`,
+                deltaX,
+                deltaY,
+                undo: () => this.moveObject(objectId, -command.deltaX, -command.deltaY),
+                redo: () => this.moveObject(objectId, command.deltaX, command.deltaY),
+                merge: (other) => {
+                    command.deltaX += other.deltaX;
+                    command.deltaY += other.deltaY;
+                }
+            };
+            this.record(command);
         }
     }
 
     /**
-     * Move an object
-     * @param {string} objectId - Object ID
-     * @param {number} deltaX - X movement
-     * @param {number} deltaY - Y movement
+     * Offset an object's geometry, including the children of groups
+     * @param {Object} object - Object to translate in place
+     * @param {number} deltaX - X movement
+     * @param {number} deltaY - Y movement
+     */
+    translateObject(object, deltaX, deltaY) {
+        object.x += deltaX;
+        object.y += deltaY;
+        
+        // Update path points for freehand drawings
+        if (object.path) {
+            object.path.forEach(point => {
+                point.x += deltaX;
+                point.y += deltaY;
+            });
+            PathUtils.invalidatePath2D(object);
+        }
+        
+        // Update line/arrow points
+        if (object.points) {
+            object.points.forEach(point => {
+                point.x += deltaX;
+                point.y += deltaY;
+            });
+        }
+        
+        if (object.children) {
+            object.children.forEach(child => this.translateObject(child, deltaX, deltaY));
+        }
+    }
+
+    /**
+     * Resize an object
+     * @param {string} objectId - Object ID
+     * @param {number} scaleX - X scale factor
+     * @param {number} scaleY - Y scale factor
+     */
+    resizeObject(objectId, scaleX, scaleY) {
+        const object = this.getObject(objectId);
+        if (object) {
+            // Scale around the center of the object
+            const bounds = this.getObjectBounds(object);
+            this.scaleObject(
+                objectId,
+                scaleX,
+                scaleY,
+                bounds.x + bounds.width / 2,
+                bounds.y + bounds.height / 2
+            );
+        }
+    }
+
+    /**
+     * Scale an object relative to a fixed origin point
+     * @param {string} objectId - Object ID
+     * @param {number} scaleX - X scale factor
+     * @param {number} scaleY - Y scale factor
+     * @param {number} originX - X coordinate that stays fixed
+     * @param {number} originY - Y coordinate that stays fixed
+     */
+    scaleObject(objectId, scaleX, scaleY, originX, originY) {
+        const object = this.getObject(objectId);
+        if (!object) return;
+        
+        const before = this.snapshot(object);
+        this.scaleGeometry(object, scaleX, scaleY, originX, originY);
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:resized', object);
+        
+        this.recordUpdate('resize', object, before);
+    }
+
+    /**
+     * Scale an object's geometry in place, including the children of groups
+     * @param {Object} object - Object to scale
+     * @param {number} scaleX - X scale factor
+     * @param {number} scaleY - Y scale factor
+     * @param {number} originX - X coordinate that stays fixed
+     * @param {number} originY - Y coordinate that stays fixed
+     */
+    scaleGeometry(object, scaleX, scaleY, originX, originY) {
+        if (!object.rotation) {
+            this.scaleLocalGeometry(object, scaleX, scaleY, originX, originY);
+            return;
+        }
+        
+        // A rotated object can't be skewed: scale it along its own axes by how much
+        // each axis is stretched, then move its center to where the scale puts it
+        const center = this.getRotationCenter(object);
+        const cos = Math.cos(object.rotation);
+        const sin = Math.sin(object.rotation);
+        const localScaleX = Math.hypot(scaleX * cos, scaleY * sin);
+        const localScaleY = Math.hypot(scaleX * sin, scaleY * cos);
+        
+        this.scaleLocalGeometry(object, localScaleX, localScaleY, center.x, center.y);
+        this.translateObject(
+            object,
+            (originX + (center.x - originX) * scaleX) - center.x,
+            (originY + (center.y - originY) * scaleY) - center.y
+        );
+    }
+
+    /**
+     * Scale an object along its own axes, keeping a point of its unrotated frame fixed on screen
+     * @param {string} objectId - Object ID
+     * @param {number} scaleX - Scale factor along the object's x axis
+     * @param {number} scaleY - Scale factor along the object's y axis
+     * @param {number} originX - X coordinate that stays fixed, in the object's unrotated frame
+     * @param {number} originY - Y coordinate that stays fixed, in the object's unrotated frame
+     */
+    scaleObjectInFrame(objectId, scaleX, scaleY, originX, originY) {
+        const object = this.getObject(objectId);
+        if (!object) return;
+        
+        const before = this.snapshot(object);
+        const origin = { x: originX, y: originY };
+        const anchor = CanvasUtils.rotatePoint(origin, this.getRotationCenter(object), object.rotation);
+        
+        this.scaleLocalGeometry(object, scaleX, scaleY, originX, originY);
+        
+        // The rotation center moved with the new size; shift back so the anchor stays put
+        const moved = CanvasUtils.rotatePoint(origin, this.getRotationCenter(object), object.rotation);
+        this.translateObject(object, anchor.x - moved.x, anchor.y - moved.y);
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:resized', object);
+        
+        this.recordUpdate('resize', object, before);
+    }
+
+    /**
+     * Scale an object's unrotated geometry in place, including the children of groups
+     * @param {Object} object - Object to scale
+     * @param {number} scaleX - X scale factor
+     * @param {number} scaleY - Y scale factor
+     * @param {number} originX - X coordinate that stays fixed
+     * @param {number} originY - Y coordinate that stays fixed
+     */
+    scaleLocalGeometry(object, scaleX, scaleY, originX, originY) {
+        const scalePoint = (point) => {
+            point.x = originX + (point.x - originX) * scaleX;
+            point.y = originY + (point.y - originY) * scaleY;
+        };
+        
+        scalePoint(object);
+        object.width *= scaleX;
+        object.height *= scaleY;
+        
+        if (object.radius) {
+            object.radius *= Math.min(scaleX, scaleY);
+        }
+        
+        // The font follows the vertical scale; the wrap width follows the horizontal one
+        if (object.type === 'text') {
+            const { fontSize } = TextUtils.getTextProperties(object.properties);
+            object.properties.fontSize = fontSize * scaleY;
+        }
+        
+        if (object.path) {
+            object.path.forEach(scalePoint);
+            PathUtils.invalidatePath2D(object);
+        }
+        
+        if (object.points) {
+            object.points.forEach(scalePoint);
+        }
+        
+        if (object.children) {
+            object.children.forEach(child => this.scaleGeometry(child, scaleX, scaleY, originX, originY));
+        }
+    }
+
+    /**
+     * Crop an image: show a different part of its source while the content stays where it is on screen
+     * @param {string} objectId - Image object ID
+     * @param {Object} rect - New visible rectangle {x, y, width, height} in the object's unrotated frame
+     * @param {Object} crop - Matching crop {x, y, width, height}, see ImageUtils.getCropForRect
+     */
+    cropImage(objectId, rect, crop) {
+        const object = this.getObject(objectId);
+        if (!object || object.type !== 'image') return;
+        
+        const before = this.snapshot(object);
+        const rotation = object.rotation || 0;
+        const corner = { x: rect.x, y: rect.y };
+        const anchor = CanvasUtils.rotatePoint(corner, this.getRotationCenter(object), rotation);
+        
+        Object.assign(object, rect, { crop });
+        
+        // The rotation center moved with the new size; shift back so the content stays put
+        const moved = CanvasUtils.rotatePoint(corner, this.getRotationCenter(object), rotation);
+        this.translateObject(object, anchor.x - moved.x, anchor.y - moved.y);
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:resized', object);
+        
+        this.recordUpdate('crop', object, before);
+    }
+
+    /**
+     * Show the whole source of an image again
+     * @param {string} objectId - Image object ID
+     */
+    resetImageCrop(objectId) {
+        const object = this.getObject(objectId);
+        if (!object || !object.crop) return;
+        
+        this.cropImage(objectId, ImageUtils.getFullImageRect(object), null);
+    }
+
+    /**
+     * Rotate an object around a pivot point
+     * @param {string} objectId - Object ID
+     * @param {number} angle - Rotation in radians, clockwise on screen
+     * @param {number} pivotX - Pivot X
+     * @param {number} pivotY - Pivot Y
+     */
+    rotateObject(objectId, angle, pivotX, pivotY) {
+        const object = this.getObject(objectId);
+        if (!object) return;
+        
+        const before = this.snapshot(object);
+        this.rotateGeometry(object, angle, pivotX, pivotY);
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:rotated', object);
+        
+        this.recordUpdate('rotate', object, before);
+    }
+
+    /**
+     * Rotate an object in place: its center orbits the pivot and its rotation grows by the angle
+     * @param {Object} object - Object to rotate
+     * @param {number} angle - Rotation in radians
+     * @param {number} pivotX - Pivot X
+     * @param {number} pivotY - Pivot Y
+     */
+    rotateGeometry(object, angle, pivotX, pivotY) {
+        const center = this.getRotationCenter(object);
+        const target = CanvasUtils.rotatePoint(center, { x: pivotX, y: pivotY }, angle);
+        this.translateObject(object, target.x - center.x, target.y - center.y);
+        
+        // Keep the angle within (-PI, PI]
+        let rotation = (object.rotation || 0) + angle;
+        rotation = Math.atan2(Math.sin(rotation), Math.cos(rotation));
+        object.rotation = Math.abs(rotation) < 1e-9 ? 0 : rotation;
+    }
+
+    /**
+     * Get the point an object rotates around: the center of its unrotated bounds
+     * @param {Object} obj - Object
+     * @returns {Object} Center {x, y}
+     */
+    getRotationCenter(obj) {
+        const bounds = this.getLocalBounds(obj);
+        return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    }
+
+    /**
+     * Get the corners of an object's oriented bounding box
+     * @param {Object} obj - Object
+     * @returns {Array} Corner points, clockwise from the unrotated top-left
+     */
+    getObjectCorners(obj) {
+        const { x, y, width, height } = this.getLocalBounds(obj);
+        const corners = [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height }
+        ];
+        if (!obj.rotation) return corners;
+        
+        const center = { x: x + width / 2, y: y + height / 2 };
+        return corners.map(corner => CanvasUtils.rotatePoint(corner, center, obj.rotation));
+    }
+
+    /**
+     * Update object geometry or other fields
+     * @param {string} objectId - Object ID
+     * @param {Object} changes - Fields to overwrite
+     */
+    updateObject(objectId, changes) {
+        const object = this.getObject(objectId);
+        if (!object) return;
+        
+        const before = this.snapshot(object);
+        Object.assign(object, changes);
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:updated', object);
+        
+        this.recordUpdate('update', object, before);
+    }
+
+    /**
+     * Update object style properties
+     * @param {string} objectId - Object ID
+     * @param {Object} properties - Properties to merge
+     */
+    updateObjectProperties(objectId, properties) {
+        const object = this.getObject(objectId);
+        if (!object) return;
+        
+        const before = this.snapshot(object);
+        object.properties = { ...object.properties, ...properties };
+        
+        this.indexObject(object);
+        this.emitObjectsChanged();
+        this.eventBus.emit('object:updated', object);
+        
+        this.recordUpdate('property', object, before);
+    }
+
+    /**
+     * Update style properties of every selected object as one undo step.
+     * Each object only takes the properties its type uses; groups pass
+     * them on to their children but keep opacity for themselves.
+     * @param {Object} properties - Properties to merge
+     */
+    updateSelectionProperties(properties) {
+        const selected = this.getSelectedObjects();
+        if (selected.length === 0) return;
+        
+        this.eventBus.emit('history:batch-start', 'properties');
+        selected.forEach(object => {
+            const before = this.snapshot(object);
+            this.applyStyleProperties(object, properties);
+            this.indexObject(object);
+            this.eventBus.emit('object:updated', object);
+            this.recordUpdate('property', object, before);
+        });
+        this.eventBus.emit('history:batch-end');
+        
+        this.emitObjectsChanged();
+    }
+
+    /**
+     * Merge the style properties an object uses into it, recursing into groups
+     * @param {Object} object - Object to update in place
+     * @param {Object} properties - Properties to merge
+     */
+    applyStyleProperties(object, properties) {
+        const used = STYLE_PROPERTIES[object.type] || [];
+        const changes = Object.fromEntries(
+            Object.entries(properties).filter(([name]) => name === 'opacity' || used.includes(name))
+        );
+        object.properties = { ...object.properties, ...changes };
+        
+        if (object.type === 'group') {
+            const { opacity, ...childProperties } = properties;
+            object.children.forEach(child => this.applyStyleProperties(child, childProperties));
+        }
+    }
+
+    /**
+     * Set the position, size or rotation of the selection as one undo step
+     * @param {Object} changes - Any of x, y (top-left of the selection bounds),
+     *     width, height (rectangles), radius (circles) and rotation (radians)
+     */
+    updateSelectionGeometry(changes) {
+        const selected = this.getSelectedObjects();
+        if (selected.length === 0) return;
+        
+        this.eventBus.emit('history:batch-start', 'geometry');
+        
+        selected.forEach(object => {
+            const size = {};
+            if (object.type === 'rectangle') {
+                if (changes.width !== undefined) size.width = Math.max(1, changes.width);
+                if (changes.height !== undefined) size.height = Math.max(1, changes.height);
+            }
+            if (object.type === 'circle' && changes.radius !== undefined) {
+                size.radius = Math.max(1, changes.radius);
+            }
+            if (Object.keys(size).length > 0) {
+                this.updateObject(object.id, size);
+            }
+            
+            // Circles look the same at any angle
+            if (changes.rotation !== undefined && object.type !== 'circle') {
+                const center = this.getRotationCenter(object);
+                const angle = changes.rotation - (object.rotation || 0);
+                if (angle !== 0) {
+                    this.rotateObject(object.id, angle, center.x, center.y);
+                }
+            }
+        });
+        
+        if (changes.x !== undefined || changes.y !== undefined) {
+            const bounds = this.getSelectionBounds();
+            const deltaX = changes.x !== undefined ? changes.x - bounds.x : 0;
+            const deltaY = changes.y !== undefined ? changes.y - bounds.y : 0;
+            if (deltaX !== 0 || deltaY !== 0) {
+                selected.forEach(object => this.moveObject(object.id, deltaX, deltaY));
+            }
+        }
+        
+        this.eventBus.emit('history:batch-end');
+    }
+
+    /**
+     * Find object at position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} Object at position or null
+     */
+    getObjectAtPosition(x, y) {
+        const candidates = this.spatialIndex.search({ x, y, width: 0, height: 0 });
+        if (candidates.size === 0) return null;
+        
+        // Check from top to bottom (last drawn = on top), skipping hidden and locked layers
+        for (let l = this.layers.length - 1; l >= 0; l--) {
+            const layer = this.layers[l];
+            if (!this.isLayerInteractive(layer)) continue;
+            
+            for (let i = layer.objects.length - 1; i >= 0; i--) {
+                const obj = layer.objects[i];
+                if (!obj.visible || !candidates.has(obj.id)) continue;
+                
+                if (this.isPointInObject(x, y, obj)) {
+                    return obj;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find every visible object touched by a circle, as used by the eraser
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Circle radius
+     * @returns {Array} Objects in draw order
+     */
+    getObjectsNearPoint(x, y, radius) {
+        const candidates = this.spatialIndex.search({ x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 });
+        
+        return this.layers
+            .filter(layer => this.isLayerInteractive(layer))
+            .flatMap(layer => layer.objects)
+            .filter(obj => obj.visible && candidates.has(obj.id) && this.isObjectNearPoint(obj, x, y, radius));
+    }
+
+    /**
+     * Check if a circle touches an object's outline or filled area
+     * @param {Object} obj - Object to check
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Circle radius
+     * @returns {boolean} True if the circle touches the object
+     */
+    isObjectNearPoint(obj, x, y, radius) {
+        if (obj.rotation) {
+            const local = CanvasUtils.rotatePoint({ x, y }, this.getRotationCenter(obj), -obj.rotation);
+            x = local.x;
+            y = local.y;
+        }
+        
+        const tolerance = radius + (obj.properties?.strokeWidth || 2) / 2;
+        
+        switch (obj.type) {
+            case 'rectangle':
+            case 'image':
+            case 'text': {
+                const bounds = this.getLocalBounds(obj);
+                const dx = Math.max(bounds.x - x, 0, x - (bounds.x + bounds.width));
+                const dy = Math.max(bounds.y - y, 0, y - (bounds.y + bounds.height));
+                return Math.hypot(dx, dy) <= tolerance;
+            }
+                
+            case 'circle':
+                return Math.hypot(x - obj.x, y - obj.y) <= obj.radius + tolerance;
+                
+            case 'line':
+            case 'arrow':
+                if (!obj.points || obj.points.length < 2) return false;
+                return this.isPointNearLine(x, y, obj.points[0], obj.points[1], tolerance);
+                
+            case 'freehand': {
+                if (!obj.path || obj.path.length === 0) return false;
+                const path = PathUtils.getRenderedPath(obj);
+                if (obj.properties.enableFill && this.isPointInPolygon(x, y, path)) return true;
+                if (path.length === 1) return Math.hypot(x - path[0].x, y - path[0].y) <= tolerance;
+                return this.isPointNearPath(x, y, path, tolerance);
+            }
+                
+            case 'group':
+                return obj.children.some(child => child.visible && this.isObjectNearPoint(child, x, y, radius));
+                
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Erase the part of a freehand stroke under a circle, splitting it into
+     * separate strokes where the circle cuts through
+     * @param {string} objectId - Freehand object ID
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Circle radius
+     * @returns {Array|null} IDs of the remaining pieces, or null if nothing was erased
+     */
+    erasePath(objectId, x, y, radius) {
+        const location = this.findObjectLocation(objectId);
+        if (!location) return null;
+        
+        const { layer, index } = location;
+        const object = layer.objects[index];
+        if (object.type !== 'freehand' || !object.path) return null;
+        
+        // Cut in the stroke's own frame, then bake its rotation into the pieces
+        const center = this.getRotationCenter(object);
+        const local = object.rotation
+            ? CanvasUtils.rotatePoint({ x, y }, center, -object.rotation)
+            : { x, y };
+        
+        const pieces = CanvasUtils.splitPathByCircle(PathUtils.getRenderedPath(object), {
+            x: local.x,
+            y: local.y,
+            radius: radius + (object.properties.strokeWidth || 2) / 2
+        });
+        if (!pieces) return null;
+        
+        const { id, ...data } = this.snapshot(object);
+        this.deleteObject(objectId);
+        
+        // Pieces are cut from the flattened curve, so they are stored as plain polylines
+        return pieces.map((piece, i) => {
+            const path = PathUtils.simplify(piece, ERASE_SIMPLIFY_TOLERANCE);
+            return this.addObject({
+                ...data,
+                rotation: 0,
+                smooth: false,
+                path: object.rotation
+                    ? path.map(point => ({ ...point, ...CanvasUtils.rotatePoint(point, center, object.rotation) }))
+                    : path
+            }, layer.id, index + i);
+        });
+    }
+
+    /**
+     * Find all visible objects intersecting a rectangle
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @returns {Array} Objects in draw order
+     */
+    getObjectsInRect(rect) {
+        const normalized = {
+            x: Math.min(rect.x, rect.x + rect.width),
+            y: Math.min(rect.y, rect.y + rect.height),
+            width: Math.abs(rect.width),
+            height: Math.abs(rect.height)
+        };
+        
+        const candidates = this.spatialIndex.search(normalized);
+        
+        return this.layers
+            .filter(layer => this.isLayerInteractive(layer))
+            .flatMap(layer => layer.objects)
+            .filter(obj => obj.visible && candidates.has(obj.id) && this.isObjectInRect(obj, normalized));
+    }
+
+    /**
+     * Find the top-level objects that may show within an area, e.g. to skip
+     * drawing objects outside the view. Hidden objects and layers are included.
+     * @param {Object} rect - Normalized rectangle {x, y, width, height}
+     * @returns {Set<string>} Object IDs
+     */
+    getObjectIdsInArea(rect) {
+        return this.spatialIndex.search(rect);
+    }
+
+    /**
+     * Check if an object intersects a rectangle
+     * @param {Object} obj - Object to check
+     * @param {Object} rect - Normalized rectangle {x, y, width, height}
+     * @returns {boolean} True if any part of the object is inside the rectangle
      */
-    moveObject(objectId, deltaX, deltaY) {
-        const object = this.getObject(objectId);
-        if (object) {
-            object.x += deltaX;
-            object.y += deltaY;
-            
-            // Update path points for freehand drawings
-            if (object.path) {
-                object.path.forEach(point => {
-                    point.x += deltaX;
-                    point.y += deltaY;
-                });
-            }
-            
-            // Update line/arrow points
-            if (object.points) {
-                object.points.forEach(point => {
-                    point.x += deltaX;
-                    point.y += deltaY;
-                });
+    isObjectInRect(obj, rect) {
+        const bounds = this.getObjectBounds(obj);
+        if (bounds.x > rect.x + rect.width || bounds.x + bounds.width < rect.x ||
+            bounds.y > rect.y + rect.height || bounds.y + bounds.height < rect.y) {
+            return false;
+        }
+        
+        // Rotated objects are tested by their oriented box
+        if (obj.rotation && obj.type !== 'circle') {
+            const corners = this.getObjectCorners(obj);
+            return this.isPathInRect([...corners, corners[0]], rect) ||
+                   this.isPointInPolygon(rect.x, rect.y, corners);
+        }
+        
+        switch (obj.type) {
+            case 'circle': {
+                const nearestX = Math.max(rect.x, Math.min(obj.x, rect.x + rect.width));
+                const nearestY = Math.max(rect.y, Math.min(obj.y, rect.y + rect.height));
+                return Math.hypot(obj.x - nearestX, obj.y - nearestY) <= obj.radius;
             }
-            
-            this.eventBus.emit('objects:changed', this.objects);
-            this.eventBus.emit('object:moved', object);
+                
+            case 'line':
+            case 'arrow':
+                return this.isPathInRect(obj.points, rect);
+                
+            case 'freehand':
+                return this.isPathInRect(PathUtils.getRenderedPath(obj), rect);
+                
+            case 'group':
+                return obj.children.some(child => child.visible && this.isObjectInRect(child, rect));
+                
+            default:
+                return true;
         }
     }
 
     /**
-     * Resize an object
-     * @param {string} objectId - Object ID
-     * @param {number} scaleX - X scale factor
-     * @param {number} scaleY - Y scale factor
+     * Check if any segment of a polyline intersects a rectangle
+     * @param {Array} path - Path points
+     * @param {Object} rect - Normalized rectangle {x, y, width, height}
+     * @returns {boolean} True if the path touches the rectangle
      */
-    resizeObject(objectId, scaleX, scaleY) {
-        const object = this.getObject(objectId);
-        if (object) {
-            const centerX = object.x + object.width / 2;
-            const centerY = object.y + object.height / 2;
-            
-            object.width *= scaleX;
-            object.height *= scaleY;
-            
-            // Recalculate position to maintain center
-            object.x = centerX - object.width / 2;
-            object.y = centerY - object.height / 2;
-            
-            // Handle special cases
-            if (object.radius) {
-                object.radius *= Math.max(scaleX, scaleY);
+    isPathInRect(path, rect) {
+        if (!path || path.length === 0) return false;
+        
+        const inside = (p) => p.x >= rect.x && p.x <= rect.x + rect.width &&
+                              p.y >= rect.y && p.y <= rect.y + rect.height;
+        if (path.some(inside)) return true;
+        
+        const corners = [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            for (let j = 0; j < 4; j++) {
+                if (this.segmentsIntersect(path[i], path[i + 1], corners[j], corners[(j + 1) % 4])) {
+                    return true;
+                }
             }
-            
-            this.eventBus.emit('objects:changed', this.objects);
-            this.eventBus.emit('object:resized', object);
         }
+        return false;
     }
 
     /**
-     * Find object at position
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @returns {Object|null} Object at position or null
+     * Check if two line segments intersect
+     * @param {Object} a1 - First segment start
+     * @param {Object} a2 - First segment end
+     * @param {Object} b1 - Second segment start
+     * @param {Object} b2 - Second segment end
+     * @returns {boolean} True if the segments cross
      */
-    getObjectAtPosition(x, y) {
-        // Check from top to bottom (last drawn = on top)
-        for (let i = this.objects.length - 1; i >= 0; i--) {
-            const obj = this.objects[i];
-            if (!obj.visible) continue;
-            
-            if (this.isPointInObject(x, y, obj)) {
-                return obj;
-            }
-        }
-        return null;
+    segmentsIntersect(a1, a2, b1, b2) {
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        const d1 = cross(b1, b2, a1);
+        const d2 = cross(b1, b2, a2);
+        const d3 = cross(a1, a2, b1);
+        const d4 = cross(a1, a2, b2);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
     }
 
     /**
@@ -222,11 +1362,25 @@ export class ObjectManager {
      * @returns {boolean} True if point is inside object
      */
     isPointInObject(x, y, obj) {
+        // Test rotated objects in their own unrotated frame
+        if (obj.rotation) {
+            const local = CanvasUtils.rotatePoint({ x, y }, this.getRotationCenter(obj), -obj.rotation);
+            x = local.x;
+            y = local.y;
+        }
+        
         switch (obj.type) {
             case 'rectangle':
+            case 'image':
                 return x >= obj.x && x <= obj.x + obj.width &&
                        y >= obj.y && y <= obj.y + obj.height;
                        
+            case 'text': {
+                const bounds = this.getLocalBounds(obj);
+                return x >= bounds.x && x <= bounds.x + bounds.width &&
+                       y >= bounds.y && y <= bounds.y + bounds.height;
+            }
+                       
             case 'circle':
                 const centerX = obj.x;
                 const centerY = obj.y;
@@ -238,9 +1392,15 @@ export class ObjectManager {
                 if (!obj.points || obj.points.length < 2) return false;
                 return this.isPointNearLine(x, y, obj.points[0], obj.points[1], obj.properties.strokeWidth || 2);
                 
-            case 'freehand':
+            case 'freehand': {
                 if (!obj.path || obj.path.length === 0) return false;
-                return this.isPointNearPath(x, y, obj.path, obj.properties.strokeWidth || 2);
+                const path = PathUtils.getRenderedPath(obj);
+                if (obj.properties.enableFill && this.isPointInPolygon(x, y, path)) return true;
+                return this.isPointNearPath(x, y, path, obj.properties.strokeWidth || 2);
+            }
+                
+            case 'group':
+                return obj.children.some(child => child.visible && this.isPointInObject(x, y, child));
                 
             default:
                 return false;
@@ -305,11 +1465,82 @@ export class ObjectManager {
     }
 
     /**
-     * Get object bounds
+     * Check if point is inside a polygon (even-odd rule)
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {Array} polygon - Polygon points
+     * @returns {boolean} True if point is inside
+     */
+    isPointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Store an object's current reach in the spatial index
+     * @param {Object} object - Top-level object
+     */
+    indexObject(object) {
+        const bounds = this.getObjectBounds(object);
+        const padding = this.getIndexPadding(object);
+        
+        this.spatialIndex.insert(object.id, {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        });
+    }
+
+    /**
+     * Get how far an object's strokes and hit area reach past its bounds.
+     * Clicks count within a full stroke width of a line.
+     * @param {Object} obj - Object
+     * @returns {number} Padding in canvas pixels
+     */
+    getIndexPadding(obj) {
+        if (obj.type === 'group') {
+            return Math.max(0, ...obj.children.map(child => this.getIndexPadding(child)));
+        }
+        
+        const strokeWidth = obj.properties?.strokeWidth || 2;
+        return obj.type === 'arrow' ? strokeWidth + ARROW_HEAD_REACH : strokeWidth;
+    }
+
+    /**
+     * Index every top-level object from scratch, after the layers were replaced
+     */
+    rebuildIndex() {
+        this.spatialIndex.clear();
+        this.getAllObjects().forEach(object => this.indexObject(object));
+    }
+
+    /**
+     * Get object bounds, enclosing the object as rotated on screen
      * @param {Object} obj - Object
      * @returns {Object} Bounds {x, y, width, height}
      */
     getObjectBounds(obj) {
+        // Circles look the same at any angle
+        if (!obj.rotation || obj.type === 'circle') {
+            return this.getLocalBounds(obj);
+        }
+        return CanvasUtils.getBoundingBox(this.getObjectCorners(obj));
+    }
+
+    /**
+     * Get object bounds ignoring the object's own rotation
+     * @param {Object} obj - Object
+     * @returns {Object} Bounds {x, y, width, height}
+     */
+    getLocalBounds(obj) {
         switch (obj.type) {
             case 'rectangle':
                 return {
@@ -347,8 +1578,9 @@ export class ObjectManager {
                 if (!obj.path || obj.path.length === 0) {
                     return { x: obj.x, y: obj.y, width: 0, height: 0 };
                 }
-                const xs = obj.path.map(p => p.x);
-                const ys = obj.path.map(p => p.y);
+                const renderedPath = PathUtils.getRenderedPath(obj);
+                const xs = renderedPath.map(p => p.x);
+                const ys = renderedPath.map(p => p.y);
                 const pathMinX = Math.min(...xs);
                 const pathMaxX = Math.max(...xs);
                 const pathMinY = Math.min(...ys);
@@ -360,6 +1592,14 @@ export class ObjectManager {
                     height: pathMaxY - pathMinY
                 };
                 
+            case 'group':
+                return this.getCombinedBounds(obj.children) || { x: obj.x, y: obj.y, width: 0, height: 0 };
+                
+            case 'text': {
+                const layout = TextUtils.measureTextObject(obj);
+                return { x: obj.x, y: obj.y, width: layout.width, height: layout.height };
+            }
+                
             default:
                 return { x: obj.x, y: obj.y, width: obj.width, height: obj.height };
         }
@@ -369,11 +1609,162 @@ export class ObjectManager {
      * Clear all objects
      */
     clear() {
-        this.objects = [];
-        this.selectedObject = null;
-        this.nextId = 1;
-        this.eventBus.emit('objects:changed', this.objects);
-        this.eventBus.emit('object:deselected');
+        const snapshots = new Map(this.layers.map(layer => [
+            layer.id,
+            layer.objects.map(obj => this.snapshot(obj))
+        ]));
+        const hadObjects = this.getAllObjects().length > 0;
+        
+        this.layers.forEach(layer => {
+            layer.objects = [];
+        });
+        this.spatialIndex.clear();
+        this.selection.clear();
+        this.emitObjectsChanged();
+        this.emitSelectionChanged();
+        
+        if (hadObjects) {
+            this.record({
+                type: 'clear',
+                undo: () => {
+                    this.layers.forEach(layer => {
+                        const objects = snapshots.get(layer.id) || [];
+                        layer.objects = objects.map(obj => this.snapshot(obj));
+                    });
+                    this.rebuildIndex();
+                    this.emitObjectsChanged();
+                },
+                redo: () => this.clear()
+            });
+        }
+    }
+
+    /**
+     * Record a reversible command in the undo history.
+     * Commands replayed by undo/redo are not recorded again.
+     * @param {Object} command - Command with undo and redo callbacks
+     */
+    record(command) {
+        if (this.isReplaying) return;
+        
+        const { undo, redo } = command;
+        command.undo = () => this.replay(undo);
+        command.redo = () => this.replay(redo);
+        
+        this.eventBus.emit('history:record', command);
+    }
+
+    /**
+     * Run a history callback without recording new commands
+     * @param {Function} action - Callback to run
+     */
+    replay(action) {
+        const wasReplaying = this.isReplaying;
+        this.isReplaying = true;
+        try {
+            action();
+        } finally {
+            this.isReplaying = wasReplaying;
+        }
+    }
+
+    /**
+     * Record an in-place change as before/after snapshots
+     * @param {string} type - Command type
+     * @param {Object} object - Changed object
+     * @param {Object} before - Snapshot taken before the change
+     */
+    recordUpdate(type, object, before) {
+        const command = {
+            type,
+            mergeKey: `${type}:${object.id}`,
+            after: this.snapshot(object),
+            undo: () => this.applySnapshot(before),
+            redo: () => this.applySnapshot(command.after),
+            merge: (other) => {
+                command.after = other.after;
+            }
+        };
+        this.record(command);
+    }
+
+    /**
+     * Create a detached deep copy of an object
+     * @param {Object} object - Object to copy
+     * @returns {Object} Copy
+     */
+    snapshot(object) {
+        return JSON.parse(JSON.stringify(object));
+    }
+
+    /**
+     * Restore an object in place from a snapshot
+     * @param {Object} snapshot - Object snapshot
+     */
+    applySnapshot(snapshot) {
+        const object = this.getObject(snapshot.id);
+        if (!object) return;
+        
+        Object.assign(object, this.snapshot(snapshot));
+        this.indexObject(object);
+        this.emitObjectsChanged();
+    }
+
+    /**
+     * Get a detached copy of all objects suitable for saving
+     * @returns {Array} Plain object data
+     */
+    serializeObjects() {
+        return JSON.parse(JSON.stringify(this.getAllObjects()));
+    }
+
+    /**
+     * Get a detached copy of all layers and their objects suitable for saving
+     * @returns {Array} Plain layer data
+     */
+    serializeLayers() {
+        return JSON.parse(JSON.stringify(this.layers));
+    }
+
+    /**
+     * Replace all objects with previously serialized object data.
+     * Objects are placed on a single default layer.
+     * @param {Array} objects - Serialized objects
+     */
+    loadObjects(objects) {
+        this.loadLayers([{ name: 'Layer 1', objects }]);
+    }
+
+    /**
+     * Replace all layers and objects with previously serialized layer data
+     * @param {Array} layers - Serialized layers
+     * @param {string} activeLayerId - Layer to make active
+     */
+    loadLayers(layers, activeLayerId = null) {
+        const data = JSON.parse(JSON.stringify(layers));
+        
+        this.layers = [];
+        this.nextLayerId = 1;
+        data.forEach(layerData => {
+            const layer = this.createLayer(layerData, layerData.id);
+            layer.objects = (layerData.objects || []).map(obj => this.createObject(obj, obj.id));
+            this.layers.push(layer);
+        });
+        
+        if (this.layers.length === 0) {
+            this.resetLayers();
+        }
+        
+        const allObjects = this.flattenObjects();
+        this.nextId = Math.max(0, ...allObjects.map(obj => parseInt(obj.id.split('_')[1]) || 0)) + 1;
+        this.nextLayerId = Math.max(0, ...this.layers.map(layer => parseInt(layer.id.split('_')[1]) || 0)) + 1;
+        this.activeLayerId = this.getLayer(activeLayerId) ? activeLayerId : this.layers[this.layers.length - 1].id;
+        this.selection.clear();
+        this.rebuildIndex();
+        
+        this.emitObjectsChanged();
+        this.emitLayersChanged();
+        this.emitSelectionChanged();
     }
 
     /**
@@ -381,7 +1772,7 @@ export class ObjectManager {
      * @returns {string} JSON string
      */
     exportObjects() {
-        return JSON.stringify(this.objects, null, 2);
+        return JSON.stringify(this.getAllObjects(), null, 2);
     }
 
     /**
@@ -390,13 +1781,280 @@ export class ObjectManager {
      */
     importObjects(jsonString) {
         try {
-            const objects = JSON.parse(jsonString);
-            this.objects = objects;
-            this.selectedObject = null;
-            this.nextId = Math.max(...objects.map(obj => parseInt(obj.id.split('_')[1])), 0) + 1;
-            this.eventBus.emit('objects:changed', this.objects);
+            this.loadObjects(JSON.parse(jsonString));
         } catch (error) {
             console.error('Failed to import objects:', error);
         }
     }
+
+    /**
+     * Replace all layers with a single empty default layer
+     */
+    resetLayers() {
+        const layer = this.createLayer({ name: 'Layer 1' });
+        this.layers = [layer];
+        this.activeLayerId = layer.id;
+    }
+
+    /**
+     * Build a complete layer record
+     * @param {Object} data - Layer data
+     * @param {string} id - Layer ID (generated when omitted)
+     * @returns {Object} Layer
+     */
+    createLayer(data = {}, id = null) {
+        const layerId = id || 'layer_' + this.nextLayerId++;
+        return {
+            id: layerId,
+            name: data.name || `Layer ${this.layers.length + 1}`,
+            visible: data.visible !== false,
+            locked: !!data.locked,
+            opacity: data.opacity !== undefined ? data.opacity : 1,
+            objects: []
+        };
+    }
+
+    /**
+     * Get all layers, bottom first
+     * @returns {Array} Layers
+     */
+    getLayers() {
+        return [...this.layers];
+    }
+
+    /**
+     * Get layer by ID
+     * @param {string} layerId - Layer ID
+     * @returns {Object|null} Layer or null
+     */
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId) || null;
+    }
+
+    /**
+     * Get the layer new objects are added to
+     * @returns {Object} Active layer
+     */
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId) || this.layers[this.layers.length - 1];
+    }
+
+    /**
+     * Get the layer new objects should go to, falling back to the topmost
+     * unlocked, visible layer when the active one cannot be edited
+     * @returns {Object} Layer
+     */
+    getEditableLayer() {
+        const active = this.getActiveLayer();
+        if (this.isLayerInteractive(active)) return active;
+        
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            if (this.isLayerInteractive(this.layers[i])) return this.layers[i];
+        }
+        return active;
+    }
+
+    /**
+     * Check if a layer's objects can be picked and edited
+     * @param {Object} layer - Layer
+     * @returns {boolean} True if the layer is visible and unlocked
+     */
+    isLayerInteractive(layer) {
+        return layer.visible && !layer.locked;
+    }
+
+    /**
+     * Make a layer the active one
+     * @param {string} layerId - Layer ID
+     */
+    setActiveLayer(layerId) {
+        if (!this.getLayer(layerId)) return;
+        
+        this.activeLayerId = layerId;
+        this.emitLayersChanged();
+    }
+
+    /**
+     * Add a new layer above the active layer
+     * @param {string} name - Optional layer name
+     * @returns {string} Layer ID
+     */
+    addLayer(name = null) {
+        const layer = this.createLayer({ name });
+        const index = this.layers.indexOf(this.getActiveLayer()) + 1;
+        
+        this.layers.splice(index, 0, layer);
+        this.activeLayerId = layer.id;
+        this.emitLayersChanged();
+        
+        const snapshot = this.snapshot(layer);
+        this.record({
+            type: 'add-layer',
+            undo: () => this.deleteLayer(layer.id),
+            redo: () => this.insertLayer(snapshot, index)
+        });
+        
+        return layer.id;
+    }
+
+    /**
+     * Insert a copy of a previously captured layer
+     * @param {Object} snapshot - Layer snapshot including its objects
+     * @param {number} index - Position in the layer stack
+     */
+    insertLayer(snapshot, index) {
+        const layer = this.snapshot(snapshot);
+        this.layers.splice(index, 0, layer);
+        this.activeLayerId = layer.id;
+        layer.objects.forEach(object => this.indexObject(object));
+        
+        this.emitObjectsChanged();
+        this.emitLayersChanged();
+    }
+
+    /**
+     * Delete a layer and its objects. The last remaining layer cannot be deleted.
+     * @param {string} layerId - Layer ID
+     */
+    deleteLayer(layerId) {
+        const index = this.layers.findIndex(layer => layer.id === layerId);
+        if (index === -1 || this.layers.length === 1) return;
+        
+        const [layer] = this.layers.splice(index, 1);
+        if (this.activeLayerId === layerId) {
+            this.activeLayerId = this.layers[Math.max(0, index - 1)].id;
+        }
+        
+        this.dropFromSelection(layer.objects);
+        layer.objects.forEach(object => this.spatialIndex.remove(object.id));
+        this.emitObjectsChanged();
+        this.emitLayersChanged();
+        
+        const snapshot = this.snapshot(layer);
+        this.record({
+            type: 'delete-layer',
+            undo: () => this.insertLayer(snapshot, index),
+            redo: () => this.deleteLayer(layerId)
+        });
+    }
+
+    /**
+     * Update layer name, visibility, lock state or opacity
+     * @param {string} layerId - Layer ID
+     * @param {Object} changes - Fields to change {name, visible, locked, opacity}
+     */
+    updateLayer(layerId, changes) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+        
+        const pick = ({ name, visible, locked, opacity }) => ({ name, visible, locked, opacity });
+        const before = pick(layer);
+        Object.assign(layer, pick({ ...before, ...changes }));
+        
+        // Hidden or locked objects cannot stay selected
+        if (!this.isLayerInteractive(layer)) {
+            this.dropFromSelection(layer.objects);
+        }
+        
+        this.emitObjectsChanged();
+        this.emitLayersChanged();
+        
+        const command = {
+            type: 'update-layer',
+            mergeKey: `update-layer:${layerId}`,
+            after: pick(layer),
+            undo: () => this.updateLayer(layerId, before),
+            redo: () => this.updateLayer(layerId, command.after),
+            merge: (other) => {
+                command.after = other.after;
+            }
+        };
+        this.record(command);
+    }
+
+    /**
+     * Move a layer up or down the stack
+     * @param {string} layerId - Layer ID
+     * @param {number} direction - 1 to move up (towards the front), -1 to move down
+     */
+    moveLayer(layerId, direction) {
+        const index = this.layers.findIndex(layer => layer.id === layerId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+        
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+        
+        this.emitObjectsChanged();
+        this.emitLayersChanged();
+        
+        this.record({
+            type: 'move-layer',
+            undo: () => this.moveLayer(layerId, -direction),
+            redo: () => this.moveLayer(layerId, direction)
+        });
+    }
+
+    /**
+     * Move the selected objects to the top of another layer
+     * @param {string} layerId - Target layer ID
+     */
+    moveSelectionToLayer(layerId) {
+        const target = this.getLayer(layerId);
+        if (!target) return;
+        
+        const ids = [...this.selection];
+        if (ids.length === 0) return;
+        
+        this.eventBus.emit('history:batch-start', 'move-to-layer');
+        ids.forEach(id => this.moveObjectToLayer(id, layerId));
+        this.eventBus.emit('history:batch-end');
+        
+        // Objects on a hidden or locked layer cannot stay selected
+        if (!this.isLayerInteractive(target)) {
+            this.deselectAll();
+        }
+    }
+
+    /**
+     * Move an object to the top of another layer
+     * @param {string} objectId - Object ID
+     * @param {string} layerId - Target layer ID
+     * @param {number} index - Position in the target layer (defaults to the top)
+     */
+    moveObjectToLayer(objectId, layerId, index = null) {
+        const location = this.findObjectLocation(objectId);
+        const target = this.getLayer(layerId);
+        if (!location || !target || location.layer === target) return;
+        
+        const [object] = location.layer.objects.splice(location.index, 1);
+        const targetIndex = index === null ? target.objects.length : index;
+        target.objects.splice(targetIndex, 0, object);
+        
+        this.emitObjectsChanged();
+        
+        this.record({
+            type: 'move-to-layer',
+            undo: () => this.moveObjectToLayer(objectId, location.layer.id, location.index),
+            redo: () => this.moveObjectToLayer(objectId, layerId, targetIndex)
+        });
+    }
+
+    /**
+     * Remove objects from the selection
+     * @param {Array} objects - Objects to deselect
+     */
+    dropFromSelection(objects) {
+        const removed = objects.filter(obj => this.selection.delete(obj.id));
+        if (removed.length > 0) {
+            this.emitSelectionChanged();
+        }
+    }
+
+    /**
+     * Notify listeners that layers changed
+     */
+    emitLayersChanged() {
+        this.eventBus.emit('layers:changed', this.getLayers(), this.activeLayerId);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,425 @@
+/**
+ * Default grid and snapping settings
+ */
+export const SNAP_DEFAULTS = {
+    gridVisible: false,
+    gridSize: 20,
+    snapToGrid: false,
+    snapToObjects: true
+};
+
+/**
+ * How close, in screen pixels, a value has to be to a target to snap
+ */
+const SNAP_DISTANCE = 6;
+
+/**
+ * Every this many grid lines is drawn stronger
+ */
+const MAJOR_GRID_EVERY = 5;
+
+const GUIDE_COLOR = '#ec4899';
+
+/**
+ * Snaps points and boxes to the grid and to other objects, and keeps the
+ * smart guides that explain the last snap
+ */
+export class SnapManager {
+    constructor(eventBus, objectManager, canvasManager) {
+        this.eventBus = eventBus;
+        this.objectManager = objectManager;
+        this.canvasManager = canvasManager;
+        this.settings = { ...SNAP_DEFAULTS };
+        this.guides = [];
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('snap:update-settings', (changes) => {
+            this.updateSettings(changes);
+        });
+
+        this.eventBus.on('snap:toggle', (setting) => {
+            this.updateSettings({ [setting]: !this.settings[setting] });
+        });
+
+        this.eventBus.on('snap:request', () => {
+            this.eventBus.emit('snap:changed', this.getSettings());
+        });
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {Object} Settings {gridVisible, gridSize, snapToGrid, snapToObjects}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change settings and notify listeners
+     * @param {Object} changes - Settings to overwrite
+     */
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        this.settings.gridSize = Math.max(2, Number(this.settings.gridSize) || SNAP_DEFAULTS.gridSize);
+        this.eventBus.emit('snap:changed', this.getSettings());
+    }
+
+    /**
+     * Check whether snapping applies to a pointer event. Holding Alt bypasses it.
+     * @param {MouseEvent} event - Pointer event
+     * @returns {boolean} True if anything can be snapped to
+     */
+    isEnabled(event) {
+        if (event?.altKey) return false;
+        return this.settings.snapToGrid || this.settings.snapToObjects;
+    }
+
+    /**
+     * Get the snap distance in canvas units
+     * @returns {number} Distance
+     */
+    getThreshold() {
+        return SNAP_DISTANCE / this.canvasManager.getZoom();
+    }
+
+    /**
+     * Snap a point, e.g. the corner of a shape being drawn
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - Options {event, exclude: Set of object IDs to ignore}
+     * @returns {Object} Snapped point {x, y}
+     */
+    snapPoint(x, y, options = {}) {
+        this.guides = [];
+        if (!this.isEnabled(options.event)) return { x, y };
+
+        const targets = this.getTargets(options.exclude);
+        const point = { x, y, width: 0, height: 0 };
+        const snapX = this.findSnap([x], 'x', targets);
+        const snapY = this.findSnap([y], 'y', targets);
+
+        const snapped = {
+            x: snapX ? x + snapX.delta : x,
+            y: snapY ? y + snapY.delta : y
+        };
+        this.addAlignmentGuides(snapX, 'x', { ...point, ...snapped });
+        this.addAlignmentGuides(snapY, 'y', { ...point, ...snapped });
+        return snapped;
+    }
+
+    /**
+     * Snap a box being moved: its edges and center snap to the grid and to
+     * other objects' edges and centers, and it snaps to equal spacing with its neighbors
+     * @param {Object} bounds - Proposed bounds {x, y, width, height}
+     * @param {Object} options - Options {event, exclude: Set of object IDs to ignore}
+     * @returns {Object} Offset {dx, dy} to add to the proposed position
+     */
+    snapBounds(bounds, options = {}) {
+        this.guides = [];
+        if (!this.isEnabled(options.event)) return { dx: 0, dy: 0 };
+
+        const targets = this.getTargets(options.exclude);
+        const xs = [bounds.x, bounds.x + bounds.width / 2, bounds.x + bounds.width];
+        const ys = [bounds.y, bounds.y + bounds.height / 2, bounds.y + bounds.height];
+
+        const snapX = this.pickCloser(this.findSnap(xs, 'x', targets), this.findSpacingSnap(bounds, 'x', targets));
+        const snapY = this.pickCloser(this.findSnap(ys, 'y', targets), this.findSpacingSnap(bounds, 'y', targets));
+
+        const snapped = {
+            ...bounds,
+            x: bounds.x + (snapX?.delta || 0),
+            y: bounds.y + (snapY?.delta || 0)
+        };
+        this.addGuides(snapX, 'x', snapped);
+        this.addGuides(snapY, 'y', snapped);
+
+        return { dx: snapX?.delta || 0, dy: snapY?.delta || 0 };
+    }
+
+    /**
+     * Forget the guides of the last snap
+     */
+    clearGuides() {
+        this.guides = [];
+    }
+
+    /**
+     * Get the bounds of every object that can be snapped to
+     * @param {Set} exclude - Object IDs to ignore
+     * @returns {Array} Bounds {x, y, width, height}
+     */
+    getTargets(exclude = new Set()) {
+        if (!this.settings.snapToObjects) return [];
+
+        return this.objectManager.getLayers()
+            .filter(layer => layer.visible)
+            .flatMap(layer => layer.objects)
+            .filter(obj => obj.visible && !exclude.has(obj.id))
+            .map(obj => this.objectManager.getObjectBounds(obj));
+    }
+
+    /**
+     * Find the closest snap for a set of values along one axis
+     * @param {Array} values - Values of the moving thing (edges, center)
+     * @param {string} axis - 'x' or 'y'
+     * @param {Array} targets - Bounds of the objects to snap to
+     * @returns {Object|null} Snap {delta, kind: 'grid'|'align', value} or null
+     */
+    findSnap(values, axis, targets) {
+        const threshold = this.getThreshold();
+        const size = axis === 'x' ? 'width' : 'height';
+        let best = null;
+
+        const consider = (delta, kind, value) => {
+            if (Math.abs(delta) > threshold) return;
+            // Prefer objects over the grid at the same distance
+            if (!best || Math.abs(delta) < Math.abs(best.delta) ||
+                (Math.abs(delta) === Math.abs(best.delta) && kind === 'align')) {
+                best = { delta, kind, value };
+            }
+        };
+
+        values.forEach(value => {
+            if (this.settings.snapToGrid) {
+                const gridSize = this.settings.gridSize;
+                consider(Math.round(value / gridSize) * gridSize - value, 'grid', value);
+            }
+
+            targets.forEach(target => {
+                [target[axis], target[axis] + target[size] / 2, target[axis] + target[size]].forEach(line => {
+                    consider(line - value, 'align', line);
+                });
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Find a position along one axis where the box's gap to its neighbor
+     * equals a gap already present between the objects in its row (or column)
+     * @param {Object} bounds - Proposed bounds {x, y, width, height}
+     * @param {string} axis - 'x' for a row, 'y' for a column
+     * @param {Array} targets - Bounds of the objects to snap to
+     * @returns {Object|null} Snap {delta, kind: 'spacing', gaps} or null
+     */
+    findSpacingSnap(bounds, axis, targets) {
+        const cross = axis === 'x' ? 'y' : 'x';
+        const size = axis === 'x' ? 'width' : 'height';
+        const crossSize = axis === 'x' ? 'height' : 'width';
+        const end = (box) => box[axis] + box[size];
+        const threshold = this.getThreshold();
+
+        // Objects sharing the row, in order along the axis
+        const row = targets
+            .filter(box => box[cross] < bounds[cross] + bounds[crossSize] && bounds[cross] < box[cross] + box[crossSize])
+            .sort((a, b) => a[axis] - b[axis]);
+        if (row.length === 0) return null;
+
+        // Gaps between neighbors that don't overlap
+        const gaps = [];
+        for (let i = 1; i < row.length; i++) {
+            const gap = row[i][axis] - end(row[i - 1]);
+            if (gap > 0) gaps.push({ from: row[i - 1], to: row[i], size: gap });
+        }
+
+        const before = row.filter(box => end(box) <= bounds[axis] + threshold).pop();
+        const after = row.find(box => box[axis] >= end(bounds) - threshold);
+        let best = null;
+
+        const consider = (position, spacing) => {
+            const delta = position - bounds[axis];
+            if (Math.abs(delta) > threshold) return;
+            if (!best || Math.abs(delta) < Math.abs(best.delta)) {
+                best = { delta, kind: 'spacing', spacing };
+            }
+        };
+
+        // Centered between both neighbors
+        if (before && after) {
+            const gap = (after[axis] - end(before) - bounds[size]) / 2;
+            if (gap > 0) {
+                const position = end(before) + gap;
+                consider(position, [{ start: end(before), end: position, box: before },
+                    { start: position + bounds[size], end: after[axis], box: after }]);
+            }
+        }
+
+        // Repeating a gap that already exists in the row
+        gaps.forEach(gap => {
+            const existing = { start: end(gap.from), end: gap.to[axis], box: gap.to };
+            if (before) {
+                const position = end(before) + gap.size;
+                consider(position, [existing, { start: end(before), end: position, box: before }]);
+            }
+            if (after) {
+                const position = after[axis] - gap.size - bounds[size];
+                consider(position, [existing, { start: position + bounds[size], end: after[axis], box: after }]);
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Pick the snap that moves less
+     * @param {Object|null} a - First snap
+     * @param {Object|null} b - Second snap
+     * @returns {Object|null} Closer snap
+     */
+    pickCloser(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return Math.abs(b.delta) < Math.abs(a.delta) ? b : a;
+    }
+
+    /**
+     * Record the guides explaining a snap of a box
+     * @param {Object|null} snap - Snap result
+     * @param {string} axis - 'x' or 'y'
+     * @param {Object} bounds - Snapped bounds
+     */
+    addGuides(snap, axis, bounds) {
+        if (!snap) return;
+
+        if (snap.kind === 'spacing') {
+            const cross = axis === 'x' ? 'y' : 'x';
+            const crossSize = axis === 'x' ? 'height' : 'width';
+            snap.spacing.forEach(segment => {
+                // Draw the gap through the middle of the overlap between the two boxes
+                const from = Math.max(bounds[cross], segment.box[cross]);
+                const to = Math.min(bounds[cross] + bounds[crossSize], segment.box[cross] + segment.box[crossSize]);
+                this.guides.push({ type: 'gap', axis, start: segment.start, end: segment.end, at: (from + to) / 2 });
+            });
+            return;
+        }
+
+        this.addAlignmentGuides(snap, axis, bounds);
+    }
+
+    /**
+     * Record a guide line through an alignment snap, spanning the snapped
+     * box and every object on that line
+     * @param {Object|null} snap - Snap result
+     * @param {string} axis - 'x' (vertical line) or 'y' (horizontal line)
+     * @param {Object} bounds - Snapped bounds {x, y, width, height}
+     */
+    addAlignmentGuides(snap, axis, bounds) {
+        if (!snap || snap.kind !== 'align') return;
+
+        const cross = axis === 'x' ? 'y' : 'x';
+        const size = axis === 'x' ? 'width' : 'height';
+        const crossSize = axis === 'x' ? 'height' : 'width';
+        const epsilon = 1e-6;
+
+        const aligned = this.getTargets(new Set()).filter(box =>
+            [box[axis], box[axis] + box[size] / 2, box[axis] + box[size]]
+                .some(line => Math.abs(line - snap.value) < epsilon)
+        );
+
+        const boxes = [bounds, ...aligned];
+        this.guides.push({
+            type: 'line',
+            axis,
+            value: snap.value,
+            from: Math.min(...boxes.map(box => box[cross])),
+            to: Math.max(...boxes.map(box => box[cross] + box[crossSize]))
+        });
+    }
+
+    /**
+     * Draw the grid behind the drawing
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} area - Area to cover {x, y, width, height} in canvas units
+     */
+    drawGrid(ctx, area) {
+        if (!this.settings.gridVisible) return;
+
+        const gridSize = this.settings.gridSize;
+        const zoom = this.canvasManager.getZoom();
+
+        // Too dense to be useful; the major lines alone still show the structure
+        const step = gridSize * zoom < 4 ? gridSize * MAJOR_GRID_EVERY : gridSize;
+        const right = area.x + area.width;
+        const bottom = area.y + area.height;
+
+        // Major lines are counted from the origin, wherever the view starts
+        const isMajor = (value) => step !== gridSize || Math.round(value / gridSize) % MAJOR_GRID_EVERY === 0;
+
+        ctx.save();
+        ctx.lineWidth = 1 / zoom;
+
+        [false, true].forEach(major => {
+            ctx.strokeStyle = major ? 'rgba(0, 0, 0, 0.12)' : 'rgba(0, 0, 0, 0.05)';
+            ctx.beginPath();
+            for (let x = Math.floor(area.x / step) * step; x <= right; x += step) {
+                if (isMajor(x) !== major) continue;
+                ctx.moveTo(x, area.y);
+                ctx.lineTo(x, bottom);
+            }
+            for (let y = Math.floor(area.y / step) * step; y <= bottom; y += step) {
+                if (isMajor(y) !== major) continue;
+                ctx.moveTo(area.x, y);
+                ctx.lineTo(right, y);
+            }
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the smart guides of the last snap
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawGuides(ctx) {
+        if (this.guides.length === 0) return;
+
+        const zoom = this.canvasManager.getZoom();
+        const tick = 4 / zoom;
+
+        ctx.save();
+        ctx.strokeStyle = GUIDE_COLOR;
+        ctx.lineWidth = 1 / zoom;
+        ctx.beginPath();
+
+        this.guides.forEach(guide => {
+            if (guide.type === 'line') {
+                if (guide.axis === 'x') {
+                    ctx.moveTo(guide.value, guide.from);
+                    ctx.lineTo(guide.value, guide.to);
+                } else {
+                    ctx.moveTo(guide.from, guide.value);
+                    ctx.lineTo(guide.to, guide.value);
+                }
+                return;
+            }
+
+            // Equal-spacing gap: a line across the gap with a tick at each end
+            if (guide.axis === 'x') {
+                ctx.moveTo(guide.start, guide.at);
+                ctx.lineTo(guide.end, guide.at);
+                ctx.moveTo(guide.start, guide.at - tick);
+                ctx.lineTo(guide.start, guide.at + tick);
+                ctx.moveTo(guide.end, guide.at - tick);
+                ctx.lineTo(guide.end, guide.at + tick);
+            } else {
+                ctx.moveTo(guide.at, guide.start);
+                ctx.lineTo(guide.at, guide.end);
+                ctx.moveTo(guide.at - tick, guide.start);
+                ctx.lineTo(guide.at + tick, guide.start);
+                ctx.moveTo(guide.at - tick, guide.end);
+                ctx.lineTo(guide.at + tick, guide.end);
+            }
+        });
+
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Entries a quadtree node holds before it splits into quadrants
+ */
+const MAX_NODE_ITEMS = 8;
+
+/**
+ * Nodes this small don't split any further, so piles of objects in one spot
+ * can't make the tree arbitrarily deep
+ */
+const MIN_NODE_SIZE = 16;
+
+/**
+ * Side of the root square before anything falls outside it
+ */
+const INITIAL_SIZE = 2048;
+
+/**
+ * Loose quadtree of bounding boxes by ID. Each entry sits in the smallest
+ * node that fully contains it, and the root grows outwards when an entry
+ * falls outside it, so the indexed area has no fixed limits.
+ */
+export class SpatialIndex {
+    constructor() {
+        this.entries = new Map();
+        this.root = this.createNode(0, 0, INITIAL_SIZE);
+
+        // Entries with broken geometry can't be placed; searches always return them
+        this.unplaced = new Set();
+    }
+
+    /**
+     * Create an empty node
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} size - Side length
+     * @returns {Object} Node {x, y, size, items, children}
+     */
+    createNode(x, y, size) {
+        return { x, y, size, items: new Set(), children: null };
+    }
+
+    /**
+     * Add an entry, or replace the bounds of an existing one
+     * @param {string} id - Entry ID
+     * @param {Object} bounds - Bounds {x, y, width, height}
+     */
+    insert(id, bounds) {
+        this.remove(id);
+
+        const entry = { id, bounds: { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }, node: null };
+        this.entries.set(id, entry);
+
+        if (this.isFinite(entry.bounds)) {
+            this.growToContain(entry.bounds);
+            this.place(this.root, entry);
+        } else {
+            this.unplaced.add(entry);
+        }
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} id - Entry ID
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        (entry.node ? entry.node.items : this.unplaced).delete(entry);
+        this.entries.delete(id);
+    }
+
+    /**
+     * Offset an entry's bounds
+     * @param {string} id - Entry ID
+     * @param {number} deltaX - X movement
+     * @param {number} deltaY - Y movement
+     */
+    translate(id, deltaX, deltaY) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        const { x, y, width, height } = entry.bounds;
+        this.insert(id, { x: x + deltaX, y: y + deltaY, width, height });
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.entries.clear();
+        this.unplaced.clear();
+        this.root = this.createNode(0, 0, INITIAL_SIZE);
+    }
+
+    /**
+     * Check whether an entry is indexed
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if indexed
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Find the entries whose bounds touch a rectangle
+     * @param {Object} rect - Normalized rectangle {x, y, width, height}; zero size finds entries at a point
+     * @returns {Set<string>} Entry IDs, in no particular order
+     */
+    search(rect) {
+        const found = new Set([...this.unplaced].map(entry => entry.id));
+        const stack = [this.root];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!this.intersects(node, rect)) continue;
+
+            node.items.forEach(entry => {
+                if (this.intersects(entry.bounds, rect)) {
+                    found.add(entry.id);
+                }
+            });
+
+            if (node.children) {
+                stack.push(...node.children);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Put an entry in the smallest node below a node that contains it, splitting full nodes
+     * @param {Object} node - Node to start from; must contain the entry
+     * @param {Object} entry - Entry
+     */
+    place(node, entry) {
+        let target = node;
+        while (target.children) {
+            const child = target.children.find(c => this.contains(c, entry.bounds));
+            if (!child) break;
+            target = child;
+        }
+
+        target.items.add(entry);
+        entry.node = target;
+
+        if (!target.children && target.items.size > MAX_NODE_ITEMS && target.size / 2 >= MIN_NODE_SIZE) {
+            this.split(target);
+        }
+    }
+
+    /**
+     * Divide a node into quadrants and push down the entries that fit in one
+     * @param {Object} node - Node to split
+     */
+    split(node) {
+        const half = node.size / 2;
+        node.children = [
+            this.createNode(node.x, node.y, half),
+            this.createNode(node.x + half, node.y, half),
+            this.createNode(node.x, node.y + half, half),
+            this.createNode(node.x + half, node.y + half, half)
+        ];
+
+        const items = [...node.items];
+        node.items.clear();
+        items.forEach(entry => this.place(node, entry));
+    }
+
+    /**
+     * Double the root until it contains some bounds. The old root becomes the
+     * quadrant on the side away from the bounds.
+     * @param {Object} bounds - Bounds {x, y, width, height}
+     */
+    growToContain(bounds) {
+        while (!this.contains(this.root, bounds)) {
+            const old = this.root;
+            const x = bounds.x < old.x ? old.x - old.size : old.x;
+            const y = bounds.y < old.y ? old.y - old.size : old.y;
+            const root = this.createNode(x, y, old.size * 2);
+
+            root.children = [
+                [x, y], [x + old.size, y], [x, y + old.size], [x + old.size, y + old.size]
+            ].map(([qx, qy]) => (qx === old.x && qy === old.y ? old : this.createNode(qx, qy, old.size)));
+
+            this.root = root;
+        }
+    }
+
+    /**
+     * Check whether a node's square fully contains some bounds
+     * @param {Object} node - Node
+     * @param {Object} bounds - Bounds {x, y, width, height}
+     * @returns {boolean} True if contained
+     */
+    contains(node, bounds) {
+        return bounds.x >= node.x && bounds.y >= node.y &&
+               bounds.x + bounds.width <= node.x + node.size &&
+               bounds.y + bounds.height <= node.y + node.size;
+    }
+
+    /**
+     * Check whether two rectangles touch. Nodes count as rectangles of their size.
+     * @param {Object} a - Rectangle {x, y, width, height} or node
+     * @param {Object} b - Rectangle {x, y, width, height}
+     * @returns {boolean} True if they overlap or touch
+     */
+    intersects(a, b) {
+        const aWidth = a.width ?? a.size;
+        const aHeight = a.height ?? a.size;
+        return a.x <= b.x + b.width && a.x + aWidth >= b.x &&
+               a.y <= b.y + b.height && a.y + aHeight >= b.y;
+    }
+
+    /**
+     * Check that bounds are real numbers
+     * @param {Object} bounds - Bounds {x, y, width, height}
+     * @returns {boolean} True if every field is finite
+     */
+    isFinite(bounds) {
+        return [bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite);
+    }
+}
@@ -1,13 +1,19 @@
 /**
- * Manages application state including undo/redo functionality
+ * Manages undo/redo history built from reversible commands.
+ *
+ * A command is a plain object `{ type, undo(), redo() }`. Commands may also
+ * carry a `mergeKey` and a `merge(command)` method so that a stream of small
+ * edits inside one batch (e.g. every mousemove of a drag) collapses into a
+ * single entry per key.
  */
 export class StateManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
-        this.states = [];
-        this.currentIndex = -1;
+        this.undoStack = [];
+        this.redoStack = [];
         this.maxStates = 50;
-        
+        this.batch = null;
+
         this.setupEventListeners();
     }
 
@@ -15,8 +21,16 @@ export class StateManager {
      * Setup event listeners
      */
     setupEventListeners() {
-        this.eventBus.on('state:save', (state) => {
-            this.saveState(state);
+        this.eventBus.on('history:record', (command) => {
+            this.record(command);
+        });
+
+        this.eventBus.on('history:batch-start', (label) => {
+            this.beginBatch(label);
+        });
+
+        this.eventBus.on('history:batch-end', () => {
+            this.endBatch();
         });
 
         this.eventBus.on('state:undo', () => {
@@ -29,67 +43,127 @@ export class StateManager {
     }
 
     /**
-     * Save current state
-     * @param {any} state - State to save
+     * Record a command that has already been applied
+     * @param {Object} command - Reversible command
      */
-    saveState(state) {
-        // Remove any states after current index (when undoing then making new changes)
-        this.states = this.states.slice(0, this.currentIndex + 1);
-        
-        // Add new state
-        this.states.push(this.cloneState(state));
-        this.currentIndex++;
-        
-        // Limit number of stored states
-        if (this.states.length > this.maxStates) {
-            this.states.shift();
-            this.currentIndex--;
+    record(command) {
+        if (this.batch) {
+            const existing = command.mergeKey && this.batch.mergeable.get(command.mergeKey);
+
+            if (existing) {
+                existing.merge(command);
+            } else {
+                this.batch.commands.push(command);
+                if (command.mergeKey && command.merge) {
+                    this.batch.mergeable.set(command.mergeKey, command);
+                }
+            }
+            return;
         }
-        
-        this.eventBus.emit('state:changed', {
-            canUndo: this.canUndo(),
-            canRedo: this.canRedo()
-        });
+
+        this.push(command);
+    }
+
+    /**
+     * Push a command onto the undo stack
+     * @param {Object} command - Reversible command
+     */
+    push(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        // Limit number of stored commands
+        if (this.undoStack.length > this.maxStates) {
+            this.undoStack.shift();
+        }
+
+        this.emitStateChanged();
+    }
+
+    /**
+     * Start grouping recorded commands into a single undo step
+     * @param {string} label - Batch label
+     */
+    beginBatch(label = 'batch') {
+        if (this.batch) {
+            this.batch.depth++;
+            return;
+        }
+
+        this.batch = { label, commands: [], mergeable: new Map(), depth: 1 };
+    }
+
+    /**
+     * Finish the current batch and push it as one undo step
+     */
+    endBatch() {
+        if (!this.batch) return;
+
+        this.batch.depth--;
+        if (this.batch.depth > 0) return;
+
+        const { label, commands } = this.batch;
+        this.batch = null;
+
+        if (commands.length === 0) return;
+
+        this.push(commands.length === 1 ? commands[0] : this.createBatchCommand(label, commands));
+    }
+
+    /**
+     * Combine several commands into one
+     * @param {string} label - Batch label
+     * @param {Array} commands - Commands in the order they were applied
+     * @returns {Object} Composite command
+     */
+    createBatchCommand(label, commands) {
+        return {
+            type: label,
+            undo: () => {
+                for (let i = commands.length - 1; i >= 0; i--) {
+                    commands[i].undo();
+                }
+            },
+            redo: () => {
+                commands.forEach(command => command.redo());
+            }
+        };
     }
 
     /**
-     * Undo to previous state
-     * @returns {any} Previous state or null
+     * Undo the last command
+     * @returns {Object|null} Undone command or null
      */
     undo() {
         if (!this.canUndo()) {
             return null;
         }
-        
-        this.currentIndex--;
-        const state = this.states[this.currentIndex];
-        
-        this.eventBus.emit('state:changed', {
-            canUndo: this.canUndo(),
-            canRedo: this.canRedo()
-        });
-        
-        return this.cloneState(state);
+
+        const command = this.undoStack.pop();
+        command.undo();
+        this.redoStack.push(command);
+
+        this.emitStateChanged();
+
+        return command;
     }
 
     /**
-     * Redo to next state
-     * @returns {any} Next state or null
+     * Redo the last undone command
+     * @returns {Object|null} Redone command or null
      */
     redo() {
         if (!this.canRedo()) {
             return null;
         }
-        
-        this.currentIndex++;
-        const state = this.states[this.currentIndex];
-        
-        this.eventBus.emit('state:changed', {
-            canUndo: this.canUndo(),
-            canRedo: this.canRedo()
-        });
-        
-        return this.cloneState(state);
+
+        const command = this.redoStack.pop();
+        command.redo();
+        this.undoStack.push(command);
+
+        this.emitStateChanged();
+
+        return command;
     }
 
     /**
@@ -97,7 +171,7 @@ export class StateManager {
      * @returns {boolean} Can undo
      */
     canUndo() {
-        return this.currentIndex > 0;
+        return this.undoStack.length > 0;
     }
 
     /**
@@ -105,37 +179,28 @@ export class StateManager {
      * @returns {boolean} Can redo
      */
     canRedo() {
-        return this.currentIndex < this.states.length - 1;
+        return this.redoStack.length > 0;
     }
 
     /**
-     * Clone state to prevent mutations
-     * @param {any} state - State to clone
-     * @returns {any} Cloned state
+     * Notify listeners about undo/redo availability
      */
-    cloneState(state) {
-        if (state instanceof ImageData) {
-            // For ImageData, create a copy
-            const cloned = new ImageData(state.width, state.height);
-            cloned.data.set(state.data);
-            return cloned;
-        }
-        
-        // For other objects, use JSON serialization
-        return JSON.parse(JSON.stringify(state));
+    emitStateChanged() {
+        this.eventBus.emit('state:changed', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
     }
 
     /**
-     * Clear all states
+     * Clear all history
      */
     clear() {
-        this.states = [];
-        this.currentIndex = -1;
-        
-        this.eventBus.emit('state:changed', {
-            canUndo: false,
-            canRedo: false
-        });
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+
+        this.emitStateChanged();
     }
 
     /**
@@ -144,8 +209,8 @@ export class StateManager {
      */
     getStateInfo() {
         return {
-            totalStates: this.states.length,
-            currentIndex: this.currentIndex,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length,
             canUndo: this.canUndo(),
             canRedo: this.canRedo()
         };
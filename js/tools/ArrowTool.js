@@ -6,7 +6,9 @@ import { BaseTool } from './BaseTool.js';
 export default class ArrowTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
+        this.snapping = true;
         this.startPoint = null;
+        this.currentPoint = null;
         this.arrowHeadSize = 15;
     }
 
@@ -18,7 +20,7 @@ export default class ArrowTool extends BaseTool {
      */
     startDrawing(x, y, event) {
         this.startPoint = { x, y };
-        this.saveCanvasState();
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -30,8 +32,7 @@ export default class ArrowTool extends BaseTool {
     continueDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        this.drawArrowPreview(this.startPoint.x, this.startPoint.y, x, y);
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -43,8 +44,6 @@ export default class ArrowTool extends BaseTool {
     endDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        
         // Create object instead of drawing directly
         const object = {
             type: 'arrow',
@@ -63,25 +62,36 @@ export default class ArrowTool extends BaseTool {
         this.eventBus.emit('object:add', object);
         
         this.startPoint = null;
-        this.eventBus.emit('canvas:change');
+        this.currentPoint = null;
+    }
+
+    /**
+     * Draw the arrow being dragged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint || !this.currentPoint) return;
+        
+        this.drawArrowPreview(ctx, this.startPoint.x, this.startPoint.y, this.currentPoint.x, this.currentPoint.y);
     }
 
     /**
      * Draw arrow preview
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x1 - Start X
      * @param {number} y1 - Start Y
      * @param {number} x2 - End X
      * @param {number} y2 - End Y
      */
-    drawArrowPreview(x1, y1, x2, y2) {
+    drawArrowPreview(ctx, x1, y1, x2, y2) {
         // Draw with lower opacity for preview
-        const ctx = this.canvasManager.ctx;
-        const originalOpacity = ctx.globalAlpha;
+        ctx.save();
         ctx.globalAlpha = 0.5;
+        this.canvasManager.updateDrawingProperties();
         
         this.canvasManager.drawArrow(x1, y1, x2, y2);
         
-        ctx.globalAlpha = originalOpacity;
+        ctx.restore();
     }
 
     /**
@@ -95,22 +105,6 @@ export default class ArrowTool extends BaseTool {
         this.canvasManager.drawArrow(x1, y1, x2, y2);
     }
 
-    /**
-     * Save canvas state for preview
-     */
-    saveCanvasState() {
-        this.savedState = this.canvasManager.getCanvasState();
-    }
-
-    /**
-     * Restore canvas state for preview
-     */
-    restoreCanvasState() {
-        if (this.savedState) {
-            this.canvasManager.restoreState(this.savedState);
-        }
-    }
-
     /**
      * Get arrow cursor
      * @returns {string} CSS cursor value
@@ -133,11 +127,8 @@ export default class ArrowTool extends BaseTool {
     deactivate() {
         super.deactivate();
         
-        if (this.isDrawing) {
-            this.restoreCanvasState();
-            this.startPoint = null;
-            this.isDrawing = false;
-        }
+        this.startPoint = null;
+        this.currentPoint = null;
     }
 
     /**
@@ -8,6 +8,10 @@ export class BaseTool {
         this.isActive = false;
         this.isDrawing = false;
         
+        // Shape tools turn this on to have their points snapped to the grid and objects
+        this.snapping = false;
+        this.snapManager = null;
+        
         // Tool properties
         this.properties = {
             strokeColor: '#000000',
@@ -20,7 +24,8 @@ export class BaseTool {
             onMouseDown: this.onMouseDown.bind(this),
             onMouseMove: this.onMouseMove.bind(this),
             onMouseUp: this.onMouseUp.bind(this),
-            onPropertiesChange: this.onPropertiesChange.bind(this)
+            onPropertiesChange: this.onPropertiesChange.bind(this),
+            onDoubleClick: this.onDoubleClick.bind(this)
         };
     }
 
@@ -31,6 +36,7 @@ export class BaseTool {
         this.isActive = true;
         this.setupEventListeners();
         this.requestCurrentProperties();
+        this.requestSnapManager();
     }
 
     /**
@@ -40,6 +46,7 @@ export class BaseTool {
         this.isActive = false;
         this.removeEventListeners();
         this.isDrawing = false;
+        this.snapManager?.clearGuides();
     }
 
     /**
@@ -50,6 +57,7 @@ export class BaseTool {
         this.eventBus.on('canvas:mousemove', this.boundEventHandlers.onMouseMove);
         this.eventBus.on('canvas:mouseup', this.boundEventHandlers.onMouseUp);
         this.eventBus.on('properties:change', this.boundEventHandlers.onPropertiesChange);
+        this.eventBus.on('canvas:dblclick', this.boundEventHandlers.onDoubleClick);
     }
 
     /**
@@ -60,19 +68,64 @@ export class BaseTool {
         this.eventBus.off('canvas:mousemove');
         this.eventBus.off('canvas:mouseup');
         this.eventBus.off('properties:change');
+        this.eventBus.off('canvas:dblclick');
     }
 
     /**
      * Request current properties from properties panel
      */
     requestCurrentProperties() {
-        this.eventBus.emit('properties:request');
-        
-        // Listen for response
+        // Listen for response (the panel answers synchronously)
         const unsubscribe = this.eventBus.on('properties:response', (properties) => {
             this.updateProperties(properties);
             unsubscribe();
         });
+        
+        this.eventBus.emit('properties:request');
+    }
+
+    /**
+     * Request the object manager from the app
+     */
+    requestObjectManager() {
+        const unsubscribe = this.eventBus.on('objectManager:ready', (objectManager) => {
+            this.objectManager = objectManager;
+            unsubscribe();
+        });
+        
+        this.eventBus.emit('objectManager:request');
+    }
+
+    /**
+     * Request the snap manager from the app
+     */
+    requestSnapManager() {
+        const unsubscribe = this.eventBus.on('snapManager:ready', (snapManager) => {
+            this.snapManager = snapManager;
+            unsubscribe();
+        });
+        
+        this.eventBus.emit('snapManager:request');
+    }
+
+    /**
+     * Snap a pointer position if this tool snaps
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     * @returns {Object} Point {x, y}
+     */
+    snapPoint(x, y, event) {
+        if (!this.snapping || !this.snapManager) return { x, y };
+        return this.snapManager.snapPoint(x, y, { event });
+    }
+
+    /**
+     * Ask for the canvas to be redrawn, e.g. after the tool's overlay changed.
+     * Requests are batched into one redraw per animation frame.
+     */
+    requestRedraw() {
+        this.eventBus.emit('canvas:redraw');
     }
 
     /**
@@ -85,7 +138,9 @@ export class BaseTool {
         if (!this.isActive) return;
         
         this.isDrawing = true;
-        this.startDrawing(x, y, event);
+        const point = this.snapPoint(x, y, event);
+        this.startDrawing(point.x, point.y, event);
+        this.requestRedraw();
     }
 
     /**
@@ -98,7 +153,9 @@ export class BaseTool {
         if (!this.isActive) return;
         
         if (this.isDrawing) {
-            this.continueDrawing(x, y, event);
+            const point = this.snapPoint(x, y, event);
+            this.continueDrawing(point.x, point.y, event);
+            this.requestRedraw();
         } else {
             this.onHover(x, y, event);
         }
@@ -114,7 +171,22 @@ export class BaseTool {
         if (!this.isActive || !this.isDrawing) return;
         
         this.isDrawing = false;
-        this.endDrawing(x, y, event);
+        const point = this.snapPoint(x, y, event);
+        this.endDrawing(point.x, point.y, event);
+        this.snapManager?.clearGuides();
+        this.requestRedraw();
+    }
+
+    /**
+     * Handle double click event
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    onDoubleClick(x, y, event) {
+        if (!this.isActive) return;
+        
+        this.doubleClick(x, y, event);
     }
 
     /**
@@ -164,6 +236,16 @@ export class BaseTool {
         // To be implemented by subclasses
     }
 
+    /**
+     * Handle double click (to be implemented by subclasses)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    doubleClick(x, y, event) {
+        // To be implemented by subclasses
+    }
+
     /**
      * Handle hover when not drawing (to be implemented by subclasses)
      * @param {number} x - X coordinate
@@ -174,6 +256,14 @@ export class BaseTool {
         // To be implemented by subclasses
     }
 
+    /**
+     * Draw transient tool graphics on top of the objects (to be implemented by subclasses)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        // To be implemented by subclasses
+    }
+
     /**
      * Get tool cursor style
      * @returns {string} CSS cursor value
@@ -6,7 +6,9 @@ import { BaseTool } from './BaseTool.js';
 export default class CircleTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
+        this.snapping = true;
         this.startPoint = null;
+        this.currentPoint = null;
         this.enableFill = false;
     }
 
@@ -18,7 +20,7 @@ export default class CircleTool extends BaseTool {
      */
     startDrawing(x, y, event) {
         this.startPoint = { x, y };
-        this.saveCanvasState();
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -30,8 +32,7 @@ export default class CircleTool extends BaseTool {
     continueDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        this.drawCirclePreview(this.startPoint.x, this.startPoint.y, x, y);
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -43,8 +44,6 @@ export default class CircleTool extends BaseTool {
     endDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        
         // Create object instead of drawing directly
         const centerX = (this.startPoint.x + x) / 2;
         const centerY = (this.startPoint.y + y) / 2;
@@ -68,29 +67,40 @@ export default class CircleTool extends BaseTool {
         this.eventBus.emit('object:add', object);
         
         this.startPoint = null;
-        this.eventBus.emit('canvas:change');
+        this.currentPoint = null;
+    }
+
+    /**
+     * Draw the circle being dragged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint || !this.currentPoint) return;
+        
+        this.drawCirclePreview(ctx, this.startPoint.x, this.startPoint.y, this.currentPoint.x, this.currentPoint.y);
     }
 
     /**
      * Draw circle preview
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x1 - Start X
      * @param {number} y1 - Start Y
      * @param {number} x2 - Current X
      * @param {number} y2 - Current Y
      */
-    drawCirclePreview(x1, y1, x2, y2) {
+    drawCirclePreview(ctx, x1, y1, x2, y2) {
         const centerX = (x1 + x2) / 2;
         const centerY = (y1 + y2) / 2;
         const radius = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2)) / 2;
         
         // Draw with lower opacity for preview
-        const ctx = this.canvasManager.ctx;
-        const originalOpacity = ctx.globalAlpha;
+        ctx.save();
         ctx.globalAlpha = 0.5;
+        this.canvasManager.updateDrawingProperties();
         
         this.canvasManager.drawCircle(centerX, centerY, radius, this.enableFill);
         
-        ctx.globalAlpha = originalOpacity;
+        ctx.restore();
     }
 
     /**
@@ -110,22 +120,6 @@ export default class CircleTool extends BaseTool {
         }
     }
 
-    /**
-     * Save canvas state for preview
-     */
-    saveCanvasState() {
-        this.savedState = this.canvasManager.getCanvasState();
-    }
-
-    /**
-     * Restore canvas state for preview
-     */
-    restoreCanvasState() {
-        if (this.savedState) {
-            this.canvasManager.restoreState(this.savedState);
-        }
-    }
-
     /**
      * Get circle cursor
      * @returns {string} CSS cursor value
@@ -148,11 +142,8 @@ export default class CircleTool extends BaseTool {
     deactivate() {
         super.deactivate();
         
-        if (this.isDrawing) {
-            this.restoreCanvasState();
-            this.startPoint = null;
-            this.isDrawing = false;
-        }
+        this.startPoint = null;
+        this.currentPoint = null;
     }
 
     /**
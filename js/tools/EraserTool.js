@@ -1,12 +1,18 @@
 import { BaseTool } from './BaseTool.js';
 
 /**
- * Eraser tool for removing drawn content
+ * Eraser tool for removing drawn objects.
+ * Stroke mode deletes every object the eraser touches; partial mode cuts
+ * freehand strokes where the eraser crosses them and deletes anything else it touches.
  */
 export default class EraserTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
         this.eraserSize = 20;
+        this.eraserMode = 'stroke';
+        this.objectManager = null;
+        this.lastPoint = null;
+        this.cursorPoint = null;
     }
 
     /**
@@ -16,6 +22,12 @@ export default class EraserTool extends BaseTool {
      * @param {MouseEvent} event - Original mouse event
      */
     startDrawing(x, y, event) {
+        if (!this.objectManager) return;
+
+        // The whole drag is a single undo step
+        this.eventBus.emit('history:batch-start', 'erase');
+        this.lastPoint = { x, y };
+        this.cursorPoint = { x, y };
         this.erase(x, y);
     }
 
@@ -26,7 +38,19 @@ export default class EraserTool extends BaseTool {
      * @param {MouseEvent} event - Original mouse event
      */
     continueDrawing(x, y, event) {
-        this.erase(x, y);
+        if (!this.lastPoint) return;
+
+        this.cursorPoint = { x, y };
+
+        // Erase along the whole movement so fast drags don't skip over thin strokes
+        const from = this.lastPoint;
+        const step = Math.max(1, this.eraserSize / 4);
+        const steps = Math.ceil(Math.hypot(x - from.x, y - from.y) / step);
+        for (let i = 1; i <= steps; i++) {
+            this.erase(from.x + (x - from.x) * i / steps, from.y + (y - from.y) * i / steps);
+        }
+
+        this.lastPoint = { x, y };
     }
 
     /**
@@ -36,66 +60,54 @@ export default class EraserTool extends BaseTool {
      * @param {MouseEvent} event - Original mouse event
      */
     endDrawing(x, y, event) {
-        // Emit canvas change event for undo/redo
-        this.eventBus.emit('canvas:change');
+        if (!this.lastPoint) return;
+
+        this.lastPoint = null;
+        this.eventBus.emit('history:batch-end');
     }
 
     /**
-     * Erase at position
+     * Erase the objects under the eraser
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      */
     erase(x, y) {
-        this.canvasManager.erase(x, y, this.eraserSize);
+        const radius = this.eraserSize / 2;
+
+        this.objectManager.getObjectsNearPoint(x, y, radius).forEach(obj => {
+            if (this.eraserMode === 'partial' && obj.type === 'freehand') {
+                this.objectManager.erasePath(obj.id, x, y, radius);
+            } else {
+                this.objectManager.deleteObject(obj.id);
+            }
+        });
     }
 
     /**
-     * Handle hover to show eraser preview
+     * Track the pointer for the eraser outline
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {MouseEvent} event - Original mouse event
      */
     onHover(x, y, event) {
-        // Could implement eraser preview here
-        this.showEraserPreview(x, y);
+        this.cursorPoint = { x, y };
+        this.requestRedraw();
     }
 
     /**
-     * Show eraser preview
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
+     * Draw the eraser outline at the pointer
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      */
-    showEraserPreview(x, y) {
-        // Remove previous preview
-        this.removeEraserPreview();
-        
-        // Create preview element
-        const preview = document.createElement('div');
-        preview.id = 'eraser-preview';
-        preview.style.cssText = `
-            position: absolute;
-            width: ${this.eraserSize}px;
-            height: ${this.eraserSize}px;
-            border: 2px solid #ff6b6b;
-            border-radius: 50%;
-            pointer-events: none;
-            z-index: 1000;
-            transform: translate(-50%, -50%);
-            left: ${x}px;
-            top: ${y}px;
-        `;
-        
-        this.canvasManager.canvas.parentElement.appendChild(preview);
-    }
+    drawOverlay(ctx) {
+        if (!this.cursorPoint) return;
 
-    /**
-     * Remove eraser preview
-     */
-    removeEraserPreview() {
-        const preview = document.getElementById('eraser-preview');
-        if (preview) {
-            preview.remove();
-        }
+        ctx.save();
+        ctx.strokeStyle = '#ff6b6b';
+        ctx.lineWidth = 2 / this.canvasManager.getZoom();
+        ctx.beginPath();
+        ctx.arc(this.cursorPoint.x, this.cursorPoint.y, this.eraserSize / 2, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
     }
 
     /**
@@ -103,7 +115,7 @@ export default class EraserTool extends BaseTool {
      * @returns {string} CSS cursor value
      */
     getCursor() {
-        return 'none'; // Hide cursor since we show custom preview
+        return 'none'; // Hide cursor since we draw the eraser outline
     }
 
     /**
@@ -112,14 +124,20 @@ export default class EraserTool extends BaseTool {
     activate() {
         super.activate();
         this.setCursor();
+        this.requestObjectManager();
     }
 
     /**
      * Deactivate eraser tool
      */
     deactivate() {
+        if (this.lastPoint) {
+            this.eventBus.emit('history:batch-end');
+        }
+
         super.deactivate();
-        this.removeEraserPreview();
+        this.lastPoint = null;
+        this.cursorPoint = null;
     }
 
     /**
@@ -128,9 +146,12 @@ export default class EraserTool extends BaseTool {
      */
     updateProperties(properties) {
         super.updateProperties(properties);
-        
+
         if (properties.eraserSize !== undefined) {
             this.eraserSize = properties.eraserSize;
         }
+        if (properties.eraserMode !== undefined) {
+            this.eraserMode = properties.eraserMode;
+        }
     }
 }
@@ -6,7 +6,9 @@ import { BaseTool } from './BaseTool.js';
 export default class LineTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
+        this.snapping = true;
         this.startPoint = null;
+        this.currentPoint = null;
     }
 
     /**
@@ -17,7 +19,7 @@ export default class LineTool extends BaseTool {
      */
     startDrawing(x, y, event) {
         this.startPoint = { x, y };
-        this.saveCanvasState();
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -29,8 +31,7 @@ export default class LineTool extends BaseTool {
     continueDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        this.drawLinePreview(this.startPoint.x, this.startPoint.y, x, y);
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -42,8 +43,6 @@ export default class LineTool extends BaseTool {
     endDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        
         // Create object instead of drawing directly
         const object = {
             type: 'line',
@@ -62,25 +61,36 @@ export default class LineTool extends BaseTool {
         this.eventBus.emit('object:add', object);
         
         this.startPoint = null;
-        this.eventBus.emit('canvas:change');
+        this.currentPoint = null;
+    }
+
+    /**
+     * Draw the line being dragged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint || !this.currentPoint) return;
+        
+        this.drawLinePreview(ctx, this.startPoint.x, this.startPoint.y, this.currentPoint.x, this.currentPoint.y);
     }
 
     /**
      * Draw line preview
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x1 - Start X
      * @param {number} y1 - Start Y
      * @param {number} x2 - End X
      * @param {number} y2 - End Y
      */
-    drawLinePreview(x1, y1, x2, y2) {
+    drawLinePreview(ctx, x1, y1, x2, y2) {
         // Draw with lower opacity for preview
-        const ctx = this.canvasManager.ctx;
-        const originalOpacity = ctx.globalAlpha;
+        ctx.save();
         ctx.globalAlpha = 0.5;
+        this.canvasManager.updateDrawingProperties();
         
         this.canvasManager.drawLine(x1, y1, x2, y2);
         
-        ctx.globalAlpha = originalOpacity;
+        ctx.restore();
     }
 
     /**
@@ -94,22 +104,6 @@ export default class LineTool extends BaseTool {
         this.canvasManager.drawLine(x1, y1, x2, y2);
     }
 
-    /**
-     * Save canvas state for preview
-     */
-    saveCanvasState() {
-        this.savedState = this.canvasManager.getCanvasState();
-    }
-
-    /**
-     * Restore canvas state for preview
-     */
-    restoreCanvasState() {
-        if (this.savedState) {
-            this.canvasManager.restoreState(this.savedState);
-        }
-    }
-
     /**
      * Get line cursor
      * @returns {string} CSS cursor value
@@ -132,11 +126,8 @@ export default class LineTool extends BaseTool {
     deactivate() {
         super.deactivate();
         
-        if (this.isDrawing) {
-            this.restoreCanvasState();
-            this.startPoint = null;
-            this.isDrawing = false;
-        }
+        this.startPoint = null;
+        this.currentPoint = null;
     }
 
     /**
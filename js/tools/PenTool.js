@@ -1,4 +1,18 @@
 import { BaseTool } from './BaseTool.js';
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+import { PathUtils } from '../utils/PathUtils.js';
+
+/**
+ * Simulated pressure for pointers without a pressure sensor: slow strokes
+ * approach the maximum, strokes at or above the fast speed (px/ms) the minimum
+ */
+const SIMULATED_PRESSURE = {
+    initial: 0.5,
+    min: 0.2,
+    max: 0.65,
+    fastSpeed: 3,
+    smoothing: 0.3
+};
 
 /**
  * Pen tool for freehand drawing
@@ -7,58 +21,49 @@ export default class PenTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
         this.path = [];
-        this.smoothing = 0.5;
+        this.lastSample = null;
     }
 
     /**
      * Start drawing with pen
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {MouseEvent} event - Original mouse event
+     * @param {PointerEvent} event - Original pointer event
      */
     startDrawing(x, y, event) {
-        this.path = [{ x, y }];
-        this.canvasManager.beginDrawing(x, y);
+        this.lastSample = { x, y, time: event?.timeStamp ?? 0, pressure: SIMULATED_PRESSURE.initial };
+        this.path = [this.createPoint(x, y, event)];
     }
 
     /**
      * Continue drawing with pen
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {MouseEvent} event - Original mouse event
+     * @param {PointerEvent} event - Original pointer event
      */
     continueDrawing(x, y, event) {
-        this.path.push({ x, y });
-        
-        if (this.path.length > 2) {
-            // Use quadratic curves for smoother lines
-            const lastPoint = this.path[this.path.length - 2];
-            const currentPoint = this.path[this.path.length - 1];
-            
-            // Calculate control point for smooth curve
-            const controlX = lastPoint.x + (currentPoint.x - lastPoint.x) * this.smoothing;
-            const controlY = lastPoint.y + (currentPoint.y - lastPoint.y) * this.smoothing;
-            
-            this.canvasManager.ctx.quadraticCurveTo(lastPoint.x, lastPoint.y, controlX, controlY);
-            this.canvasManager.ctx.stroke();
-        } else {
-            // For first few points, use simple line
-            this.canvasManager.continueDrawing(x, y);
-        }
+        const last = this.path[this.path.length - 1];
+        if (last && last.x === x && last.y === y) return;
+
+        this.path.push(this.createPoint(x, y, event));
     }
 
     /**
      * End drawing with pen
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {MouseEvent} event - Original mouse event
+     * @param {PointerEvent} event - Original pointer event
      */
     endDrawing(x, y, event) {
         if (this.path.length > 0) {
-            // Create object from path
+            // Smooth and simplify the raw samples before they become the object
+            const options = PathUtils.getSmoothingOptions(this.properties.smoothing ?? 5);
+            const { path, smooth } = PathUtils.processPath(this.path, options);
+            
             const object = {
                 type: 'freehand',
-                path: [...this.path],
+                path,
+                smooth,
                 properties: {
                     strokeColor: this.properties.strokeColor,
                     strokeWidth: this.properties.strokeWidth,
@@ -69,11 +74,84 @@ export default class PenTool extends BaseTool {
             
             // Add to object manager
             this.eventBus.emit('object:add', object);
-            
-            // Finish the current stroke
-            this.canvasManager.endDrawing();
         }
         this.path = [];
+        this.lastSample = null;
+    }
+
+    /**
+     * Create a path point, with pressure unless pressure is turned off
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {PointerEvent} event - Original pointer event
+     * @returns {Object} Point {x, y, pressure?}
+     */
+    createPoint(x, y, event) {
+        if (this.properties.pressure === false) {
+            return { x, y };
+        }
+
+        return { x, y, pressure: this.getPressure(x, y, event) };
+    }
+
+    /**
+     * Get the pressure for a sample. Styluses report real pressure; mice and
+     * touch screens report a constant, so pressure is simulated from velocity
+     * (faster movement draws a thinner line).
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {PointerEvent} event - Original pointer event
+     * @returns {number} Pressure between 0 and 1
+     */
+    getPressure(x, y, event) {
+        if (event?.pointerType === 'pen') {
+            return event.pressure;
+        }
+
+        const last = this.lastSample;
+        const time = event?.timeStamp ?? last.time;
+        const elapsed = time - last.time;
+        let pressure = last.pressure;
+
+        if (elapsed > 0) {
+            const speed = Math.hypot(x - last.x, y - last.y) / elapsed;
+            const slowness = 1 - Math.min(1, speed / SIMULATED_PRESSURE.fastSpeed);
+            const target = SIMULATED_PRESSURE.min + (SIMULATED_PRESSURE.max - SIMULATED_PRESSURE.min) * slowness;
+
+            // Ease towards the target so the width doesn't jump between samples
+            pressure += (target - pressure) * SIMULATED_PRESSURE.smoothing;
+        }
+
+        this.lastSample = { x, y, time, pressure };
+        return pressure;
+    }
+
+    /**
+     * Draw the stroke in progress
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.isDrawing || this.path.length === 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = this.properties.opacity || 1;
+        ctx.strokeStyle = this.properties.strokeColor || '#000000';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = this.properties.strokeWidth || 2;
+        ctx.lineCap = this.properties.penStyle || 'round';
+        ctx.lineJoin = 'round';
+
+        if (CanvasUtils.hasPressure(this.path)) {
+            CanvasUtils.tracePressureStroke(ctx, this.path, ctx.lineWidth);
+            ctx.fill();
+        } else {
+            ctx.beginPath();
+            ctx.moveTo(this.path[0].x, this.path[0].y);
+            this.path.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        }
+
+        ctx.restore();
     }
 
     /**
@@ -91,23 +169,4 @@ export default class PenTool extends BaseTool {
         super.activate();
         this.setCursor();
     }
-
-    /**
-     * Update pen properties
-     * @param {Object} properties - Properties to update
-     */
-    updateProperties(properties) {
-        super.updateProperties(properties);
-        
-        // Update pen-specific properties
-        if (properties.penStyle) {
-            this.canvasManager.ctx.lineCap = properties.penStyle;
-            this.canvasManager.ctx.lineJoin = properties.penStyle;
-        }
-        
-        // Update smoothing based on stroke width
-        if (properties.strokeWidth) {
-            this.smoothing = Math.max(0.3, Math.min(0.8, properties.strokeWidth / 20));
-        }
-    }
 }
@@ -6,9 +6,9 @@ import { BaseTool } from './BaseTool.js';
 export default class RectangleTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
+        this.snapping = true;
         this.startPoint = null;
-        this.previewCanvas = null;
-        this.previewCtx = null;
+        this.currentPoint = null;
         this.enableFill = false;
     }
 
@@ -20,8 +20,7 @@ export default class RectangleTool extends BaseTool {
      */
     startDrawing(x, y, event) {
         this.startPoint = { x, y };
-        this.createPreviewCanvas();
-        this.saveCanvasState();
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -33,8 +32,7 @@ export default class RectangleTool extends BaseTool {
     continueDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        this.drawRectanglePreview(this.startPoint.x, this.startPoint.y, x, y);
+        this.currentPoint = { x, y };
     }
 
     /**
@@ -46,8 +44,6 @@ export default class RectangleTool extends BaseTool {
     endDrawing(x, y, event) {
         if (!this.startPoint) return;
         
-        this.restoreCanvasState();
-        
         // Create object instead of drawing directly
         const width = x - this.startPoint.x;
         const height = y - this.startPoint.y;
@@ -71,29 +67,39 @@ export default class RectangleTool extends BaseTool {
         this.eventBus.emit('object:add', object);
         
         this.startPoint = null;
-        this.removePreviewCanvas();
-        this.eventBus.emit('canvas:change');
+        this.currentPoint = null;
+    }
+
+    /**
+     * Draw the rectangle being dragged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint || !this.currentPoint) return;
+        
+        this.drawRectanglePreview(ctx, this.startPoint.x, this.startPoint.y, this.currentPoint.x, this.currentPoint.y);
     }
 
     /**
      * Draw rectangle preview
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x1 - Start X
      * @param {number} y1 - Start Y
      * @param {number} x2 - End X
      * @param {number} y2 - End Y
      */
-    drawRectanglePreview(x1, y1, x2, y2) {
+    drawRectanglePreview(ctx, x1, y1, x2, y2) {
         const width = x2 - x1;
         const height = y2 - y1;
         
         // Draw with lower opacity for preview
-        const ctx = this.canvasManager.ctx;
-        const originalOpacity = ctx.globalAlpha;
+        ctx.save();
         ctx.globalAlpha = 0.5;
+        this.canvasManager.updateDrawingProperties();
         
         this.canvasManager.drawRectangle(x1, y1, width, height, this.enableFill);
         
-        ctx.globalAlpha = originalOpacity;
+        ctx.restore();
     }
 
     /**
@@ -110,37 +116,6 @@ export default class RectangleTool extends BaseTool {
         this.canvasManager.drawRectangle(x1, y1, width, height, this.enableFill);
     }
 
-    /**
-     * Create preview canvas for temporary drawing
-     */
-    createPreviewCanvas() {
-        // We'll use the main canvas but save/restore state
-        // This is simpler than creating a separate canvas
-    }
-
-    /**
-     * Remove preview canvas
-     */
-    removePreviewCanvas() {
-        // Cleanup if needed
-    }
-
-    /**
-     * Save canvas state for preview
-     */
-    saveCanvasState() {
-        this.savedState = this.canvasManager.getCanvasState();
-    }
-
-    /**
-     * Restore canvas state for preview
-     */
-    restoreCanvasState() {
-        if (this.savedState) {
-            this.canvasManager.restoreState(this.savedState);
-        }
-    }
-
     /**
      * Get rectangle cursor
      * @returns {string} CSS cursor value
@@ -163,11 +138,8 @@ export default class RectangleTool extends BaseTool {
     deactivate() {
         super.deactivate();
         
-        if (this.isDrawing) {
-            this.restoreCanvasState();
-            this.startPoint = null;
-            this.isDrawing = false;
-        }
+        this.startPoint = null;
+        this.currentPoint = null;
     }
 
     /**
@@ -1,23 +1,53 @@
 import { BaseTool } from './BaseTool.js';
+import { TextEditor } from '../components/TextEditor.js';
+import { CanvasUtils } from '../utils/CanvasUtils.js';
+import { ImageUtils } from '../utils/ImageUtils.js';
 
 /**
- * Selection tool for selecting, moving, and resizing objects
+ * Rotation snaps to multiples of this angle while Shift is held
+ */
+const ROTATION_SNAP = Math.PI / 12;
+
+/**
+ * Smallest visible size a crop can leave, in canvas pixels
+ */
+const MIN_CROP_SIZE = 10;
+
+const CROP_COLOR = '#f59e0b';
+
+/**
+ * Selection tool for selecting, moving, resizing and rotating objects
  */
 export default class SelectionTool extends BaseTool {
     constructor(eventBus, canvasManager) {
         super(eventBus, canvasManager);
         this.objectManager = null;
-        this.selectedObject = null;
         this.isMoving = false;
         this.isResizing = false;
+        this.isRotating = false;
+        this.isSelecting = false;
+        this.isCropping = false;
         this.dragStartPoint = null;
+        this.move = null;
         this.resizeHandle = null;
-        this.selectionBox = null;
-        
-        // Resize handles
+        this.selectionRect = null;
+        this.additiveSelection = false;
+
+        // Resize handles, sized in screen pixels
         this.handles = [];
         this.handleSize = 8;
-        
+
+        // Rotation handle, drawn this many screen pixels above the top edge of the selection
+        this.rotateHandleOffset = 24;
+        this.rotation = null;
+
+        // Image whose handles crop instead of resize
+        this.cropTargetId = null;
+        this.unsubscribeCrop = null;
+
+        this.textEditor = new TextEditor(eventBus, canvasManager);
+        this.boundKeyDown = this.onKeyDown.bind(this);
+
         this.setupEventListeners();
     }
 
@@ -26,22 +56,32 @@ export default class SelectionTool extends BaseTool {
      */
     setupEventListeners() {
         super.setupEventListeners();
-        
-        this.eventBus.on('object:selected', (object) => {
-            this.selectedObject = object;
-            this.updateSelectionBox();
-        });
-
-        this.eventBus.on('object:deselected', () => {
-            this.selectedObject = null;
-            this.clearSelectionBox();
-        });
 
         this.eventBus.on('objectManager:ready', (objectManager) => {
             this.objectManager = objectManager;
         });
     }
 
+    /**
+     * Check if anything is selected
+     * @returns {boolean} True if the selection is not empty
+     */
+    hasSelection() {
+        return !!this.objectManager && this.objectManager.getSelectedObjects().length > 0;
+    }
+
+    /**
+     * Check if a point is over any selected object
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the point hits a selected object
+     */
+    isPointInSelection(x, y) {
+        return this.objectManager.getSelectedObjects().some(obj =>
+            this.objectManager.isPointInObject(x, y, obj)
+        );
+    }
+
     /**
      * Start selection/manipulation
      * @param {number} x - X coordinate
@@ -52,30 +92,163 @@ export default class SelectionTool extends BaseTool {
         if (!this.objectManager) return;
 
         this.dragStartPoint = { x, y };
-        
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+
+        // In crop mode the handles crop; clicking away from the image leaves crop mode
+        const cropTarget = this.getCropTarget();
+        if (cropTarget) {
+            const handle = this.getResizeHandleAt(x, y);
+            if (handle && handle.type !== 'rotate') {
+                this.isCropping = true;
+                this.resizeHandle = handle;
+                this.eventBus.emit('history:batch-start', 'crop');
+                return;
+            }
+            if (!this.objectManager.isPointInObject(x, y, cropTarget)) {
+                this.stopCrop();
+            }
+        }
+
         // Check if clicking on resize handle
-        if (this.selectedObject) {
+        if (this.hasSelection() && !additive) {
             const handle = this.getResizeHandleAt(x, y);
+            if (handle && handle.type === 'rotate') {
+                this.startRotating(x, y);
+                return;
+            }
             if (handle) {
                 this.isResizing = true;
                 this.resizeHandle = handle;
+                this.eventBus.emit('history:batch-start', 'resize');
                 return;
             }
-            
-            // Check if clicking on selected object (for moving)
-            if (this.objectManager.isPointInObject(x, y, this.selectedObject)) {
-                this.isMoving = true;
+
+            // Check if clicking on a selected object (for moving)
+            if (this.isPointInSelection(x, y)) {
+                this.startMoving();
                 return;
             }
         }
-        
-        // Try to select an object
+
         const clickedObject = this.objectManager.getObjectAtPosition(x, y);
+
+        if (additive) {
+            // Shift/Ctrl-click adds or removes a single object
+            if (clickedObject) {
+                this.objectManager.toggleSelection(clickedObject.id);
+                this.dragStartPoint = null;
+            } else {
+                this.startSelecting(true);
+            }
+            return;
+        }
+
         if (clickedObject) {
+            // Select and allow dragging in the same gesture
             this.objectManager.selectObject(clickedObject.id);
+            this.startMoving();
         } else {
             this.objectManager.deselectAll();
+            this.startSelecting(false);
+        }
+    }
+
+    /**
+     * Begin moving the selection
+     */
+    startMoving() {
+        const selected = this.objectManager.getSelectedObjects();
+
+        this.isMoving = true;
+        this.move = {
+            bounds: this.objectManager.getSelectionBounds(),
+            exclude: new Set(selected.map(obj => obj.id)),
+            applied: { x: 0, y: 0 }
+        };
+        this.eventBus.emit('history:batch-start', 'move');
+    }
+
+    /**
+     * Move the selection to follow the pointer, snapping its bounds to the
+     * grid and to the other objects
+     * @param {number} deltaX - Pointer movement since the drag started
+     * @param {number} deltaY - Pointer movement since the drag started
+     * @param {MouseEvent} event - Original mouse event
+     */
+    moveSelection(deltaX, deltaY, event) {
+        const { bounds, exclude, applied } = this.move;
+
+        if (this.snapManager && bounds) {
+            const snap = this.snapManager.snapBounds(
+                { ...bounds, x: bounds.x + deltaX, y: bounds.y + deltaY },
+                { event, exclude }
+            );
+            deltaX += snap.dx;
+            deltaY += snap.dy;
+        }
+
+        // Objects have already moved by the applied amount
+        const stepX = deltaX - applied.x;
+        const stepY = deltaY - applied.y;
+        if (stepX === 0 && stepY === 0) return;
+
+        this.objectManager.getSelectedObjects().forEach(obj => {
+            this.objectManager.moveObject(obj.id, stepX, stepY);
+        });
+        this.move.applied = { x: deltaX, y: deltaY };
+    }
+
+    /**
+     * Begin rotating the selection around the center of its frame
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    startRotating(x, y) {
+        const frame = this.objectManager.getSelectionFrame();
+        const pivot = { x: frame.x + frame.width / 2, y: frame.y + frame.height / 2 };
+
+        this.isRotating = true;
+        this.rotation = {
+            pivot,
+            startAngle: Math.atan2(y - pivot.y, x - pivot.x),
+            startRotation: frame.rotation,
+            applied: 0
+        };
+        this.eventBus.emit('history:batch-start', 'rotate');
+    }
+
+    /**
+     * Rotate the selection towards the pointer
+     * @param {number} x - Current X
+     * @param {number} y - Current Y
+     * @param {boolean} snap - Snap the resulting angle to 15° steps
+     */
+    rotateSelection(x, y, snap) {
+        const { pivot, startAngle, startRotation } = this.rotation;
+        let angle = Math.atan2(y - pivot.y, x - pivot.x) - startAngle;
+
+        if (snap) {
+            // Snap the frame's final angle, so a single object lands on round values
+            angle = Math.round((startRotation + angle) / ROTATION_SNAP) * ROTATION_SNAP - startRotation;
         }
+
+        const delta = angle - this.rotation.applied;
+        if (delta === 0) return;
+
+        this.objectManager.getSelectedObjects().forEach(obj => {
+            this.objectManager.rotateObject(obj.id, delta, pivot.x, pivot.y);
+        });
+        this.rotation.applied = angle;
+    }
+
+    /**
+     * Begin a marquee selection
+     * @param {boolean} additive - Keep the existing selection
+     */
+    startSelecting(additive) {
+        this.isSelecting = true;
+        this.additiveSelection = additive;
+        this.selectionRect = null;
     }
 
     /**
@@ -90,18 +263,26 @@ export default class SelectionTool extends BaseTool {
         const deltaX = x - this.dragStartPoint.x;
         const deltaY = y - this.dragStartPoint.y;
 
-        if (this.isMoving && this.selectedObject) {
-            // Move the selected object
-            this.objectManager.moveObject(this.selectedObject.id, deltaX, deltaY);
-            this.dragStartPoint = { x, y };
-            
-        } else if (this.isResizing && this.selectedObject) {
-            // Resize the selected object
-            this.resizeSelectedObject(x, y);
-            
-        } else if (!this.selectedObject) {
-            // Draw selection rectangle (for multi-select in future)
-            this.drawSelectionRectangle(this.dragStartPoint.x, this.dragStartPoint.y, x, y);
+        if (this.isMoving) {
+            this.moveSelection(deltaX, deltaY, event);
+
+        } else if (this.isResizing) {
+            // Resize the selection as one box
+            this.resizeSelection(x, y, event);
+
+        } else if (this.isCropping) {
+            this.cropImage(x, y);
+
+        } else if (this.isRotating) {
+            this.rotateSelection(x, y, event.shiftKey);
+
+        } else if (this.isSelecting) {
+            this.selectionRect = {
+                x: this.dragStartPoint.x,
+                y: this.dragStartPoint.y,
+                width: deltaX,
+                height: deltaY
+            };
         }
     }
 
@@ -112,20 +293,148 @@ export default class SelectionTool extends BaseTool {
      * @param {MouseEvent} event - Original mouse event
      */
     endDrawing(x, y, event) {
-        if (this.isMoving || this.isResizing) {
-            // Emit canvas change for undo/redo
-            this.eventBus.emit('canvas:change');
+        if (this.isMoving || this.isResizing || this.isRotating || this.isCropping) {
+            // Collapse the whole drag into a single undo step
+            this.eventBus.emit('history:batch-end');
         }
-        
+
+        if (this.isSelecting && this.selectionRect) {
+            this.selectObjectsInRect(this.selectionRect, this.additiveSelection);
+        }
+
         this.isMoving = false;
         this.isResizing = false;
+        this.isRotating = false;
+        this.isSelecting = false;
+        this.isCropping = false;
         this.resizeHandle = null;
+        this.rotation = null;
+        this.move = null;
         this.dragStartPoint = null;
-        
+
         // Clear selection rectangle
         this.clearSelectionRectangle();
     }
 
+    /**
+     * Select every object intersecting a rectangle
+     * @param {Object} rect - Selection rectangle {x, y, width, height}
+     * @param {boolean} additive - Keep the existing selection
+     */
+    selectObjectsInRect(rect, additive) {
+        const ids = this.objectManager.getObjectsInRect(rect).map(obj => obj.id);
+
+        if (additive) {
+            const current = this.objectManager.getSelectedObjects().map(obj => obj.id);
+            this.objectManager.setSelection([...new Set([...current, ...ids])]);
+        } else {
+            this.objectManager.setSelection(ids);
+        }
+    }
+
+    /**
+     * Re-edit text objects on double click
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    doubleClick(x, y, event) {
+        if (!this.objectManager) return;
+        
+        const clickedObject = this.objectManager.getObjectAtPosition(x, y);
+        if (clickedObject && clickedObject.type === 'text') {
+            this.objectManager.selectObject(clickedObject.id);
+            this.textEditor.open(clickedObject);
+        } else if (clickedObject && clickedObject.type === 'image') {
+            this.objectManager.selectObject(clickedObject.id);
+            this.startCrop();
+        }
+    }
+
+    /**
+     * Enter crop mode for the selected image
+     */
+    startCrop() {
+        const selected = this.objectManager?.getSelectedObjects() || [];
+        if (selected.length !== 1 || selected[0].type !== 'image') return;
+
+        this.cropTargetId = selected[0].id;
+        this.requestRedraw();
+    }
+
+    /**
+     * Leave crop mode
+     */
+    stopCrop() {
+        if (!this.cropTargetId) return;
+
+        this.cropTargetId = null;
+        this.requestRedraw();
+    }
+
+    /**
+     * Check whether the handles currently crop an image
+     * @returns {boolean} True in crop mode
+     */
+    isCropMode() {
+        return !!this.getCropTarget();
+    }
+
+    /**
+     * Get the image being cropped. Crop mode ends by itself once that image
+     * is no longer the only selected object.
+     * @returns {Object|null} Image object or null
+     */
+    getCropTarget() {
+        if (!this.cropTargetId || !this.objectManager) return null;
+
+        const selected = this.objectManager.getSelectedObjects();
+        if (selected.length !== 1 || selected[0].id !== this.cropTargetId) {
+            this.cropTargetId = null;
+            return null;
+        }
+        return selected[0];
+    }
+
+    /**
+     * Move the dragged edge of the crop. The image content stays in place and
+     * the crop can't reach past the edges of the source.
+     * @param {number} x - Current X
+     * @param {number} y - Current Y
+     */
+    cropImage(x, y) {
+        const obj = this.getCropTarget();
+        if (!obj || !this.resizeHandle) return;
+
+        // Work in the image's unrotated space
+        if (obj.rotation) {
+            ({ x, y } = CanvasUtils.rotatePoint({ x, y }, this.objectManager.getRotationCenter(obj), -obj.rotation));
+        }
+
+        const full = ImageUtils.getFullImageRect(obj);
+        const handle = this.resizeHandle.type;
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+        let left = obj.x;
+        let top = obj.y;
+        let right = obj.x + obj.width;
+        let bottom = obj.y + obj.height;
+
+        if (handle.includes('w')) {
+            left = clamp(x, full.x, right - MIN_CROP_SIZE);
+        } else if (handle.includes('e')) {
+            right = clamp(x, left + MIN_CROP_SIZE, full.x + full.width);
+        }
+
+        if (handle.includes('n')) {
+            top = clamp(y, full.y, bottom - MIN_CROP_SIZE);
+        } else if (handle.includes('s')) {
+            bottom = clamp(y, top + MIN_CROP_SIZE, full.y + full.height);
+        }
+
+        const rect = { x: left, y: top, width: right - left, height: bottom - top };
+        this.objectManager.cropImage(obj.id, rect, ImageUtils.getCropForRect(obj, rect));
+    }
+
     /**
      * Handle hover to show resize cursors
      * @param {number} x - X coordinate
@@ -133,15 +442,17 @@ export default class SelectionTool extends BaseTool {
      * @param {MouseEvent} event - Original mouse event
      */
     onHover(x, y, event) {
-        if (!this.selectedObject) {
+        if (!this.hasSelection()) {
             this.setCursor('default');
             return;
         }
-        
+
         const handle = this.getResizeHandleAt(x, y);
-        if (handle) {
-            this.setCursor(this.getResizeCursor(handle.type));
-        } else if (this.objectManager.isPointInObject(x, y, this.selectedObject)) {
+        if (handle && handle.type === 'rotate') {
+            this.setCursor('grab');
+        } else if (handle) {
+            this.setCursor(this.getResizeCursor(handle.type, this.objectManager.getSelectionFrame().rotation));
+        } else if (this.isPointInSelection(x, y)) {
             this.setCursor('move');
         } else {
             this.setCursor('default');
@@ -155,32 +466,40 @@ export default class SelectionTool extends BaseTool {
      * @returns {Object|null} Handle or null
      */
     getResizeHandleAt(x, y) {
-        if (!this.selectedObject) return null;
-        
-        const bounds = this.objectManager.getObjectBounds(this.selectedObject);
-        const handles = this.getResizeHandles(bounds);
-        
+        const frame = this.objectManager.getSelectionFrame();
+        if (!frame) return null;
+
+        const handles = this.getResizeHandles(frame);
+
         for (const handle of handles) {
             const distance = Math.sqrt(
                 Math.pow(x - handle.x, 2) + Math.pow(y - handle.y, 2)
             );
-            if (distance <= this.handleSize) {
+            if (distance <= this.getHandleSize()) {
                 return handle;
             }
         }
-        
+
         return null;
     }
 
     /**
-     * Get resize handles for bounds
-     * @param {Object} bounds - Object bounds
-     * @returns {Array} Array of handles
+     * Get the size of a handle in canvas units, so handles keep the same size on screen at any zoom
+     * @returns {number} Handle size
      */
-    getResizeHandles(bounds) {
-        const { x, y, width, height } = bounds;
-        
-        return [
+    getHandleSize() {
+        return this.handleSize / this.canvasManager.getZoom();
+    }
+
+    /**
+     * Get resize and rotation handles for a selection frame
+     * @param {Object} frame - Selection frame {x, y, width, height, rotation}
+     * @returns {Array} Array of handles, positioned on screen
+     */
+    getResizeHandles(frame) {
+        const { x, y, width, height, rotation = 0 } = frame;
+
+        const handles = [
             { type: 'nw', x: x, y: y },
             { type: 'n', x: x + width / 2, y: y },
             { type: 'ne', x: x + width, y: y },
@@ -188,148 +507,178 @@ export default class SelectionTool extends BaseTool {
             { type: 'se', x: x + width, y: y + height },
             { type: 's', x: x + width / 2, y: y + height },
             { type: 'sw', x: x, y: y + height },
-            { type: 'w', x: x, y: y + height / 2 }
+            { type: 'w', x: x, y: y + height / 2 },
+            { type: 'rotate', x: x + width / 2, y: y - this.rotateHandleOffset / this.canvasManager.getZoom() }
         ];
+        if (!rotation) return handles;
+
+        const center = { x: x + width / 2, y: y + height / 2 };
+        return handles.map(handle => ({
+            ...handle,
+            ...CanvasUtils.rotatePoint(handle, center, rotation)
+        }));
     }
 
     /**
      * Get cursor for resize handle
      * @param {string} handleType - Handle type
+     * @param {number} rotation - Rotation of the selection frame in radians
      * @returns {string} CSS cursor
      */
-    getResizeCursor(handleType) {
-        const cursors = {
-            'nw': 'nw-resize',
-            'n': 'n-resize',
-            'ne': 'ne-resize',
-            'e': 'e-resize',
-            'se': 'se-resize',
-            's': 's-resize',
-            'sw': 'sw-resize',
-            'w': 'w-resize'
-        };
-        return cursors[handleType] || 'default';
+    getResizeCursor(handleType, rotation = 0) {
+        const directions = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+        const index = directions.indexOf(handleType);
+        if (index === -1) return 'default';
+
+        // Turn the cursor with the frame, in 45° steps
+        const steps = Math.round(rotation / (Math.PI / 4));
+        return `${directions[((index + steps) % 8 + 8) % 8]}-resize`;
     }
 
     /**
-     * Resize selected object
+     * Resize the selection by dragging a handle of its combined bounding box
      * @param {number} x - Current X
      * @param {number} y - Current Y
+     * @param {MouseEvent} event - Original mouse event
      */
-    resizeSelectedObject(x, y) {
-        if (!this.resizeHandle || !this.selectedObject) return;
-        
-        const bounds = this.objectManager.getObjectBounds(this.selectedObject);
+    resizeSelection(x, y, event) {
+        if (!this.resizeHandle) return;
+
+        const frame = this.objectManager.getSelectionFrame();
+        if (!frame) return;
+
+        // Snap the dragged handle; a rotated frame's edges don't line up with anything
+        if (!frame.rotation && this.snapManager) {
+            const exclude = new Set(this.objectManager.getSelectedObjects().map(obj => obj.id));
+            ({ x, y } = this.snapManager.snapPoint(x, y, { event, exclude }));
+        }
+
+        // Work in the frame's unrotated space
+        if (frame.rotation) {
+            const center = { x: frame.x + frame.width / 2, y: frame.y + frame.height / 2 };
+            ({ x, y } = CanvasUtils.rotatePoint({ x, y }, center, -frame.rotation));
+        }
+
+        const bounds = frame;
         const handle = this.resizeHandle.type;
-        
-        let newBounds = { ...bounds };
-        
-        switch (handle) {
-            case 'nw':
-                newBounds.width = bounds.x + bounds.width - x;
-                newBounds.height = bounds.y + bounds.height - y;
-                newBounds.x = x;
-                newBounds.y = y;
-                break;
-            case 'n':
-                newBounds.height = bounds.y + bounds.height - y;
-                newBounds.y = y;
-                break;
-            case 'ne':
-                newBounds.width = x - bounds.x;
-                newBounds.height = bounds.y + bounds.height - y;
-                newBounds.y = y;
-                break;
-            case 'e':
-                newBounds.width = x - bounds.x;
-                break;
-            case 'se':
-                newBounds.width = x - bounds.x;
-                newBounds.height = y - bounds.y;
-                break;
-            case 's':
-                newBounds.height = y - bounds.y;
-                break;
-            case 'sw':
-                newBounds.width = bounds.x + bounds.width - x;
-                newBounds.height = y - bounds.y;
-                newBounds.x = x;
-                break;
-            case 'w':
-                newBounds.width = bounds.x + bounds.width - x;
-                newBounds.x = x;
-                break;
+        const right = bounds.x + bounds.width;
+        const bottom = bounds.y + bounds.height;
+
+        let newWidth = bounds.width;
+        let newHeight = bounds.height;
+
+        // The edge opposite to the dragged handle stays fixed
+        let originX = bounds.x;
+        let originY = bounds.y;
+
+        if (handle.includes('w')) {
+            newWidth = right - x;
+            originX = right;
+        } else if (handle.includes('e')) {
+            newWidth = x - bounds.x;
         }
-        
+
+        if (handle.includes('n')) {
+            newHeight = bottom - y;
+            originY = bottom;
+        } else if (handle.includes('s')) {
+            newHeight = y - bounds.y;
+        }
+
         // Apply minimum size constraints
-        newBounds.width = Math.max(10, newBounds.width);
-        newBounds.height = Math.max(10, newBounds.height);
-        
-        // Update object
-        this.applyNewBounds(this.selectedObject, newBounds);
-    }
+        newWidth = Math.max(10, newWidth);
+        newHeight = Math.max(10, newHeight);
 
-    /**
-     * Apply new bounds to object
-     * @param {Object} object - Object to update
-     * @param {Object} newBounds - New bounds
-     */
-    applyNewBounds(object, newBounds) {
-        const scaleX = newBounds.width / (object.width || 1);
-        const scaleY = newBounds.height / (object.height || 1);
-        
-        object.x = newBounds.x;
-        object.y = newBounds.y;
-        object.width = newBounds.width;
-        object.height = newBounds.height;
-        
-        // Handle special object types
-        switch (object.type) {
-            case 'circle':
-                object.radius = Math.min(newBounds.width, newBounds.height) / 2;
-                object.x = newBounds.x + newBounds.width / 2;
-                object.y = newBounds.y + newBounds.height / 2;
-                break;
-                
-            case 'line':
-            case 'arrow':
-                if (object.points && object.points.length >= 2) {
-                    const p1 = object.points[0];
-                    const p2 = object.points[1];
-                    object.points[0] = { x: newBounds.x, y: newBounds.y };
-                    object.points[1] = { 
-                        x: newBounds.x + newBounds.width, 
-                        y: newBounds.y + newBounds.height 
-                    };
-                }
-                break;
+        // Images always keep their aspect ratio; Shift keeps it for anything
+        const lockAspect = event?.shiftKey || this.objectManager.getSelectedObjects().some(obj => obj.type === 'image');
+        if (lockAspect && bounds.width > 0 && bounds.height > 0) {
+            const horizontal = /[ew]/.test(handle);
+            const vertical = /[ns]/.test(handle);
+            let scale;
+
+            if (horizontal && vertical) {
+                scale = Math.max(newWidth / bounds.width, newHeight / bounds.height);
+            } else if (horizontal) {
+                // Side handles grow the other axis evenly about the center
+                scale = newWidth / bounds.width;
+                originY = bounds.y + bounds.height / 2;
+            } else {
+                scale = newHeight / bounds.height;
+                originX = bounds.x + bounds.width / 2;
+            }
+
+            newWidth = bounds.width * scale;
+            newHeight = bounds.height * scale;
         }
-        
-        this.eventBus.emit('objects:changed');
-    }
 
-    /**
-     * Update selection box display
-     */
-    updateSelectionBox() {
-        // Selection box is now drawn by the main render loop
-        // No need to do anything here to prevent recursion
+        // Flat objects (e.g. horizontal lines) cannot be scaled along their zero axis
+        const scaleX = bounds.width > 0 ? newWidth / bounds.width : 1;
+        const scaleY = bounds.height > 0 ? newHeight / bounds.height : 1;
+
+        this.objectManager.getSelectedObjects().forEach(obj => {
+            if (frame.rotation) {
+                this.objectManager.scaleObjectInFrame(obj.id, scaleX, scaleY, originX, originY);
+            } else {
+                this.objectManager.scaleObject(obj.id, scaleX, scaleY, originX, originY);
+            }
+        });
     }
 
     /**
-     * Draw selection box
-     * @param {Object} bounds - Object bounds
+     * Draw tool overlay (marquee selection rectangle)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
      */
-    drawSelectionBox(bounds) {
-        // This method is no longer used - selection box is drawn in main app
+    drawOverlay(ctx) {
+        const cropTarget = this.getCropTarget();
+        if (cropTarget) {
+            this.drawCropOverlay(ctx, cropTarget);
+        }
+
+        if (this.isSelecting && this.selectionRect) {
+            const rect = this.selectionRect;
+            this.drawSelectionRectangle(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height);
+        }
     }
 
     /**
-     * Clear selection box
+     * Draw crop mode: the hidden part of the image faded, the crop frame and its handles
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} obj - Image being cropped
      */
-    clearSelectionBox() {
-        // Selection box clearing is handled by main render loop
-        // No need to emit redraw events to prevent recursion
+    drawCropOverlay(ctx, obj) {
+        const zoom = this.canvasManager.getZoom();
+        const full = ImageUtils.getFullImageRect(obj);
+        const center = this.objectManager.getRotationCenter(obj);
+        const image = ImageUtils.getImage(obj.src);
+
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.rotate(obj.rotation || 0);
+        ctx.translate(-center.x, -center.y);
+
+        if (image) {
+            ctx.globalAlpha = 0.3;
+            ctx.drawImage(image, full.x, full.y, full.width, full.height);
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.lineWidth = 1 / zoom;
+        ctx.strokeStyle = '#9ca3af';
+        ctx.setLineDash([4 / zoom, 4 / zoom]);
+        ctx.strokeRect(full.x, full.y, full.width, full.height);
+
+        ctx.setLineDash([]);
+        ctx.lineWidth = 2 / zoom;
+        ctx.strokeStyle = CROP_COLOR;
+        ctx.strokeRect(obj.x, obj.y, obj.width, obj.height);
+
+        ctx.fillStyle = CROP_COLOR;
+        const size = this.getHandleSize();
+        this.getResizeHandles({ ...this.objectManager.getLocalBounds(obj), rotation: 0 })
+            .filter(handle => handle.type !== 'rotate')
+            .forEach(handle => ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size));
+
+        ctx.restore();
     }
 
     /**
@@ -341,19 +690,20 @@ export default class SelectionTool extends BaseTool {
      */
     drawSelectionRectangle(x1, y1, x2, y2) {
         const ctx = this.canvasManager.ctx;
+        const zoom = this.canvasManager.getZoom();
         ctx.save();
-        
+
         ctx.strokeStyle = '#2563eb';
         ctx.fillStyle = 'rgba(37, 99, 235, 0.1)';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([3, 3]);
-        
+        ctx.lineWidth = 1 / zoom;
+        ctx.setLineDash([3 / zoom, 3 / zoom]);
+
         const width = x2 - x1;
         const height = y2 - y1;
-        
+
         ctx.fillRect(x1, y1, width, height);
         ctx.strokeRect(x1, y1, width, height);
-        
+
         ctx.restore();
     }
 
@@ -361,16 +711,27 @@ export default class SelectionTool extends BaseTool {
      * Clear selection rectangle
      */
     clearSelectionRectangle() {
-        // Selection rectangle clearing is handled by main render loop
+        // The rectangle is only drawn while selecting; the next redraw removes it
+        this.selectionRect = null;
     }
 
     /**
      * Handle delete key
+     * @param {KeyboardEvent} event - Keyboard event
      */
     onKeyDown(event) {
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+        if ((event.key === 'Enter' || event.key === 'Escape') && this.isCropMode()) {
+            event.preventDefault();
+            this.stopCrop();
+            return;
+        }
+
         if (event.key === 'Delete' || event.key === 'Backspace') {
-            if (this.selectedObject) {
-                this.objectManager.deleteObject(this.selectedObject.id);
+            if (this.hasSelection()) {
+                event.preventDefault();
+                this.objectManager.deleteSelected();
             }
         }
     }
@@ -383,15 +744,38 @@ export default class SelectionTool extends BaseTool {
         return 'default';
     }
 
+    /**
+     * Set canvas cursor
+     * @param {string} cursor - CSS cursor value
+     */
+    setCursor(cursor = this.getCursor()) {
+        const canvas = this.canvasManager.canvas;
+        if (canvas) {
+            canvas.style.cursor = cursor;
+        }
+    }
+
     /**
      * Activate selection tool
      */
     activate() {
         super.activate();
-        
+        this.setCursor();
+
         // Add keyboard listener for delete
-        document.addEventListener('keydown', this.onKeyDown.bind(this));
-        
+        document.addEventListener('keydown', this.boundKeyDown);
+
+        // Crop commands from the properties panel
+        this.unsubscribeCrop = this.eventBus.on('action:crop', (command) => {
+            if (command === 'reset') {
+                this.objectManager?.getSelectedObjects()
+                    .filter(obj => obj.type === 'image')
+                    .forEach(obj => this.objectManager.resetImageCrop(obj.id));
+            } else {
+                this.startCrop();
+            }
+        });
+
         // Request object manager from app
         this.eventBus.emit('selection:activated');
     }
@@ -400,16 +784,34 @@ export default class SelectionTool extends BaseTool {
      * Deactivate selection tool
      */
     deactivate() {
-        super.deactivate();
+        this.textEditor.destroy();
         
+        if (this.isMoving || this.isResizing || this.isRotating || this.isCropping) {
+            this.eventBus.emit('history:batch-end');
+        }
+
+        super.deactivate();
+
         // Remove keyboard listener
-        document.removeEventListener('keydown', this.onKeyDown.bind(this));
-        
+        document.removeEventListener('keydown', this.boundKeyDown);
+        if (this.unsubscribeCrop) {
+            this.unsubscribeCrop();
+            this.unsubscribeCrop = null;
+        }
+
         // Clear selection
         if (this.objectManager) {
             this.objectManager.deselectAll();
         }
-        
-        this.clearSelectionBox();
+
+        this.isMoving = false;
+        this.isResizing = false;
+        this.isRotating = false;
+        this.isSelecting = false;
+        this.isCropping = false;
+        this.rotation = null;
+        this.move = null;
+        this.cropTargetId = null;
+        this.clearSelectionRectangle();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,149 @@
+import { BaseTool } from './BaseTool.js';
+import { TextEditor } from '../components/TextEditor.js';
+import { TEXT_DEFAULTS } from '../utils/TextUtils.js';
+
+/**
+ * Text tool for placing and editing text objects.
+ * Click to type on a single line, or drag a box to wrap text at its width.
+ */
+export default class TextTool extends BaseTool {
+    constructor(eventBus, canvasManager) {
+        super(eventBus, canvasManager);
+        this.snapping = true;
+        this.startPoint = null;
+        this.currentPoint = null;
+        this.objectManager = null;
+        this.editor = new TextEditor(eventBus, canvasManager);
+
+        // Text properties
+        this.properties = {
+            ...this.properties,
+            fontFamily: TEXT_DEFAULTS.fontFamily,
+            fontSize: TEXT_DEFAULTS.fontSize,
+            fontWeight: TEXT_DEFAULTS.fontWeight,
+            textAlign: TEXT_DEFAULTS.textAlign
+        };
+    }
+
+    /**
+     * Start placing text
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    startDrawing(x, y, event) {
+        // A click while editing only finishes the current text
+        if (this.editor.isOpen()) {
+            this.editor.commit();
+            this.isDrawing = false;
+            return;
+        }
+
+        this.startPoint = { x, y };
+        this.currentPoint = { x, y };
+    }
+
+    /**
+     * Continue dragging a text box
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    continueDrawing(x, y, event) {
+        if (!this.startPoint) return;
+
+        this.currentPoint = { x, y };
+    }
+
+    /**
+     * Open the editor for a new text box, or for the text object that was clicked
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {MouseEvent} event - Original mouse event
+     */
+    endDrawing(x, y, event) {
+        if (!this.startPoint) return;
+
+        const start = this.startPoint;
+        const width = Math.abs(x - start.x);
+        this.startPoint = null;
+        this.currentPoint = null;
+
+        const existing = width < 5 && this.objectManager && this.objectManager.getObjectAtPosition(x, y);
+        if (existing && existing.type === 'text') {
+            this.editor.open(existing);
+            return;
+        }
+
+        const wrap = width >= 20;
+        this.editor.open({
+            type: 'text',
+            x: wrap ? Math.min(start.x, x) : start.x,
+            y: wrap ? Math.min(start.y, y) : start.y,
+            width: wrap ? width : 0,
+            text: '',
+            properties: {
+                fontFamily: this.properties.fontFamily,
+                fontSize: this.properties.fontSize,
+                fontWeight: this.properties.fontWeight,
+                textAlign: this.properties.textAlign,
+                color: this.properties.strokeColor,
+                opacity: this.properties.opacity ?? 1,
+                wrap
+            }
+        });
+    }
+
+    /**
+     * Draw the text box being dragged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint || !this.currentPoint) return;
+
+        // Keep the outline the same on screen at any zoom
+        const zoom = this.canvasManager.getZoom();
+
+        ctx.save();
+        ctx.strokeStyle = '#2563eb';
+        ctx.lineWidth = 1 / zoom;
+        ctx.setLineDash([4 / zoom, 4 / zoom]);
+        ctx.strokeRect(
+            this.startPoint.x,
+            this.startPoint.y,
+            this.currentPoint.x - this.startPoint.x,
+            this.currentPoint.y - this.startPoint.y
+        );
+        ctx.restore();
+    }
+
+    /**
+     * Get text cursor
+     * @returns {string} CSS cursor value
+     */
+    getCursor() {
+        return 'text';
+    }
+
+    /**
+     * Activate text tool
+     */
+    activate() {
+        super.activate();
+        this.setCursor();
+
+        // Needed to re-edit existing text objects
+        this.requestObjectManager();
+    }
+
+    /**
+     * Deactivate text tool
+     */
+    deactivate() {
+        this.editor.destroy();
+        super.deactivate();
+
+        this.startPoint = null;
+        this.currentPoint = null;
+    }
+}
@@ -1,3 +1,8 @@
+/**
+ * Width of a pressure-sensitive stroke at zero pressure, relative to its stroke width
+ */
+const MIN_PRESSURE_SCALE = 0.2;
+
 /**
  * Utility functions for canvas operations
  */
@@ -156,6 +161,161 @@ export class CanvasUtils {
         return distance <= circle.radius;
     }
 
+    /**
+     * Cut the parts of a polyline that lie inside a circle
+     * @param {Array} points - Polyline points {x, y}
+     * @param {Object} circle - Circle {x, y, radius}
+     * @returns {Array|null} Remaining pieces (each an array of points), or null if the circle misses the polyline
+     */
+    static splitPathByCircle(points, circle) {
+        const r2 = circle.radius * circle.radius;
+        const inside = (p) => (p.x - circle.x) ** 2 + (p.y - circle.y) ** 2 <= r2;
+        const at = (a, b, t) => {
+            const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+            if (a.pressure !== undefined && b.pressure !== undefined) {
+                point.pressure = a.pressure + (b.pressure - a.pressure) * t;
+            }
+            return point;
+        };
+
+        if (points.length === 1) {
+            return inside(points[0]) ? [] : null;
+        }
+
+        const pieces = [];
+        let current = inside(points[0]) ? null : [{ ...points[0] }];
+        let cut = false;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+
+            // Solve |a + t(b - a) - c|^2 = r^2 for the segment's entry and exit
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const fx = a.x - circle.x;
+            const fy = a.y - circle.y;
+            const qa = dx * dx + dy * dy;
+            const qb = 2 * (fx * dx + fy * dy);
+            const qc = fx * fx + fy * fy - r2;
+            const discriminant = qb * qb - 4 * qa * qc;
+
+            let t0 = 1;
+            let t1 = 1;
+            if (qa > 0 && discriminant > 0) {
+                const root = Math.sqrt(discriminant);
+                t0 = Math.max(0, (-qb - root) / (2 * qa));
+                t1 = Math.min(1, (-qb + root) / (2 * qa));
+            } else if (qa === 0 && qc <= 0) {
+                t0 = 0;
+            }
+
+            if (t0 >= t1) {
+                // The segment misses the circle
+                if (current) current.push({ ...b });
+                continue;
+            }
+
+            cut = true;
+            if (current) {
+                if (t0 > 0) current.push(at(a, b, t0));
+                pieces.push(current);
+                current = null;
+            }
+            if (t1 < 1) {
+                current = [at(a, b, t1), { ...b }];
+            }
+        }
+
+        if (!cut) return null;
+        if (current) pieces.push(current);
+
+        // Drop slivers left at the edge of the circle
+        return pieces.filter(piece => piece.length > 1 && piece.some(p =>
+            this.distance(p, piece[0]) > 0.5
+        ));
+    }
+
+    /**
+     * Check whether a freehand path carries per-point pressure
+     * @param {Array} path - Path points
+     * @returns {boolean} True if the path should be drawn with variable width
+     */
+    static hasPressure(path) {
+        return Array.isArray(path) && path.some(point => point.pressure !== undefined);
+    }
+
+    /**
+     * Get the stroke width at a given pressure. Pressure 0.5 gives the nominal width.
+     * @param {number} strokeWidth - Nominal stroke width
+     * @param {number} pressure - Pressure between 0 and 1
+     * @returns {number} Width at that pressure
+     */
+    static getPressureWidth(strokeWidth, pressure = 0.5) {
+        const clamped = Math.max(0, Math.min(1, pressure));
+        return strokeWidth * (MIN_PRESSURE_SCALE + (2 - 2 * MIN_PRESSURE_SCALE) * clamped);
+    }
+
+    /**
+     * Get the outline of a variable-width stroke as round dabs on every point
+     * joined by quads. All pieces share one winding, so filling them together
+     * with the nonzero rule covers overlaps exactly once.
+     * @param {Array} path - Path points {x, y, pressure}
+     * @param {number} strokeWidth - Nominal stroke width
+     * @returns {Object} Shapes {circles: [{x, y, radius}], quads: [[p1, p2, p3, p4]]}
+     */
+    static getPressureStrokeShapes(path, strokeWidth) {
+        const circles = path.map(point => ({
+            x: point.x,
+            y: point.y,
+            radius: this.getPressureWidth(strokeWidth, point.pressure) / 2
+        }));
+        const quads = [];
+
+        for (let i = 1; i < circles.length; i++) {
+            const a = circles[i - 1];
+            const b = circles[i];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+
+            // Unit normal of the segment
+            const nx = -(b.y - a.y) / length;
+            const ny = (b.x - a.x) / length;
+            quads.push([
+                { x: a.x - nx * a.radius, y: a.y - ny * a.radius },
+                { x: b.x - nx * b.radius, y: b.y - ny * b.radius },
+                { x: b.x + nx * b.radius, y: b.y + ny * b.radius },
+                { x: a.x + nx * a.radius, y: a.y + ny * a.radius }
+            ]);
+        }
+
+        return { circles, quads };
+    }
+
+    /**
+     * Add the outline of a variable-width stroke to the current path, or to a Path2D.
+     * The caller fills it with the stroke color.
+     * @param {CanvasRenderingContext2D|Path2D} ctx - Canvas context or path to add to
+     * @param {Array} path - Path points {x, y, pressure}
+     * @param {number} strokeWidth - Nominal stroke width
+     */
+    static tracePressureStroke(ctx, path, strokeWidth) {
+        const { circles, quads } = this.getPressureStrokeShapes(path, strokeWidth);
+
+        if (ctx.beginPath) {
+            ctx.beginPath();
+        }
+        circles.forEach(({ x, y, radius }) => {
+            ctx.moveTo(x + radius, y);
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        });
+        quads.forEach(quad => {
+            ctx.moveTo(quad[0].x, quad[0].y);
+            quad.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+        });
+    }
+
     /**
      * Smooth path using quadratic curves
      * @param {Array} points - Array of points {x, y}
@@ -204,18 +364,20 @@ export class CanvasUtils {
     /**
      * Setup high DPI canvas
      * @param {HTMLCanvasElement} canvas - Canvas element
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
+     * @returns {number} Pixel ratio the backing store was sized for
      */
     static setupHighDPICanvas(canvas, width, height) {
         const ctx = canvas.getContext('2d');
         const ratio = this.getPixelRatio(ctx);
         
-        canvas.width = width * ratio;
-        canvas.height = height * ratio;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
         canvas.style.width = width + 'px';
         canvas.style.height = height + 'px';
         
         ctx.scale(ratio, ratio);
+        return ratio;
     }
 }
@@ -5,14 +5,13 @@ export class ExportUtils {
     /**
      * Export canvas as image
      * @param {HTMLCanvasElement} canvas - Canvas to export
-     * @param {string} format - Export format (png, jpg, svg)
+     * @param {string} format - Export format (png, jpg)
      * @param {string} filename - Filename for download
      * @param {number} quality - Image quality (0-1) for jpg
      */
     static exportCanvas(canvas, format = 'png', filename = null, quality = 0.9) {
         if (!filename) {
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-            filename = `drawing-${timestamp}.${format}`;
+            filename = this.getDefaultFilename(format);
         }
         
         switch (format.toLowerCase()) {
@@ -23,9 +22,6 @@ export class ExportUtils {
             case 'jpeg':
                 this.exportAsJPEG(canvas, filename, quality);
                 break;
-            case 'svg':
-                this.exportAsSVG(canvas, filename);
-                break;
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
@@ -65,23 +61,33 @@ export class ExportUtils {
     }
 
     /**
-     * Export canvas as SVG (simplified version)
-     * @param {HTMLCanvasElement} canvas - Canvas to export
+     * Export SVG markup (see SVGUtils.createSVG)
+     * @param {string} svgContent - SVG document
      * @param {string} filename - Filename for download
      */
-    static exportAsSVG(canvas, filename) {
-        // This is a simplified SVG export
-        // For a full implementation, you'd need to track drawing operations
-        const svgContent = `
-            <svg width="${canvas.width}" height="${canvas.height}" xmlns="http://www.w3.org/2000/svg">
-                <foreignObject width="100%" height="100%">
-                    <img src="${canvas.toDataURL()}" />
-                </foreignObject>
-            </svg>
-        `;
-        
+    static exportAsSVG(svgContent, filename = null) {
         const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-        this.downloadBlob(blob, filename);
+        this.downloadBlob(blob, filename || this.getDefaultFilename('svg'));
+    }
+
+    /**
+     * Export PDF file contents (see PDFUtils.createPDF)
+     * @param {Uint8Array} pdfBytes - PDF document
+     * @param {string} filename - Filename for download
+     */
+    static exportAsPDF(pdfBytes, filename = null) {
+        const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+        this.downloadBlob(blob, filename || this.getDefaultFilename('pdf'));
+    }
+
+    /**
+     * Build a timestamped download filename
+     * @param {string} format - File extension
+     * @returns {string} Filename
+     */
+    static getDefaultFilename(format) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+        return `drawing-${timestamp}.${format}`;
     }
 
     /**
@@ -0,0 +1,173 @@
+/**
+ * Largest size, in canvas pixels, an inserted image gets by default
+ */
+const MAX_INSERT_SIZE = 600;
+
+/**
+ * Crop of an uncropped image: the whole source, as fractions of its size
+ */
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Decoded images by source, shared by everything that draws image objects
+ */
+const imageCache = new Map();
+
+/**
+ * Utility functions for raster image objects
+ */
+export class ImageUtils {
+    /**
+     * Get the decoded image for a source, starting to load it if needed
+     * @param {string} src - Image source (usually a data URL)
+     * @param {Function} onLoad - Called when a source seen for the first time finishes loading
+     * @returns {HTMLImageElement|null} Image if it is ready to draw, otherwise null
+     */
+    static getImage(src, onLoad = null) {
+        let image = imageCache.get(src);
+
+        if (!image) {
+            image = new Image();
+            if (onLoad) {
+                image.addEventListener('load', onLoad, { once: true });
+            }
+            image.src = src;
+            imageCache.set(src, image);
+        }
+
+        return image.complete && image.naturalWidth > 0 ? image : null;
+    }
+
+    /**
+     * Load an image and wait until it is decoded
+     * @param {string} src - Image source
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    static loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const ready = this.getImage(src);
+            if (ready) {
+                resolve(ready);
+                return;
+            }
+
+            const image = imageCache.get(src);
+            const fail = () => {
+                imageCache.delete(src);
+                reject(new Error('Failed to load image'));
+            };
+
+            // Complete without a size means it already failed
+            if (image.complete) {
+                fail();
+                return;
+            }
+            image.addEventListener('load', () => resolve(image), { once: true });
+            image.addEventListener('error', fail, { once: true });
+        });
+    }
+
+    /**
+     * Read an image file or blob as a data URL so it can be stored in the project
+     * @param {Blob} file - Image file
+     * @returns {Promise<string>} Data URL
+     */
+    static readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read image'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Build image object data from an image file, centered on a point
+     * @param {Blob} file - Image file
+     * @param {Object} center - Canvas point {x, y} to center the image on
+     * @returns {Promise<Object>} Object data ready for ObjectManager.addObject
+     */
+    static async createImageObject(file, center) {
+        const src = await this.readAsDataURL(file);
+        const image = await this.loadImage(src);
+        const { width, height } = this.fitSize(image.naturalWidth, image.naturalHeight, MAX_INSERT_SIZE);
+
+        return {
+            type: 'image',
+            x: center.x - width / 2,
+            y: center.y - height / 2,
+            width,
+            height,
+            src,
+            properties: { opacity: 1 }
+        };
+    }
+
+    /**
+     * Get the part of the source an image object shows
+     * @param {Object} obj - Image object
+     * @returns {Object} Crop {x, y, width, height} as fractions of the source size
+     */
+    static getCrop(obj) {
+        return obj.crop || FULL_CROP;
+    }
+
+    /**
+     * Get where the whole uncropped source would be drawn, in the object's unrotated frame
+     * @param {Object} obj - Image object
+     * @returns {Object} Rectangle {x, y, width, height}
+     */
+    static getFullImageRect(obj) {
+        const crop = this.getCrop(obj);
+        const width = obj.width / crop.width;
+        const height = obj.height / crop.height;
+
+        return { x: obj.x - crop.x * width, y: obj.y - crop.y * height, width, height };
+    }
+
+    /**
+     * Get the crop that shows a rectangle of the image without moving or scaling its content
+     * @param {Object} obj - Image object
+     * @param {Object} rect - Visible rectangle {x, y, width, height}, within the full image rectangle
+     * @returns {Object} Crop {x, y, width, height} as fractions of the source size
+     */
+    static getCropForRect(obj, rect) {
+        const full = this.getFullImageRect(obj);
+
+        return {
+            x: (rect.x - full.x) / full.width,
+            y: (rect.y - full.y) / full.height,
+            width: rect.width / full.width,
+            height: rect.height / full.height
+        };
+    }
+
+    /**
+     * Get the source rectangle to draw for an image object
+     * @param {Object} obj - Image object
+     * @param {HTMLImageElement} image - Loaded source image
+     * @returns {Object} Rectangle {x, y, width, height} in source pixels
+     */
+    static getSourceRect(obj, image) {
+        const crop = this.getCrop(obj);
+
+        return {
+            x: crop.x * image.naturalWidth,
+            y: crop.y * image.naturalHeight,
+            width: crop.width * image.naturalWidth,
+            height: crop.height * image.naturalHeight
+        };
+    }
+
+    /**
+     * Scale a size down to fit a square, keeping its aspect ratio
+     * @param {number} width - Original width
+     * @param {number} height - Original height
+     * @param {number} maxSize - Longest side allowed
+     * @returns {Object} Size {width, height}
+     */
+    static fitSize(width, height, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        return { width: width * scale, height: height * scale };
+    }
+}
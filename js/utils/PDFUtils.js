@@ -0,0 +1,820 @@
+import { SVGUtils } from './SVGUtils.js';
+import { TextUtils } from './TextUtils.js';
+import { CanvasUtils } from './CanvasUtils.js';
+import { PathUtils } from './PathUtils.js';
+import { ImageUtils } from './ImageUtils.js';
+
+/**
+ * Page sizes in points (1/72 inch), portrait
+ */
+export const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+
+const MM_TO_PT = 72 / 25.4;
+
+/**
+ * Canvas pixels are CSS pixels (96 per inch); tiled pages print them at that size
+ */
+const PX_TO_PT = 72 / 96;
+
+/**
+ * Arrowhead size used by the canvas renderer
+ */
+const ARROW_HEAD_LENGTH = 15;
+
+/**
+ * Control point distance for approximating a quarter circle with a cubic Bézier
+ */
+const KAPPA = 0.5522847498;
+
+/**
+ * Distance from the middle of the em box down to the baseline, as a fraction of
+ * the font size. Text is laid out with textBaseline 'middle' on the canvas.
+ */
+const MIDDLE_TO_BASELINE = 0.35;
+
+/**
+ * JPEG start-of-frame markers, which hold the image size and number of color components
+ */
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+const JPEG_COLOR_SPACES = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' };
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+/**
+ * Unicode characters that WinAnsiEncoding places in the 0x80-0x9F range
+ */
+const WIN_ANSI_EXTRAS = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+    0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+    0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+    0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+    0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+/**
+ * Text uses the standard PDF fonts, so only images need to be embedded.
+ * Text uses the standard PDF fonts, so nothing needs to be embedded.
+ */
+export class PDFUtils {
+    /**
+     * Build a PDF document from every visible layer
+     * @param {ObjectManager} objectManager - Object manager holding the drawing
+     * @param {Object} options - Export options
+     * @param {string} options.pageSize - 'a4', 'letter' or 'custom'
+     * @param {number} options.customWidth - Custom page width in millimeters
+     * @param {number} options.customHeight - Custom page height in millimeters
+     * @param {string} options.orientation - 'portrait' or 'landscape'
+     * @param {number} options.margin - Page margin in millimeters
+     * @param {string} options.mode - 'fit' scales the drawing onto one page, 'tile' prints it at
+     *                                actual size across as many pages as needed
+     * @param {string} options.title - Document title
+     * @param {string} options.author - Document author
+     * @param {Object} options.emptyBounds - Area to print when there is nothing to export
+     * @returns {Promise<Uint8Array>} PDF file contents
+     */
+    static async createPDF(objectManager, options = {}) {
+        const {
+            mode = 'fit',
+            title = '',
+            author = '',
+            emptyBounds = { x: 0, y: 0, width: 800, height: 600 }
+        } = options;
+
+        const layers = objectManager.getLayers().filter(layer => layer.visible);
+        const objects = layers.flatMap(layer => layer.objects.filter(obj => obj.visible));
+        const bounds = SVGUtils.getViewBox(objectManager, objects, 0) || emptyBounds;
+
+        const page = this.getPageSize(options);
+        const tiles = mode === 'tile' ? this.getTiles(bounds, page) : [this.getFitTile(bounds, page)];
+
+        // Images are decoded up front; the drawing is then written once as a form XObject that every page places
+        const resources = {
+            fonts: new Map(),
+            alphas: new Map(),
+            images: await this.createImages(objectManager.flattenObjects(objects))
+        };
+        const drawing = layers
+            .map(layer => this.createLayerContent(layer, resources, objectManager))
+            .join('');
+
+        return this.serialize({ bounds, page, tiles, drawing, resources, title, author });
+    }
+
+    /**
+     * Resolve page size, orientation and margins in points
+     * @param {Object} options - Export options (see createPDF)
+     * @returns {Object} Page {width, height, margin}
+     */
+    static getPageSize(options) {
+        const { pageSize = 'a4', customWidth = 210, customHeight = 297, orientation = 'portrait', margin = 10 } = options;
+
+        let size = PAGE_SIZES[pageSize];
+        if (!size) {
+            size = {
+                width: Math.max(10, customWidth) * MM_TO_PT,
+                height: Math.max(10, customHeight) * MM_TO_PT
+            };
+        }
+
+        const landscape = orientation === 'landscape';
+        const width = landscape ? Math.max(size.width, size.height) : Math.min(size.width, size.height);
+        const height = landscape ? Math.min(size.width, size.height) : Math.max(size.width, size.height);
+
+        // Always leave some printable area
+        const maxMargin = Math.min(width, height) / 2 - 1;
+
+        return {
+            width,
+            height,
+            margin: Math.min(Math.max(0, margin) * MM_TO_PT, maxMargin)
+        };
+    }
+
+    /**
+     * Scale the drawing to fit the printable area of a single page, centered
+     * @param {Object} bounds - Drawing bounds in canvas pixels
+     * @param {Object} page - Page {width, height, margin}
+     * @returns {Object} Tile {scale, x, y} placing the drawing's top-left corner on the page
+     */
+    static getFitTile(bounds, page) {
+        const areaWidth = page.width - page.margin * 2;
+        const areaHeight = page.height - page.margin * 2;
+        const scale = Math.min(areaWidth / bounds.width, areaHeight / bounds.height);
+
+        return {
+            scale,
+            x: page.margin + (areaWidth - bounds.width * scale) / 2,
+            y: page.margin + (areaHeight - bounds.height * scale) / 2
+        };
+    }
+
+    /**
+     * Split the drawing at actual size into page-sized tiles, row by row
+     * @param {Object} bounds - Drawing bounds in canvas pixels
+     * @param {Object} page - Page {width, height, margin}
+     * @returns {Array} Tiles {scale, x, y} placing the drawing's top-left corner on each page
+     */
+    static getTiles(bounds, page) {
+        const areaWidth = page.width - page.margin * 2;
+        const areaHeight = page.height - page.margin * 2;
+        const columns = Math.max(1, Math.ceil(bounds.width * PX_TO_PT / areaWidth - 1e-6));
+        const rows = Math.max(1, Math.ceil(bounds.height * PX_TO_PT / areaHeight - 1e-6));
+
+        const tiles = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                tiles.push({
+                    scale: PX_TO_PT,
+                    x: page.margin - column * areaWidth,
+                    y: page.margin - row * areaHeight
+                });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Create the content stream operators for a layer
+     * @param {Object} layer - Layer
+     * @param {Object} resources - Fonts and opacities used so far
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers
+     * @returns {string} Content stream operators
+     */
+    static createLayerContent(layer, resources, objectManager) {
+        return layer.objects
+            .filter(obj => obj.visible)
+            .map(obj => this.createObjectContent(obj, resources, layer.opacity ?? 1, objectManager))
+            .join('');
+    }
+
+    /**
+     * Create the content stream operators for an object. Coordinates are canvas
+     * pixels; the form XObject matrix flips them into PDF space.
+     * @param {Object} obj - Object
+     * @param {Object} resources - Fonts and opacities used so far
+     * @param {number} parentOpacity - Opacity inherited from the layer and groups
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers
+     * @returns {string} Content stream operators
+     */
+    static createObjectContent(obj, resources, parentOpacity, objectManager) {
+        if (obj.rotation) {
+            const content = this.createShapeContent(obj, resources, parentOpacity, objectManager);
+            if (!content) return '';
+
+            // Rotate around the same center the canvas renderer uses
+            const { x, y } = objectManager.getRotationCenter(obj);
+            const cos = Math.cos(obj.rotation);
+            const sin = Math.sin(obj.rotation);
+            const matrix = [cos, sin, -sin, cos, x - cos * x + sin * y, y - sin * x - cos * y];
+            return `q\n${matrix.map(v => this.num(v, 4)).join(' ')} cm\n${content}Q\n`;
+        }
+
+        return this.createShapeContent(obj, resources, parentOpacity, objectManager);
+    }
+
+    /**
+     * Create the content stream operators for an object, ignoring its rotation
+     * @param {Object} obj - Object
+     * @param {Object} resources - Fonts and opacities used so far
+     * @param {number} parentOpacity - Opacity inherited from the layer and groups
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers of children
+     * @returns {string} Content stream operators
+     */
+    static createShapeContent(obj, resources, parentOpacity, objectManager) {
+        const props = obj.properties || {};
+        const opacity = parentOpacity * (props.opacity ?? 1);
+
+        if (obj.type === 'group') {
+            return obj.children
+                .filter(child => child.visible)
+                .map(child => this.createObjectContent(child, resources, opacity, objectManager))
+                .join('');
+        }
+
+        if (obj.type === 'text') {
+            return this.createTextContent(obj, resources, opacity);
+        }
+
+        if (obj.type === 'image') {
+            return this.createImageContent(obj, resources, opacity);
+        }
+
+        if (obj.type === 'freehand' && CanvasUtils.hasPressure(obj.path)) {
+            return this.createPressureStrokeContent(obj, resources, opacity);
+        }
+
+        const path = this.createPath(obj);
+        if (!path) return '';
+
+        const fill = props.enableFill && ['rectangle', 'circle', 'freehand'].includes(obj.type);
+        const ops = [
+            'q',
+            this.getAlphaOperator(opacity, resources),
+            `${this.color(props.strokeColor || '#000000')} RG`,
+            fill ? `${this.color(props.fillColor || '#ffffff')} rg` : null,
+            `${this.num(props.strokeWidth || 2)} w`,
+            `${LINE_CAPS[props.lineCap || 'round'] ?? 1} J`,
+            `${LINE_JOINS[props.lineJoin || 'round'] ?? 1} j`,
+            path,
+            fill ? 'B' : 'S',
+            'Q'
+        ];
+
+        return ops.filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Create path construction operators for a shape
+     * @param {Object} obj - Object
+     * @returns {string} Path operators, or an empty string if there is nothing to draw
+     */
+    static createPath(obj) {
+        const moveTo = (p) => `${this.num(p.x)} ${this.num(p.y)} m`;
+        const lineTo = (p) => `${this.num(p.x)} ${this.num(p.y)} l`;
+
+        switch (obj.type) {
+            case 'rectangle':
+                return `${this.num(obj.x)} ${this.num(obj.y)} ${this.num(obj.width)} ${this.num(obj.height)} re`;
+
+            case 'circle':
+                return this.createCirclePath(obj.x, obj.y, obj.radius || 0);
+
+            case 'line':
+                if (!obj.points || obj.points.length < 2) return '';
+                return `${moveTo(obj.points[0])}\n${lineTo(obj.points[1])}`;
+
+            case 'arrow': {
+                if (!obj.points || obj.points.length < 2) return '';
+
+                const [p1, p2] = obj.points;
+                const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+                const head = (offset) => ({
+                    x: p2.x - ARROW_HEAD_LENGTH * Math.cos(angle + offset),
+                    y: p2.y - ARROW_HEAD_LENGTH * Math.sin(angle + offset)
+                });
+
+                return [
+                    moveTo(p1), lineTo(p2),
+                    moveTo(p2), lineTo(head(-Math.PI / 6)),
+                    moveTo(p2), lineTo(head(Math.PI / 6))
+                ].join('\n');
+            }
+
+            case 'freehand':
+                if (!obj.path || obj.path.length === 0) return '';
+                return this.createFreehandPath(obj);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Create path operators for a freehand path, with cubic curves when it is smoothed
+     * @param {Object} obj - Freehand object with at least one point
+     * @returns {string} Path operators
+     */
+    static createFreehandPath(obj) {
+        const point = (p) => `${this.num(p.x)} ${this.num(p.y)}`;
+        const path = obj.path;
+
+        if (obj.smooth) {
+            return [
+                `${point(path[0])} m`,
+                ...PathUtils.getBezierSegments(path).map(({ cp1, cp2, to }) =>
+                    `${point(cp1)} ${point(cp2)} ${point(to)} c`
+                )
+            ].join('\n');
+        }
+
+        // A single point still needs a segment for its round cap to show
+        return [
+            `${point(path[0])} m`,
+            ...(path.length > 1 ? path.slice(1) : path).map(p => `${point(p)} l`)
+        ].join('\n');
+    }
+
+    /**
+     * Create path operators for a circle, drawn in the direction of increasing angle
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} r - Radius
+     * @returns {string} Path operators
+     */
+    static createCirclePath(x, y, r) {
+        const k = r * KAPPA;
+        const curve = (...values) => `${values.map(v => this.num(v)).join(' ')} c`;
+
+        return [
+            `${this.num(x + r)} ${this.num(y)} m`,
+            curve(x + r, y + k, x + k, y + r, x, y + r),
+            curve(x - k, y + r, x - r, y + k, x - r, y),
+            curve(x - r, y - k, x - k, y - r, x, y - r),
+            curve(x + k, y - r, x + r, y - k, x + r, y),
+            'h'
+        ].join('\n');
+    }
+
+    /**
+     * Create operators for a variable-width freehand stroke: its outline
+     * filled with the stroke color, preceded by its fill when enabled
+     * @param {Object} obj - Freehand object with pressure
+     * @param {Object} resources - Fonts and opacities used so far
+     * @param {number} opacity - Effective opacity
+     * @returns {string} Content stream operators
+     */
+    static createPressureStrokeContent(obj, resources, opacity) {
+        const props = obj.properties || {};
+        const { circles, quads } = CanvasUtils.getPressureStrokeShapes(PathUtils.getRenderedPath(obj), props.strokeWidth || 2);
+        const point = (p, operator) => `${this.num(p.x)} ${this.num(p.y)} ${operator}`;
+
+        const outline = [
+            ...circles.map(({ x, y, radius }) => this.createCirclePath(x, y, radius)),
+            ...quads.map(quad => [
+                point(quad[0], 'm'),
+                ...quad.slice(1).map(p => point(p, 'l')),
+                'h'
+            ].join('\n'))
+        ];
+
+        const ops = [
+            'q',
+            this.getAlphaOperator(opacity, resources)
+        ];
+        if (props.enableFill) {
+            ops.push(
+                `${this.color(props.fillColor || '#ffffff')} rg`,
+                this.createFreehandPath(obj),
+                'f'
+            );
+        }
+        ops.push(
+            `${this.color(props.strokeColor || '#000000')} rg`,
+            ...outline,
+            'f',
+            'Q'
+        );
+
+        return ops.filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Create text operators, one text object per laid out line
+     * @param {Object} obj - Text object
+     * @param {Object} resources - Fonts and opacities used so far
+     * @param {number} opacity - Effective opacity
+     * @returns {string} Content stream operators
+     */
+    static createTextContent(obj, resources, opacity) {
+        const props = TextUtils.getTextProperties(obj.properties);
+        const layout = TextUtils.measureTextObject(obj);
+        const font = this.getFontResource(props, resources);
+
+        const ops = ['q', this.getAlphaOperator(opacity, resources), `${this.color(props.color)} rg`];
+
+        layout.lines.forEach((line, i) => {
+            if (!line) return;
+
+            const width = TextUtils.measureLine(line, props);
+            const offsets = { left: 0, center: (layout.width - width) / 2, right: layout.width - width };
+            const x = obj.x + (offsets[props.textAlign] || 0);
+            const y = obj.y + (i + 0.5) * layout.lineHeight + props.fontSize * MIDDLE_TO_BASELINE;
+
+            // The text matrix flips y back so glyphs are upright in the flipped form space
+            ops.push(`BT /${font} ${this.num(props.fontSize)} Tf 1 0 0 -1 ${this.num(x)} ${this.num(y)} Tm ${this.string(line)} Tj ET`);
+        });
+
+        ops.push('Q');
+        return ops.filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Create operators painting an image: the whole source placed where the
+     * canvas draws it, clipped to the object's box so only the crop shows
+     * @param {Object} obj - Image object
+     * @param {Object} resources - Fonts, opacities and images
+     * @param {number} opacity - Effective opacity
+     * @returns {string} Content stream operators, or an empty string if the image couldn't be read
+     */
+    static createImageContent(obj, resources, opacity) {
+        const image = resources.images.get(obj.src);
+        if (!image) return '';
+
+        // Image space has its first row at the top of the unit square; flip it into the form's y-down space
+        const full = ImageUtils.getFullImageRect(obj);
+        const ops = [
+            'q',
+            this.getAlphaOperator(opacity, resources),
+            `${[obj.x, obj.y, obj.width, obj.height].map(v => this.num(v)).join(' ')} re W n`,
+            `${[full.width, 0, 0, -full.height, full.x, full.y + full.height].map(v => this.num(v, 4)).join(' ')} cm`,
+            `/${image.name} Do`,
+            'Q'
+        ];
+
+        return ops.filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Decode the sources of image objects into PDF images, skipping any that fail to load
+     * @param {Array} objects - Objects to look for images in
+     * @returns {Promise<Map>} Images by source: {name, image, mask} with image and mask as {dictionary, data}
+     */
+    static async createImages(objects) {
+        const sources = [...new Set(objects.filter(obj => obj.type === 'image' && obj.src).map(obj => obj.src))];
+        const images = new Map();
+
+        for (const src of sources) {
+            try {
+                const encoded = /^data:image\/jpe?g;base64,/i.test(src)
+                    ? this.createJPEGImage(src)
+                    : await this.createPixelImage(await ImageUtils.loadImage(src));
+
+                images.set(src, { name: `Im${images.size + 1}`, ...encoded });
+            } catch (error) {
+                console.warn('Image left out of the PDF:', error);
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Embed a JPEG data URL as it is, for DCTDecode to decompress
+     * @param {string} src - JPEG data URL
+     * @returns {Object} Image {image: {dictionary, data}, mask: null}
+     */
+    static createJPEGImage(src) {
+        const data = atob(src.slice(src.indexOf(',') + 1));
+        const { width, height, components } = this.readJPEGFrame(data);
+
+        const dictionary = [
+            `/Type /XObject /Subtype /Image /Width ${width} /Height ${height}`,
+            `/ColorSpace ${JPEG_COLOR_SPACES[components]} /BitsPerComponent 8 /Filter /DCTDecode`,
+            // Adobe writes CMYK JPEGs inverted
+            components === 4 ? '/Decode [1 0 1 0 1 0 1 0]' : null
+        ].filter(Boolean).join(' ');
+
+        return { image: { dictionary, data }, mask: null };
+    }
+
+    /**
+     * Read the size and number of color components from a JPEG's start-of-frame segment
+     * @param {string} data - JPEG file contents (single-byte characters)
+     * @returns {Object} Frame {width, height, components}
+     */
+    static readJPEGFrame(data) {
+        const byte = (i) => data.charCodeAt(i);
+        const word = (i) => byte(i) * 256 + byte(i + 1);
+
+        let i = 2;
+        while (i + 9 < data.length && byte(i) === 0xFF) {
+            const marker = byte(i + 1);
+            if (JPEG_SOF_MARKERS.has(marker)) {
+                const frame = { height: word(i + 5), width: word(i + 7), components: byte(i + 9) };
+                if (frame.width && frame.height && JPEG_COLOR_SPACES[frame.components]) {
+                    return frame;
+                }
+                break;
+            }
+            i += 2 + word(i + 2);
+        }
+
+        throw new Error('Unsupported JPEG data');
+    }
+
+    /**
+     * Embed a decoded image as compressed RGB samples, with a soft mask when it has transparency
+     * @param {HTMLImageElement} source - Loaded image
+     * @returns {Promise<Object>} Image {image: {dictionary, data}, mask: {dictionary, data} or null}
+     */
+    static async createPixelImage(source) {
+        const width = source.naturalWidth;
+        const height = source.naturalHeight;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const rgb = new Uint8Array(width * height * 3);
+        const alpha = new Uint8Array(width * height);
+        let transparent = false;
+        for (let i = 0; i < alpha.length; i++) {
+            rgb[i * 3] = pixels[i * 4];
+            rgb[i * 3 + 1] = pixels[i * 4 + 1];
+            rgb[i * 3 + 2] = pixels[i * 4 + 2];
+            alpha[i] = pixels[i * 4 + 3];
+            transparent = transparent || alpha[i] < 255;
+        }
+
+        const dictionary = (colorSpace) =>
+            `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /FlateDecode`;
+
+        return {
+            image: { dictionary: dictionary('/DeviceRGB'), data: await this.deflate(rgb) },
+            mask: transparent ? { dictionary: dictionary('/DeviceGray'), data: await this.deflate(alpha) } : null
+        };
+    }
+
+    /**
+     * Compress bytes in the zlib format FlateDecode reads
+     * @param {Uint8Array} bytes - Data
+     * @returns {Promise<string>} Compressed data (single-byte characters)
+     */
+    static async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        // Convert in chunks; spreading a large array into fromCharCode overflows the stack
+        let data = '';
+        for (let i = 0; i < compressed.length; i += 0x8000) {
+            data += String.fromCharCode(...compressed.subarray(i, i + 0x8000));
+        }
+        return data;
+    }
+
+    /**
+     * Get (and register) the standard font closest to a text style
+     * @param {Object} props - Text properties
+     * @param {Object} resources - Fonts and opacities used so far
+     * @returns {string} Font resource name
+     */
+    static getFontResource(props, resources) {
+        const family = props.fontFamily.toLowerCase();
+        const bold = props.fontWeight === 'bold' || parseInt(props.fontWeight) >= 600;
+
+        let baseFont;
+        if (/courier|mono|consolas/.test(family)) {
+            baseFont = bold ? 'Courier-Bold' : 'Courier';
+        } else if (/times|georgia|garamond|(^|[\s,'"])serif/.test(family)) {
+            baseFont = bold ? 'Times-Bold' : 'Times-Roman';
+        } else {
+            baseFont = bold ? 'Helvetica-Bold' : 'Helvetica';
+        }
+
+        if (!resources.fonts.has(baseFont)) {
+            resources.fonts.set(baseFont, `F${resources.fonts.size + 1}`);
+        }
+        return resources.fonts.get(baseFont);
+    }
+
+    /**
+     * Get the operator that sets stroke and fill opacity
+     * @param {number} opacity - Opacity (0-1)
+     * @param {Object} resources - Fonts and opacities used so far
+     * @returns {string|null} Graphics state operator, or null when fully opaque
+     */
+    static getAlphaOperator(opacity, resources) {
+        if (opacity >= 1) return null;
+
+        const alpha = this.num(Math.max(0, opacity));
+        if (!resources.alphas.has(alpha)) {
+            resources.alphas.set(alpha, `GS${resources.alphas.size + 1}`);
+        }
+        return `/${resources.alphas.get(alpha)} gs`;
+    }
+
+    /**
+     * Assemble the PDF file
+     * @param {Object} document - Document parts {bounds, page, tiles, drawing, resources, title, author}
+     * @returns {Uint8Array} PDF file contents
+     */
+    static serialize({ bounds, page, tiles, drawing, resources, title, author }) {
+        // Object numbers: 1 catalog, 2 page tree, 3 info, 4 drawing, then fonts, then images
+        // each followed by its mask, then page/content pairs
+        const objects = [];
+        const fontIds = new Map();
+        const imageIds = new Map();
+        const fontsStart = 5;
+        let nextId = fontsStart + resources.fonts.size;
+
+        [...resources.fonts.entries()].forEach(([baseFont, name], i) => {
+            fontIds.set(name, fontsStart + i);
+        });
+
+        resources.images.forEach(({ name, image, mask }) => {
+            imageIds.set(name, nextId);
+            objects[nextId] = this.stream(image.data, image.dictionary + (mask ? ` /SMask ${nextId + 1} 0 R` : ''));
+            if (mask) {
+                objects[nextId + 1] = this.stream(mask.data, mask.dictionary);
+            }
+            nextId += mask ? 2 : 1;
+        });
+        const pagesStart = nextId;
+
+        const pageIds = tiles.map((tile, i) => pagesStart + i * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${tiles.length} >>`;
+        objects[3] = this.createInfo(title, author);
+
+        const fontEntries = [...fontIds.entries()].map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+        const alphaEntries = [...resources.alphas.entries()]
+            .map(([alpha, name]) => `/${name} << /Type /ExtGState /CA ${alpha} /ca ${alpha} >>`)
+            .join(' ');
+        const imageEntries = [...imageIds.entries()].map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+        // Flip the y axis so the drawing can use canvas coordinates
+        const formMatrix = [1, 0, 0, -1, 0, bounds.y * 2 + bounds.height];
+        objects[4] = this.stream(drawing, [
+            '/Type /XObject /Subtype /Form',
+            `/BBox [${[bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height].map(v => this.num(v)).join(' ')}]`,
+            `/Matrix [${formMatrix.map(v => this.num(v)).join(' ')}]`,
+            `/Resources << /Font << ${fontEntries} >> /ExtGState << ${alphaEntries} >> /XObject << ${imageEntries} >> >>`
+        ].join(' '));
+
+        [...resources.fonts.keys()].forEach((baseFont, i) => {
+            objects[fontsStart + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`;
+        });
+
+        tiles.forEach((tile, i) => {
+            const pageId = pageIds[i];
+            const areaWidth = page.width - page.margin * 2;
+            const areaHeight = page.height - page.margin * 2;
+
+            // Place the form so the drawing's top-left corner lands at (tile.x, tile.y) from the page's top-left
+            const { scale } = tile;
+            const e = tile.x - bounds.x * scale;
+            const f = page.height - tile.y - (bounds.y + bounds.height) * scale;
+            const content = [
+                'q',
+                `${[page.margin, page.margin, areaWidth, areaHeight].map(v => this.num(v)).join(' ')} re W n`,
+                `${[scale, 0, 0, scale, e, f].map(v => this.num(v, 4)).join(' ')} cm`,
+                '/Drawing Do',
+                'Q'
+            ].join('\n');
+
+            objects[pageId] = [
+                '<< /Type /Page /Parent 2 0 R',
+                `/MediaBox [0 0 ${this.num(page.width)} ${this.num(page.height)}]`,
+                '/Resources << /XObject << /Drawing 4 0 R >> >>',
+                `/Contents ${pageId + 1} 0 R >>`
+            ].join(' ');
+            objects[pageId + 1] = this.stream(content);
+        });
+
+        // Byte offsets are string offsets: every character written is a single byte
+        let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = output.length;
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xref = output.length;
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Create the document information dictionary
+     * @param {string} title - Document title
+     * @param {string} author - Document author
+     * @returns {string} Dictionary
+     */
+    static createInfo(title, author) {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        const date = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+            `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+
+        const entries = [
+            title ? `/Title ${this.textString(title)}` : null,
+            author ? `/Author ${this.textString(author)}` : null,
+            `/Creator ${this.textString('Drawing App')}`,
+            `/Producer ${this.textString('Drawing App')}`,
+            `/CreationDate (${date})`
+        ];
+
+        return `<< ${entries.filter(Boolean).join(' ')} >>`;
+    }
+
+    /**
+     * Wrap content in a stream object
+     * @param {string} content - Stream content (single-byte characters)
+     * @param {string} dictionary - Extra dictionary entries
+     * @returns {string} Stream object body
+     */
+    static stream(content, dictionary = '') {
+        return `<< ${dictionary ? dictionary + ' ' : ''}/Length ${content.length} >>\nstream\n${content}\nendstream`;
+    }
+
+    /**
+     * Encode text shown with a standard font as a literal string
+     * @param {string} text - Text
+     * @returns {string} PDF literal string in WinAnsiEncoding
+     */
+    static string(text) {
+        let encoded = '';
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            let byte = WIN_ANSI_EXTRAS[code];
+            if (byte === undefined) {
+                // Characters the standard fonts can't show become '?'
+                byte = code < 0x7F || (code >= 0xA0 && code <= 0xFF) ? code : 0x3F;
+            }
+
+            const c = String.fromCharCode(byte);
+            encoded += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+        }
+        return `(${encoded})`;
+    }
+
+    /**
+     * Encode a document text string (metadata) as UTF-16BE
+     * @param {string} text - Text
+     * @returns {string} PDF hex string
+     */
+    static textString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * Convert a hex color to PDF color components
+     * @param {string} hex - Color (#rgb or #rrggbb)
+     * @returns {string} Components "r g b"
+     */
+    static color(hex) {
+        let value = String(hex || '').replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}$/i.test(value)) {
+            value = '000000';
+        }
+
+        return [0, 2, 4]
+            .map(i => this.num(parseInt(value.slice(i, i + 2), 16) / 255, 3))
+            .join(' ');
+    }
+
+    /**
+     * Format a number compactly
+     * @param {number} value - Number
+     * @param {number} decimals - Decimal places to keep
+     * @returns {string} Formatted number
+     */
+    static num(value, decimals = 2) {
+        const rounded = Number(value.toFixed(decimals));
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    }
+}
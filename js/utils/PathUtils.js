@@ -0,0 +1,276 @@
+import { CanvasUtils } from './CanvasUtils.js';
+
+/**
+ * Default freehand post-processing settings
+ * - streamline: how far each sample lags behind the pointer (0 = off, towards 1 = heavy)
+ * - tolerance: Ramer–Douglas–Peucker tolerance in pixels (0 = keep every point)
+ * - curve: fit a Catmull-Rom curve through the remaining points
+ */
+export const SMOOTHING_DEFAULTS = {
+    streamline: 0.35,
+    tolerance: 1,
+    curve: true
+};
+
+/**
+ * Flattening step for curves, in pixels of chord length
+ */
+const CURVE_STEP = 4;
+const MAX_CURVE_SAMPLES = 16;
+
+/**
+ * Path2D objects of freehand strokes, so unchanged strokes aren't traced
+ * again on every redraw. Keyed by object; an entry only counts while the
+ * stroke's path, smoothing and width are the ones it was built from.
+ */
+const path2DCache = new WeakMap();
+
+/**
+ * Utility functions for processing freehand paths
+ */
+export class PathUtils {
+    /**
+     * Get pipeline options for a pen smoothing level
+     * @param {number} level - Smoothing level from 0 (raw input) to 10
+     * @returns {Object} Options {streamline, tolerance, curve}
+     */
+    static getSmoothingOptions(level = 5) {
+        if (level <= 0) {
+            return { streamline: 0, tolerance: 0, curve: false };
+        }
+
+        const amount = Math.min(level, 10) / 10;
+        return {
+            streamline: SMOOTHING_DEFAULTS.streamline * amount * 2,
+            tolerance: SMOOTHING_DEFAULTS.tolerance * amount * 2,
+            curve: SMOOTHING_DEFAULTS.curve
+        };
+    }
+
+    /**
+     * Run a raw freehand path through the smoothing pipeline:
+     * streamline, then simplification, then curve fitting
+     * @param {Array} points - Raw points {x, y, pressure?}
+     * @param {Object} options - Pipeline options, see SMOOTHING_DEFAULTS
+     * @returns {Object} Result {path, smooth}; smooth means path holds curve control points
+     */
+    static processPath(points, options = {}) {
+        const { streamline, tolerance, curve } = { ...SMOOTHING_DEFAULTS, ...options };
+
+        let path = this.streamline(points, streamline);
+        path = this.simplify(path, tolerance);
+
+        return { path, smooth: curve && path.length > 2 };
+    }
+
+    /**
+     * Pull every sample towards the previous one so the stroke trails the
+     * pointer and hand jitter evens out. The last raw point is kept so the
+     * stroke still ends where the pointer was lifted.
+     * @param {Array} points - Points {x, y, pressure?}
+     * @param {number} amount - Lag between 0 (none) and 1 (exclusive)
+     * @returns {Array} New points
+     */
+    static streamline(points, amount) {
+        if (amount <= 0 || points.length < 3) {
+            return points.map(point => ({ ...point }));
+        }
+
+        const factor = 1 - Math.min(amount, 0.95);
+        const result = [{ ...points[0] }];
+
+        for (let i = 1; i < points.length; i++) {
+            const previous = result[result.length - 1];
+            result.push({
+                ...points[i],
+                x: previous.x + (points[i].x - previous.x) * factor,
+                y: previous.y + (points[i].y - previous.y) * factor
+            });
+        }
+
+        const last = points[points.length - 1];
+        const tail = result[result.length - 1];
+        if (tail.x !== last.x || tail.y !== last.y) {
+            result.push({ ...last });
+        }
+
+        return result;
+    }
+
+    /**
+     * Simplify a polyline with the Ramer–Douglas–Peucker algorithm
+     * @param {Array} points - Points {x, y, pressure?}
+     * @param {number} tolerance - Maximum distance of a dropped point from the result
+     * @returns {Array} Kept points (copies)
+     */
+    static simplify(points, tolerance) {
+        if (tolerance <= 0 || points.length < 3) {
+            return points.map(point => ({ ...point }));
+        }
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        // Iterative to avoid deep recursion on long strokes
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [start, end] = stack.pop();
+            let maxDistance = 0;
+            let index = -1;
+
+            for (let i = start + 1; i < end; i++) {
+                const distance = this.distanceToSegment(points[i], points[start], points[end]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+
+            if (index !== -1 && maxDistance > tolerance) {
+                keep[index] = true;
+                stack.push([start, index], [index, end]);
+            }
+        }
+
+        return points.filter((point, i) => keep[i]).map(point => ({ ...point }));
+    }
+
+    /**
+     * Distance from a point to a line segment
+     * @param {Object} point - Point {x, y}
+     * @param {Object} start - Segment start {x, y}
+     * @param {Object} end - Segment end {x, y}
+     * @returns {number} Distance
+     */
+    static distanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    }
+
+    /**
+     * Convert a Catmull-Rom curve through the points into cubic Bézier segments.
+     * The conversion is linear in the points, so moving, scaling and rotating
+     * the points transforms the curve the same way.
+     * @param {Array} points - Curve points {x, y, pressure?}
+     * @returns {Array} Segments {from, cp1, cp2, to}
+     */
+    static getBezierSegments(points) {
+        const segments = [];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[i - 1] || points[i];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[i + 2] || p2;
+
+            segments.push({
+                from: p1,
+                cp1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                cp2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                to: p2
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Flatten a curve through the points into a polyline. Pressure is
+     * interpolated along each segment.
+     * @param {Array} points - Curve points {x, y, pressure?}
+     * @returns {Array} Polyline points
+     */
+    static sampleCurve(points) {
+        if (points.length < 3) return points;
+
+        const result = [{ ...points[0] }];
+
+        this.getBezierSegments(points).forEach(({ from, cp1, cp2, to }) => {
+            const chord = Math.hypot(to.x - from.x, to.y - from.y);
+            const steps = Math.max(1, Math.min(MAX_CURVE_SAMPLES, Math.ceil(chord / CURVE_STEP)));
+
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                const mt = 1 - t;
+                const point = {
+                    x: mt * mt * mt * from.x + 3 * mt * mt * t * cp1.x + 3 * mt * t * t * cp2.x + t * t * t * to.x,
+                    y: mt * mt * mt * from.y + 3 * mt * mt * t * cp1.y + 3 * mt * t * t * cp2.y + t * t * t * to.y
+                };
+                if (from.pressure !== undefined && to.pressure !== undefined) {
+                    point.pressure = from.pressure + (to.pressure - from.pressure) * t;
+                }
+                result.push(point);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Get the polyline a freehand object is drawn, hit tested and exported as
+     * @param {Object} obj - Freehand object
+     * @returns {Array} Polyline points
+     */
+    static getRenderedPath(obj) {
+        if (!obj.path) return [];
+        return obj.smooth ? this.sampleCurve(obj.path) : obj.path;
+    }
+
+    /**
+     * Get the Path2D objects a freehand stroke is drawn with, building them on first use
+     * @param {Object} obj - Freehand object
+     * @param {number} strokeWidth - Stroke width
+     * @returns {Object} Paths {outline, pressure}: the stroke's line, used for the
+     *     fill and for constant-width strokes, and the variable-width outline to
+     *     fill with the stroke color, or null without pressure
+     */
+    static getPath2D(obj, strokeWidth) {
+        const cached = path2DCache.get(obj);
+        if (cached && cached.path === obj.path && cached.length === obj.path.length &&
+            cached.smooth === !!obj.smooth && cached.strokeWidth === strokeWidth) {
+            return cached;
+        }
+
+        const outline = new Path2D();
+        outline.moveTo(obj.path[0].x, obj.path[0].y);
+        if (obj.smooth) {
+            this.getBezierSegments(obj.path).forEach(({ cp1, cp2, to }) => {
+                outline.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, to.x, to.y);
+            });
+        } else {
+            obj.path.slice(1).forEach(point => outline.lineTo(point.x, point.y));
+        }
+
+        let pressure = null;
+        if (CanvasUtils.hasPressure(obj.path)) {
+            pressure = new Path2D();
+            CanvasUtils.tracePressureStroke(pressure, this.getRenderedPath(obj), strokeWidth);
+        }
+
+        const entry = {
+            path: obj.path,
+            length: obj.path.length,
+            smooth: !!obj.smooth,
+            strokeWidth,
+            outline,
+            pressure
+        };
+        path2DCache.set(obj, entry);
+        return entry;
+    }
+
+    /**
+     * Forget a stroke's Path2D objects after its points were changed in place
+     * @param {Object} obj - Freehand object
+     */
+    static invalidatePath2D(obj) {
+        path2DCache.delete(obj);
+    }
+}
@@ -1,3 +1,12 @@
+import { ImageUtils } from './ImageUtils.js';
+
+/**
+ * Current project file format version. 1.x files stored a flattened PNG,
+ * 2.0 files store a flat editable object list, 2.1 files store layers
+ * that each own their objects.
+ */
+const PROJECT_VERSION = '2.1';
+
 /**
  * Utility functions for saving and loading projects
  */
@@ -5,7 +14,7 @@ export class ProjectUtils {
     /**
      * Save project as JSON file
      * @param {HTMLCanvasElement} canvas - Canvas to save
-     * @param {Object} projectData - Additional project data
+     * @param {Object} projectData - Additional project data (including serialized layers)
      * @param {string} filename - Optional filename
      */
     static saveProject(canvas, projectData = {}, filename = null) {
@@ -16,13 +25,14 @@ export class ProjectUtils {
 
         // Create project data structure
         const project = {
-            version: '1.0',
+            version: PROJECT_VERSION,
             timestamp: new Date().toISOString(),
             canvas: {
                 width: canvas.width,
-                height: canvas.height,
-                dataURL: canvas.toDataURL('image/png')
+                height: canvas.height
             },
+            layers: projectData.layers || [],
+            activeLayerId: projectData.activeLayerId || null,
             metadata: {
                 title: projectData.title || 'Untitled Drawing',
                 description: projectData.description || '',
@@ -34,7 +44,10 @@ export class ProjectUtils {
                 panX: projectData.panX || 0,
                 panY: projectData.panY || 0,
                 backgroundColor: projectData.backgroundColor || '#ffffff',
-                gridVisible: projectData.gridVisible || true
+                gridVisible: projectData.gridVisible ?? false,
+                gridSize: projectData.gridSize || 20,
+                snapToGrid: projectData.snapToGrid ?? false,
+                snapToObjects: projectData.snapToObjects ?? true
             },
             tools: {
                 lastUsedTool: projectData.lastUsedTool || 'pen',
@@ -96,44 +109,45 @@ export class ProjectUtils {
     /**
      * Apply loaded project to canvas
      * @param {Object} projectData - Project data to apply
-     * @param {HTMLCanvasElement} canvas - Canvas to apply to
      * @param {Object} canvasManager - Canvas manager instance
+     * @param {Object} objectManager - Object manager instance
      * @returns {Promise<void>}
      */
-    static applyProject(projectData, canvas, canvasManager) {
+    static applyProject(projectData, canvasManager, objectManager) {
         return new Promise((resolve, reject) => {
             try {
-                // Create image from saved data
-                const img = new Image();
-                
-                img.onload = () => {
-                    // Clear canvas and set size
-                    canvasManager.setCanvasSize(
-                        projectData.canvas.width, 
-                        projectData.canvas.height
-                    );
-                    
-                    // Draw the saved image
-                    const ctx = canvas.getContext('2d');
-                    ctx.clearRect(0, 0, canvas.width, canvas.height);
-                    ctx.drawImage(img, 0, 0);
-                    
-                    // Apply settings
-                    if (projectData.settings) {
-                        canvasManager.zoom = projectData.settings.zoom || 1;
-                        canvasManager.panX = projectData.settings.panX || 0;
-                        canvasManager.panY = projectData.settings.panY || 0;
-                        canvasManager.updateTransform();
+                if (this.isObjectProject(projectData)) {
+                    // Rebuild the object model so the drawing stays editable
+                    if (projectData.layers) {
+                        objectManager.loadLayers(projectData.layers, projectData.activeLayerId);
+                    } else {
+                        objectManager.loadObjects(projectData.objects);
                     }
-                    
+                    this.applySettings(projectData.settings, canvasManager);
                     resolve(projectData);
-                };
+                    return;
+                }
                 
-                img.onerror = () => {
+                // Legacy 1.x projects only contain a flattened bitmap; it becomes
+                // an image object at the origin so it survives redraws and stays editable
+                ImageUtils.loadImage(projectData.canvas.dataURL).then(() => {
+                    objectManager.loadObjects([{
+                        id: 'obj_1',
+                        type: 'image',
+                        x: 0,
+                        y: 0,
+                        width: projectData.canvas.width,
+                        height: projectData.canvas.height,
+                        src: projectData.canvas.dataURL,
+                        properties: { opacity: 1 }
+                    }]);
+                    this.applySettings(projectData.settings, canvasManager);
+                    resolve(projectData);
+                }, () => {
                     reject(new Error('Failed to load project image data'));
-                };
-                
-                img.src = projectData.canvas.dataURL;
+                }).catch(error => {
+                    reject(new Error('Failed to apply project: ' + error.message));
+                });
                 
             } catch (error) {
                 reject(new Error('Failed to apply project: ' + error.message));
@@ -141,6 +155,59 @@ export class ProjectUtils {
         });
     }
 
+    /**
+     * Apply saved viewport settings
+     * @param {Object} settings - Project settings
+     * @param {Object} canvasManager - Canvas manager instance
+     */
+    static applySettings(settings, canvasManager) {
+        if (!settings) return;
+        
+        canvasManager.setView({
+            zoom: settings.zoom || 1,
+            panX: settings.panX || 0,
+            panY: settings.panY || 0
+        });
+    }
+
+    /**
+     * Get the grid and snapping settings stored in a project
+     * @param {Object} settings - Project settings
+     * @returns {Object} Settings to apply; empty if the project has none
+     */
+    static getGridSettings(settings) {
+        // Files saved before gridSize existed always wrote gridVisible: true, so ignore them
+        if (!settings || settings.gridSize === undefined) return {};
+
+        return {
+            gridVisible: Boolean(settings.gridVisible),
+            gridSize: settings.gridSize,
+            snapToGrid: Boolean(settings.snapToGrid),
+            snapToObjects: settings.snapToObjects !== false
+        };
+    }
+
+    /**
+     * Check whether project data uses the object-based format
+     * @param {Object} projectData - Project data
+     * @returns {boolean} True if the project stores objects
+     */
+    static isObjectProject(projectData) {
+        return Array.isArray(projectData.layers) || Array.isArray(projectData.objects);
+    }
+
+    /**
+     * Get every object stored in a project, regardless of format version
+     * @param {Object} projectData - Project data
+     * @returns {Array} Serialized objects
+     */
+    static getProjectObjects(projectData) {
+        if (Array.isArray(projectData.layers)) {
+            return projectData.layers.flatMap(layer => layer.objects || []);
+        }
+        return projectData.objects || [];
+    }
+
     /**
      * Validate project data structure
      * @param {Object} projectData - Project data to validate
@@ -160,6 +227,15 @@ export class ProjectUtils {
             }
         }
 
+        if (this.isObjectProject(projectData)) {
+            const validObjects = this.getProjectObjects(projectData).every(obj => this.isValidObject(obj));
+            if (!validObjects) {
+                console.warn('Invalid object data');
+                return false;
+            }
+            return true;
+        }
+
         // Check canvas data
         if (!projectData.canvas.dataURL || !projectData.canvas.width || !projectData.canvas.height) {
             console.warn('Invalid canvas data');
@@ -169,6 +245,21 @@ export class ProjectUtils {
         return true;
     }
 
+    /**
+     * Check that serialized object data, including group children, has an id and type
+     * @param {Object} obj - Serialized object
+     * @returns {boolean} True if valid
+     */
+    static isValidObject(obj) {
+        if (!obj || typeof obj.id !== 'string' || typeof obj.type !== 'string') {
+            return false;
+        }
+        if (obj.type === 'group') {
+            return Array.isArray(obj.children) && obj.children.every(child => this.isValidObject(child));
+        }
+        return true;
+    }
+
     /**
      * Get project info without loading full data
      * @param {File} file - JSON file to read
@@ -190,6 +281,7 @@ export class ProjectUtils {
                         timestamp: projectData.timestamp,
                         title: projectData.metadata?.title || 'Untitled',
                         description: projectData.metadata?.description || '',
+                        objectCount: this.getProjectObjects(projectData).length,
                         canvasSize: {
                             width: projectData.canvas?.width,
                             height: projectData.canvas?.height
@@ -213,17 +305,19 @@ export class ProjectUtils {
     /**
      * Create a quick save of current state
      * @param {HTMLCanvasElement} canvas - Canvas to save
-     * @param {Object} appState - Current application state
+     * @param {Object} appState - Current application state (including serialized layers)
      * @returns {Object} Quick save data
      */
     static createQuickSave(canvas, appState) {
         const quickSave = {
+            version: PROJECT_VERSION,
             timestamp: Date.now(),
             canvas: {
                 width: canvas.width,
-                height: canvas.height,
-                dataURL: canvas.toDataURL('image/png')
+                height: canvas.height
             },
+            layers: appState.layers || [],
+            activeLayerId: appState.activeLayerId || null,
             state: {
                 zoom: appState.zoom || 1,
                 panX: appState.panX || 0,
@@ -290,6 +384,7 @@ export class ProjectUtils {
             description: projectData.metadata?.description,
             timestamp: projectData.timestamp,
             version: projectData.version,
+            objectCount: this.getProjectObjects(projectData).length,
             canvasSize: {
                 width: projectData.canvas?.width,
                 height: projectData.canvas?.height
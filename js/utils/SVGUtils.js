@@ -0,0 +1,1194 @@
+import { TextUtils } from './TextUtils.js';
+import { CanvasUtils } from './CanvasUtils.js';
+import { PathUtils } from './PathUtils.js';
+import { ImageUtils } from './ImageUtils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Arrowhead size used by the canvas renderer
+ */
+const ARROW_HEAD_LENGTH = 15;
+
+/**
+ * Elements that never render by themselves and are skipped on import
+ */
+const NON_RENDERING_ELEMENTS = new Set([
+    'defs', 'title', 'desc', 'metadata', 'style', 'script', 'marker', 'symbol',
+    'clipPath', 'mask', 'pattern', 'linearGradient', 'radialGradient', 'filter'
+]);
+
+/**
+ * Style properties read on import. All but opacity and display are inherited.
+ */
+const STYLE_PROPERTIES = [
+    'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'display',
+    'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+
+/**
+ * Line segments used to approximate each curve segment on import
+ */
+const CURVE_SEGMENTS = 16;
+
+/**
+ * Space left around the drawing in exports
+ */
+const EXPORT_PADDING = 20;
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Shared context used to normalize CSS colors
+let colorContext = null;
+
+/**
+ * Utility functions for converting objects to and from SVG
+ */
+export class SVGUtils {
+    /**
+     * Build an SVG document from every visible layer, or from a set of objects
+     * @param {ObjectManager} objectManager - Object manager holding the drawing
+     * @param {Object} options - Export options
+     * @param {number} options.padding - Space around the content
+     * @param {Object} options.emptyBounds - viewBox to use when there is nothing to export
+     * @param {Array} options.objects - Objects to export instead of the layers, in draw order
+     * @returns {string} SVG markup
+     */
+    static createSVG(objectManager, options = {}) {
+        const { padding = EXPORT_PADDING, emptyBounds = { x: 0, y: 0, width: 800, height: 600 } } = options;
+        const layers = objectManager.getLayers().filter(layer => layer.visible);
+        const objects = options.objects || layers.flatMap(layer => layer.objects.filter(obj => obj.visible));
+
+        const viewBox = this.getViewBox(objectManager, objects, padding) || emptyBounds;
+        const markers = new Map();
+
+        const body = (options.objects
+            ? objects.map(obj => this.createElement(obj, markers, '  ', objectManager))
+            : layers.map(layer => this.createLayerElement(layer, markers, objectManager)))
+            .filter(Boolean)
+            .join('\n');
+
+        const defs = markers.size > 0
+            ? `  <defs>\n${[...markers.values()].map(marker => marker.markup).join('\n')}\n  </defs>\n`
+            : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="${SVG_NS}" width="${this.num(viewBox.width)}" height="${this.num(viewBox.height)}" viewBox="${[viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(v => this.num(v)).join(' ')}">
+${defs}${body}
+</svg>
+`;
+    }
+
+    /**
+     * Get the area a whole-drawing export covers: every visible object with the export padding
+     * @param {ObjectManager} objectManager - Object manager holding the drawing
+     * @param {Object} emptyBounds - Area to use when there is nothing to export
+     * @returns {Object} Rectangle {x, y, width, height}
+     */
+    static getExportBounds(objectManager, emptyBounds) {
+        return this.getViewBox(objectManager, objectManager.getVisibleObjects(), EXPORT_PADDING) || emptyBounds;
+    }
+
+    /**
+     * Fit a viewBox around objects, leaving room for strokes and arrowheads
+     * @param {ObjectManager} objectManager - Object manager used for bounds
+     * @param {Array} objects - Objects to fit
+     * @param {number} padding - Extra space around the content
+     * @returns {Object|null} viewBox {x, y, width, height} or null if there are no objects
+     */
+    static getViewBox(objectManager, objects, padding) {
+        const bounds = objectManager.getCombinedBounds(objects);
+        if (!bounds) return null;
+
+        const strokeWidths = objectManager.flattenObjects(objects).map(obj => obj.properties?.strokeWidth || 0);
+        const hasArrows = objectManager.flattenObjects(objects).some(obj => obj.type === 'arrow');
+        const margin = padding + Math.max(0, ...strokeWidths) / 2 + (hasArrows ? ARROW_HEAD_LENGTH : 0);
+
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + margin * 2,
+            height: bounds.height + margin * 2
+        };
+    }
+
+    /**
+     * Create a group element for a layer
+     * @param {Object} layer - Layer
+     * @param {Map} markers - Arrowhead markers collected so far
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers
+     * @returns {string} SVG markup, or an empty string for an empty layer
+     */
+    static createLayerElement(layer, markers, objectManager) {
+        const children = layer.objects
+            .filter(obj => obj.visible)
+            .map(obj => this.createElement(obj, markers, '    ', objectManager))
+            .filter(Boolean);
+        if (children.length === 0) return '';
+
+        const attributes = this.attrs({
+            id: layer.id,
+            'data-name': layer.name,
+            opacity: layer.opacity < 1 ? layer.opacity : null
+        });
+
+        return `  <g${attributes}>\n${children.join('\n')}\n  </g>`;
+    }
+
+    /**
+     * Create the SVG element for an object
+     * @param {Object} obj - Object
+     * @param {Map} markers - Arrowhead markers collected so far
+     * @param {string} indent - Indentation
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers
+     * @returns {string} SVG markup
+     */
+    static createElement(obj, markers, indent, objectManager) {
+        if (!obj.rotation) {
+            return this.createShapeElement(obj, markers, indent, objectManager);
+        }
+
+        // Rotate around the same center the canvas renderer uses
+        const element = this.createShapeElement(obj, markers, indent + '  ', objectManager);
+        if (!element) return '';
+
+        const center = objectManager.getRotationCenter(obj);
+        const transform = `rotate(${[CanvasUtils.radToDeg(obj.rotation), center.x, center.y].map(v => this.num(v)).join(' ')})`;
+        return `${indent}<g${this.attrs({ transform })}>\n${element}\n${indent}</g>`;
+    }
+
+    /**
+     * Create the SVG element for an object, ignoring its rotation
+     * @param {Object} obj - Object
+     * @param {Map} markers - Arrowhead markers collected so far
+     * @param {string} indent - Indentation
+     * @param {ObjectManager} objectManager - Object manager used for rotation centers of children
+     * @returns {string} SVG markup
+     */
+    static createShapeElement(obj, markers, indent, objectManager) {
+        const props = obj.properties || {};
+
+        switch (obj.type) {
+            case 'rectangle':
+                return `${indent}<rect${this.attrs({
+                    x: obj.x,
+                    y: obj.y,
+                    width: obj.width,
+                    height: obj.height,
+                    ...this.getShapeStyle(props)
+                })}/>`;
+
+            case 'circle':
+                return `${indent}<circle${this.attrs({
+                    cx: obj.x,
+                    cy: obj.y,
+                    r: obj.radius,
+                    ...this.getShapeStyle(props)
+                })}/>`;
+
+            case 'line':
+            case 'arrow': {
+                if (!obj.points || obj.points.length < 2) return '';
+
+                const [p1, p2] = obj.points;
+                const style = this.getStrokeStyle(props);
+                return `${indent}<line${this.attrs({
+                    x1: p1.x,
+                    y1: p1.y,
+                    x2: p2.x,
+                    y2: p2.y,
+                    ...style,
+                    'marker-end': obj.type === 'arrow' ? `url(#${this.getArrowMarker(style, markers)})` : null
+                })}/>`;
+            }
+
+            case 'freehand':
+                if (!obj.path || obj.path.length === 0) return '';
+
+                if (CanvasUtils.hasPressure(obj.path)) {
+                    return this.createPressureStrokeElement(obj, indent);
+                }
+
+                return `${indent}<path${this.attrs({
+                    d: this.freehandToPath(obj),
+                    ...this.getShapeStyle(props)
+                })}/>`;
+
+            case 'text':
+                return this.createTextElement(obj, indent);
+
+            case 'image':
+                return this.createImageElement(obj, indent);
+
+            case 'group': {
+                const children = obj.children
+                    .filter(child => child.visible)
+                    .map(child => this.createElement(child, markers, indent + '  ', objectManager))
+                    .filter(Boolean);
+                const attributes = this.attrs({ opacity: props.opacity < 1 ? props.opacity : null });
+                return `${indent}<g${attributes}>\n${children.join('\n')}\n${indent}</g>`;
+            }
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Create an image. A nested viewport shows the cropped part of the source
+     * stretched over the object's box, the same way the canvas draws it.
+     * @param {Object} obj - Image object
+     * @param {string} indent - Indentation
+     * @returns {string} SVG markup
+     */
+    static createImageElement(obj, indent) {
+        if (!obj.src) return '';
+
+        const props = obj.properties || {};
+        const crop = ImageUtils.getCrop(obj);
+        // Crop fractions need more precision than coordinates
+        const viewBox = [crop.x, crop.y, crop.width, crop.height].map(v => Number(v.toFixed(6))).join(' ');
+
+        return `${indent}<svg${this.attrs({
+            x: obj.x,
+            y: obj.y,
+            width: obj.width,
+            height: obj.height,
+            viewBox,
+            preserveAspectRatio: 'none',
+            opacity: props.opacity < 1 ? props.opacity : null
+        })}>\n${indent}  <image${this.attrs({
+            href: obj.src,
+            width: 1,
+            height: 1,
+            preserveAspectRatio: 'none'
+        })}/>\n${indent}</svg>`;
+    }
+
+    /**
+     * Create a variable-width freehand stroke as a filled outline, preceded by
+     * its fill when enabled
+     * @param {Object} obj - Freehand object with pressure
+     * @param {string} indent - Indentation
+     * @returns {string} SVG markup
+     */
+    static createPressureStrokeElement(obj, indent) {
+        const props = obj.properties || {};
+        const opacity = props.opacity < 1 ? props.opacity : null;
+        const { circles, quads } = CanvasUtils.getPressureStrokeShapes(PathUtils.getRenderedPath(obj), props.strokeWidth || 2);
+        const n = (value) => this.num(value);
+
+        const outline = [
+            ...circles.map(({ x, y, radius: r }) =>
+                `M ${n(x + r)} ${n(y)} A ${n(r)} ${n(r)} 0 1 1 ${n(x - r)} ${n(y)} A ${n(r)} ${n(r)} 0 1 1 ${n(x + r)} ${n(y)} Z`
+            ),
+            ...quads.map(quad => `${this.pointsToPath(quad)} Z`)
+        ].join(' ');
+
+        const elements = [];
+        if (props.enableFill) {
+            elements.push(`${indent}<path${this.attrs({
+                d: this.freehandToPath(obj),
+                fill: props.fillColor || '#ffffff',
+                opacity
+            })}/>`);
+        }
+        elements.push(`${indent}<path${this.attrs({
+            d: outline,
+            fill: props.strokeColor || '#000000',
+            opacity
+        })}/>`);
+
+        return elements.join('\n');
+    }
+
+    /**
+     * Create a text element with one tspan per laid out line
+     * @param {Object} obj - Text object
+     * @param {string} indent - Indentation
+     * @returns {string} SVG markup
+     */
+    static createTextElement(obj, indent) {
+        const props = TextUtils.getTextProperties(obj.properties);
+        const layout = TextUtils.measureTextObject(obj);
+        const anchors = { left: 'start', center: 'middle', right: 'end' };
+        const offsets = { left: 0, center: layout.width / 2, right: layout.width };
+        const x = obj.x + (offsets[props.textAlign] || 0);
+
+        // Lines are joined without whitespace: with xml:space="preserve" it would be rendered
+        const lines = layout.lines.map((line, i) =>
+            `<tspan${this.attrs({ x, y: obj.y + (i + 0.5) * layout.lineHeight })}>${this.escape(line)}</tspan>`
+        );
+
+        return `${indent}<text${this.attrs({
+            'font-family': props.fontFamily,
+            'font-size': props.fontSize,
+            'font-weight': props.fontWeight,
+            'text-anchor': anchors[props.textAlign] || 'start',
+            'dominant-baseline': 'middle',
+            'xml:space': 'preserve',
+            fill: props.color,
+            opacity: props.opacity < 1 ? props.opacity : null
+        })}>${lines.join('')}</text>`;
+    }
+
+    /**
+     * Get presentation attributes for closed shapes
+     * @param {Object} props - Object properties
+     * @returns {Object} Attributes
+     */
+    static getShapeStyle(props) {
+        return {
+            ...this.getStrokeStyle(props),
+            fill: props.enableFill ? (props.fillColor || '#ffffff') : 'none'
+        };
+    }
+
+    /**
+     * Get presentation attributes for strokes
+     * @param {Object} props - Object properties
+     * @returns {Object} Attributes
+     */
+    static getStrokeStyle(props) {
+        return {
+            fill: 'none',
+            stroke: props.strokeColor || '#000000',
+            'stroke-width': props.strokeWidth || 2,
+            'stroke-linecap': props.lineCap || 'round',
+            'stroke-linejoin': props.lineJoin || 'round',
+            opacity: props.opacity < 1 ? props.opacity : null
+        };
+    }
+
+    /**
+     * Get (and register) an arrowhead marker matching a stroke
+     * @param {Object} style - Stroke attributes of the arrow
+     * @param {Map} markers - Markers {id, markup} collected so far, keyed by stroke
+     * @returns {string} Marker ID
+     */
+    static getArrowMarker(style, markers) {
+        const key = `${style.stroke}|${style['stroke-width']}`;
+
+        if (!markers.has(key)) {
+            const id = `arrowhead-${markers.size}`;
+
+            // Same open chevron as the canvas: two strokes at 30 degrees to the shaft
+            const length = ARROW_HEAD_LENGTH;
+            const back = length - length * Math.cos(Math.PI / 6);
+            const half = length * Math.sin(Math.PI / 6);
+
+            const markup = `    <marker${this.attrs({
+                id,
+                viewBox: `0 0 ${length} ${this.num(half * 2)}`,
+                refX: length,
+                refY: half,
+                markerWidth: length,
+                markerHeight: half * 2,
+                markerUnits: 'userSpaceOnUse',
+                orient: 'auto',
+                overflow: 'visible'
+            })}>
+      <path${this.attrs({
+                d: `M ${this.num(back)} 0 L ${length} ${this.num(half)} L ${this.num(back)} ${this.num(half * 2)}`,
+                fill: 'none',
+                stroke: style.stroke,
+                'stroke-width': style['stroke-width'],
+                'stroke-linecap': 'round',
+                'stroke-linejoin': 'round'
+            })}/>
+    </marker>`;
+
+            markers.set(key, { id, markup });
+        }
+
+        return markers.get(key).id;
+    }
+
+    /**
+     * Convert points to SVG path data
+     * @param {Array} points - Points {x, y}
+     * @returns {string} Path data
+     */
+    static pointsToPath(points) {
+        return points
+            .map((point, i) => `${i === 0 ? 'M' : 'L'} ${this.num(point.x)} ${this.num(point.y)}`)
+            .join(' ');
+    }
+
+    /**
+     * Convert a freehand path to SVG path data, with cubic curves when it is smoothed
+     * @param {Object} obj - Freehand object
+     * @returns {string} Path data
+     */
+    static freehandToPath(obj) {
+        if (!obj.smooth) {
+            return this.pointsToPath(obj.path);
+        }
+
+        const start = obj.path[0];
+        const curves = PathUtils.getBezierSegments(obj.path).map(({ cp1, cp2, to }) =>
+            `C ${[cp1, cp2, to].map(p => `${this.num(p.x)} ${this.num(p.y)}`).join(' ')}`
+        );
+        return [`M ${this.num(start.x)} ${this.num(start.y)}`, ...curves].join(' ');
+    }
+
+    /**
+     * Serialize attributes, skipping null and undefined values
+     * @param {Object} attributes - Attribute map
+     * @returns {string} Attribute string with a leading space
+     */
+    static attrs(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => ` ${name}="${this.escape(typeof value === 'number' ? this.num(value) : value)}"`)
+            .join('');
+    }
+
+    /**
+     * Round a number for output
+     * @param {number} value - Number
+     * @returns {number} Value rounded to two decimals
+     */
+    static num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Escape text for XML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Parse an SVG document into object data ready for ObjectManager.addObject
+     * @param {string} svgText - SVG markup
+     * @returns {Object} Result {objects, unsupported} where unsupported lists {name, count} of skipped elements
+     */
+    static parseSVG(svgText) {
+        const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a valid SVG file');
+        }
+
+        const report = new Map();
+        const rootStyle = {
+            fill: '#000000',
+            stroke: 'none',
+            'stroke-width': '1',
+            opacity: 1
+        };
+        // The outermost svg ignores x and y but maps its viewBox onto its size like a nested one
+        const objects = this.importChildren(root, this.getViewportMatrix(root, 0, 0), this.resolveStyle(root, rootStyle), report);
+
+        return {
+            objects,
+            unsupported: [...report.entries()].map(([name, count]) => ({ name, count }))
+        };
+    }
+
+    /**
+     * Import every child element of a container
+     * @param {Element} element - Container element
+     * @param {Array<number>} matrix - Transform of the container
+     * @param {Object} style - Resolved style of the container
+     * @param {Map} report - Counts of unsupported elements
+     * @returns {Array} Object data
+     */
+    static importChildren(element, matrix, style, report) {
+        return [...element.children].flatMap(child => this.importElement(child, matrix, style, report));
+    }
+
+    /**
+     * Import a single element
+     * @param {Element} element - SVG element
+     * @param {Array<number>} parentMatrix - Transform inherited from ancestors
+     * @param {Object} parentStyle - Style inherited from ancestors
+     * @param {Map} report - Counts of unsupported elements
+     * @returns {Array} Object data (empty when nothing could be imported)
+     */
+    static importElement(element, parentMatrix, parentStyle, report) {
+        const tag = element.localName;
+        if (NON_RENDERING_ELEMENTS.has(tag)) return [];
+
+        const style = this.resolveStyle(element, parentStyle);
+        if (style.display === 'none') return [];
+
+        let matrix = this.multiplyMatrices(parentMatrix, this.parseTransform(element.getAttribute('transform')));
+        const num = (name, fallback = 0) => {
+            const value = parseFloat(element.getAttribute(name));
+            return isNaN(value) ? fallback : value;
+        };
+
+        if (tag === 'g' || tag === 'a' || tag === 'svg') {
+            if (tag === 'svg') {
+                matrix = this.multiplyMatrices(matrix, this.getViewportMatrix(element, num('x'), num('y')));
+            }
+            const children = this.importChildren(element, matrix, style, report);
+            return tag === 'g' && children.length > 1 ? [{ type: 'group', children }] : children;
+        }
+
+        if (style.visibility === 'hidden') return [];
+
+        switch (tag) {
+            case 'rect':
+                return [this.importRect(num('x'), num('y'), num('width'), num('height'), matrix, style)];
+
+            case 'circle':
+                return [this.importEllipse(num('cx'), num('cy'), num('r'), num('r'), matrix, style)];
+
+            case 'ellipse':
+                return [this.importEllipse(num('cx'), num('cy'), num('rx'), num('ry'), matrix, style)];
+
+            case 'line': {
+                const points = [
+                    { x: num('x1'), y: num('y1') },
+                    { x: num('x2'), y: num('y2') }
+                ].map(point => this.applyMatrix(matrix, point));
+
+                return [{
+                    type: element.hasAttribute('marker-end') ? 'arrow' : 'line',
+                    points,
+                    properties: this.getImportProperties(style, matrix, false)
+                }];
+            }
+
+            case 'polyline':
+            case 'polygon': {
+                const values = this.parseNumbers(element.getAttribute('points'));
+                const points = [];
+                for (let i = 0; i + 1 < values.length; i += 2) {
+                    points.push({ x: values[i], y: values[i + 1] });
+                }
+                if (points.length < 2) return [];
+
+                return [this.createFreehand(points, tag === 'polygon', matrix, style)];
+            }
+
+            case 'path': {
+                const shapes = this.parsePathData(element.getAttribute('d') || '')
+                    .filter(subpath => subpath.points.length > 1)
+                    .map(subpath => this.createFreehand(subpath.points, subpath.closed, matrix, style));
+
+                return shapes.length > 1 ? [{ type: 'group', children: shapes }] : shapes;
+            }
+
+            case 'text':
+                return this.importText(element, matrix, style);
+
+            default:
+                report.set(tag, (report.get(tag) || 0) + 1);
+                return [];
+        }
+    }
+
+    /**
+     * Get the transform an svg element sets up for its children: placed at x/y and,
+     * with a viewBox, the viewBox fitted to its width and height per preserveAspectRatio.
+     * Children are not clipped to the viewport.
+     * @param {Element} element - svg element
+     * @param {number} x - X coordinate of the viewport
+     * @param {number} y - Y coordinate of the viewport
+     * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+     */
+    static getViewportMatrix(element, x, y) {
+        const [vbX, vbY, vbWidth, vbHeight] = this.parseNumbers(element.getAttribute('viewBox'));
+        if (!(vbWidth > 0 && vbHeight > 0)) {
+            return [1, 0, 0, 1, x, y];
+        }
+
+        // Percentages refer to the parent viewport, which isn't tracked; they count as missing.
+        // A missing side follows the viewBox's aspect ratio, or its size when both are missing
+        const length = (name) => {
+            const value = (element.getAttribute(name) || '').trim();
+            return /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?(?:px)?$/.test(value) ? parseFloat(value) : null;
+        };
+        const givenWidth = length('width');
+        const givenHeight = length('height');
+        const width = givenWidth ?? (givenHeight !== null ? givenHeight * vbWidth / vbHeight : vbWidth);
+        const height = givenHeight ?? (givenWidth !== null ? givenWidth * vbHeight / vbWidth : vbHeight);
+
+        const [align = 'xMidYMid', meetOrSlice = 'meet'] = (element.getAttribute('preserveAspectRatio') || '').split(/\s+/).filter(Boolean);
+        let scaleX = width / vbWidth;
+        let scaleY = height / vbHeight;
+        let offsetX = 0;
+        let offsetY = 0;
+
+        if (align !== 'none') {
+            scaleX = scaleY = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+            const spareX = width - vbWidth * scaleX;
+            const spareY = height - vbHeight * scaleY;
+            offsetX = align.includes('xMid') ? spareX / 2 : align.includes('xMax') ? spareX : 0;
+            offsetY = align.includes('YMid') ? spareY / 2 : align.includes('YMax') ? spareY : 0;
+        }
+
+        return [scaleX, 0, 0, scaleY, x + offsetX - vbX * scaleX, y + offsetY - vbY * scaleY];
+    }
+
+    /**
+     * Import a rectangle, falling back to a polygon when it is rotated or skewed
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Array<number>} matrix - Transform
+     * @param {Object} style - Resolved style
+     * @returns {Object} Object data
+     */
+    static importRect(x, y, width, height, matrix, style) {
+        const corners = [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height }
+        ];
+
+        if (!this.isAxisAligned(matrix)) {
+            return this.createFreehand(corners, true, matrix, style);
+        }
+
+        const p1 = this.applyMatrix(matrix, corners[0]);
+        const p2 = this.applyMatrix(matrix, corners[2]);
+
+        return {
+            type: 'rectangle',
+            x: Math.min(p1.x, p2.x),
+            y: Math.min(p1.y, p2.y),
+            width: Math.abs(p2.x - p1.x),
+            height: Math.abs(p2.y - p1.y),
+            properties: this.getImportProperties(style, matrix, true)
+        };
+    }
+
+    /**
+     * Import a circle or ellipse. Anything that isn't a circle after
+     * transformation becomes a closed polygon.
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - X radius
+     * @param {number} ry - Y radius
+     * @param {Array<number>} matrix - Transform
+     * @param {Object} style - Resolved style
+     * @returns {Object} Object data
+     */
+    static importEllipse(cx, cy, rx, ry, matrix, style) {
+        const [a, , , d] = matrix;
+
+        if (this.isAxisAligned(matrix) && Math.abs(Math.abs(a * rx) - Math.abs(d * ry)) < 1e-6) {
+            const center = this.applyMatrix(matrix, { x: cx, y: cy });
+            return {
+                type: 'circle',
+                x: center.x,
+                y: center.y,
+                radius: Math.abs(a * rx),
+                properties: this.getImportProperties(style, matrix, true)
+            };
+        }
+
+        const segments = CURVE_SEGMENTS * 4;
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+        }
+
+        return this.createFreehand(points, true, matrix, style);
+    }
+
+    /**
+     * Import a text element, one line per tspan
+     * @param {Element} element - Text element
+     * @param {Array<number>} matrix - Transform
+     * @param {Object} style - Resolved style
+     * @returns {Array} Object data
+     */
+    static importText(element, matrix, style) {
+        const tspans = [...element.children].filter(child => child.localName === 'tspan');
+        const lines = tspans.length > 0 ? tspans.map(tspan => tspan.textContent) : [element.textContent.trim()];
+        const text = lines.join('\n');
+        if (!text.trim()) return [];
+
+        const first = tspans[0] || element;
+        const anchor = this.applyMatrix(matrix, {
+            x: parseFloat(first.getAttribute('x') || element.getAttribute('x')) || 0,
+            y: parseFloat(first.getAttribute('y') || element.getAttribute('y')) || 0
+        });
+
+        const scale = this.getMatrixScale(matrix);
+        const alignments = { start: 'left', middle: 'center', end: 'right' };
+        const properties = TextUtils.getTextProperties({
+            fontFamily: style['font-family'],
+            fontSize: (parseFloat(style['font-size']) || 16) * scale,
+            fontWeight: style['font-weight'] === 'bold' || parseInt(style['font-weight']) >= 600 ? 'bold' : 'normal',
+            textAlign: alignments[style['text-anchor']] || 'left',
+            color: this.parseColor(style.fill) || '#000000',
+            opacity: style.opacity
+        });
+
+        // Convert the anchor point on the first line to the top-left corner of the box
+        const layout = TextUtils.measureText(text, properties);
+        const centered = ['middle', 'central'].includes(style['dominant-baseline']);
+        const offsets = { left: 0, center: layout.width / 2, right: layout.width };
+
+        return [{
+            type: 'text',
+            x: anchor.x - offsets[properties.textAlign],
+            y: anchor.y - layout.lineHeight * (centered ? 0.5 : 0.8),
+            width: layout.width,
+            height: layout.height,
+            text,
+            properties
+        }];
+    }
+
+    /**
+     * Create freehand object data from untransformed points
+     * @param {Array} points - Points {x, y}
+     * @param {boolean} closed - Close the outline back to its start
+     * @param {Array<number>} matrix - Transform
+     * @param {Object} style - Resolved style
+     * @returns {Object} Object data
+     */
+    static createFreehand(points, closed, matrix, style) {
+        const path = points.map(point => this.applyMatrix(matrix, point));
+        if (closed) {
+            path.push({ ...path[0] });
+        }
+
+        return {
+            type: 'freehand',
+            path,
+            properties: this.getImportProperties(style, matrix, true)
+        };
+    }
+
+    /**
+     * Map a resolved SVG style to object properties
+     * @param {Object} style - Resolved style
+     * @param {Array<number>} matrix - Transform (scales the stroke width)
+     * @param {boolean} fillable - Whether the shape can be filled
+     * @returns {Object} Object properties
+     */
+    static getImportProperties(style, matrix, fillable) {
+        const fill = fillable ? this.parseColor(style.fill) : null;
+        const stroke = this.parseColor(style.stroke);
+        const strokeWidth = parseFloat(style['stroke-width']);
+
+        return {
+            // Shapes here always have an outline; unstroked shapes get a thin one in their fill color
+            strokeColor: stroke || fill || '#000000',
+            strokeWidth: stroke && !isNaN(strokeWidth) ? strokeWidth * this.getMatrixScale(matrix) : 1,
+            fillColor: fill || '#ffffff',
+            enableFill: !!fill,
+            lineCap: style['stroke-linecap'] || 'butt',
+            lineJoin: style['stroke-linejoin'] || 'miter',
+            opacity: style.opacity
+        };
+    }
+
+    /**
+     * Resolve an element's style from its presentation attributes, inline style and parent
+     * @param {Element} element - SVG element
+     * @param {Object} parentStyle - Resolved parent style
+     * @returns {Object} Resolved style
+     */
+    static resolveStyle(element, parentStyle) {
+        const style = { ...parentStyle, display: null, opacity: 1 };
+
+        STYLE_PROPERTIES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (value !== null) {
+                style[name] = value.trim();
+            }
+        });
+
+        (element.getAttribute('style') || '').split(';').forEach(declaration => {
+            const [name, ...rest] = declaration.split(':');
+            const key = name && name.trim();
+            if (STYLE_PROPERTIES.includes(key) && rest.length > 0) {
+                style[key] = rest.join(':').trim();
+            }
+        });
+
+        // Opacity is not inherited but compounds down the tree
+        const opacity = parseFloat(style.opacity);
+        style.opacity = parentStyle.opacity * (isNaN(opacity) ? 1 : opacity);
+
+        return style;
+    }
+
+    /**
+     * Convert an SVG paint value to a hex color
+     * @param {string} value - Paint value
+     * @returns {string|null} Hex color, or null for no paint
+     */
+    static parseColor(value) {
+        if (!value || value === 'none' || value === 'transparent') return null;
+
+        // Gradients and patterns fall back to a neutral gray
+        if (value.startsWith('url(')) return '#808080';
+        if (value === 'currentColor') return '#000000';
+
+        if (!colorContext && typeof document !== 'undefined') {
+            colorContext = document.createElement('canvas').getContext('2d');
+        }
+        if (!colorContext) return value;
+
+        colorContext.fillStyle = '#000000';
+        colorContext.fillStyle = value;
+        const normalized = colorContext.fillStyle;
+
+        // Translucent colors come back as rgba(); keep just the color
+        const rgba = normalized.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+        if (rgba) {
+            return '#' + rgba.slice(1, 4).map(n => parseInt(n).toString(16).padStart(2, '0')).join('');
+        }
+        return normalized;
+    }
+
+    /**
+     * Parse a transform attribute into a matrix
+     * @param {string|null} transform - Transform list
+     * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+     */
+    static parseTransform(transform) {
+        let matrix = IDENTITY_MATRIX;
+        if (!transform) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(transform)) !== null) {
+            const args = this.parseNumbers(match[2]);
+            let next;
+
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? args : IDENTITY_MATRIX;
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale':
+                    next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                    break;
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const [cx = 0, cy = 0] = args.slice(1);
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiplyMatrices(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Multiply two affine matrices
+     * @param {Array<number>} m1 - Outer matrix
+     * @param {Array<number>} m2 - Inner matrix
+     * @returns {Array<number>} Product m1 × m2
+     */
+    static multiplyMatrices(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    /**
+     * Transform a point
+     * @param {Array<number>} matrix - Matrix
+     * @param {Object} point - Point {x, y}
+     * @returns {Object} Transformed point {x, y}
+     */
+    static applyMatrix(matrix, point) {
+        const [a, b, c, d, e, f] = matrix;
+        return {
+            x: a * point.x + c * point.y + e,
+            y: b * point.x + d * point.y + f
+        };
+    }
+
+    /**
+     * Check if a matrix keeps axes horizontal and vertical
+     * @param {Array<number>} matrix - Matrix
+     * @returns {boolean} True without rotation or skew
+     */
+    static isAxisAligned(matrix) {
+        return Math.abs(matrix[1]) < 1e-9 && Math.abs(matrix[2]) < 1e-9;
+    }
+
+    /**
+     * Get the average scale factor of a matrix
+     * @param {Array<number>} matrix - Matrix
+     * @returns {number} Scale
+     */
+    static getMatrixScale(matrix) {
+        return Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+    }
+
+    /**
+     * Parse a list of numbers separated by commas and/or whitespace
+     * @param {string|null} text - Number list
+     * @returns {Array<number>} Numbers
+     */
+    static parseNumbers(text) {
+        return (text || '').match(/-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g)?.map(Number) || [];
+    }
+
+    /**
+     * Parse path data into polylines, flattening curves and arcs
+     * @param {string} d - Path data
+     * @returns {Array} Subpaths {points, closed}
+     */
+    static parsePathData(d) {
+        const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+        const subpaths = [];
+        let subpath = null;
+        let command = null;
+        let i = 0;
+        let current = { x: 0, y: 0 };
+        let start = { x: 0, y: 0 };
+        let lastControl = null;
+        let lastCommand = null;
+
+        const isCommand = (token) => /^[a-z]$/i.test(token);
+        const next = () => parseFloat(tokens[i++]);
+        // Arc flags may be written without separators, e.g. "a1 1 0 01.5.5"
+        const nextFlag = () => {
+            const token = tokens[i];
+            if (token && token.length > 1 && (token[0] === '0' || token[0] === '1')) {
+                tokens[i] = token.slice(1);
+                return token[0] === '1';
+            }
+            i++;
+            return token === '1';
+        };
+        const lineTo = (point) => {
+            if (!subpath) {
+                subpath = { points: [{ ...current }], closed: false };
+                subpaths.push(subpath);
+            }
+            subpath.points.push(point);
+        };
+
+        while (i < tokens.length) {
+            if (isCommand(tokens[i])) {
+                command = tokens[i++];
+            } else if (!command || command === 'Z' || command === 'z') {
+                break;
+            }
+
+            const relative = command === command.toLowerCase();
+            const ox = relative ? current.x : 0;
+            const oy = relative ? current.y : 0;
+            const type = command.toUpperCase();
+            let control = null;
+
+            switch (type) {
+                case 'M':
+                    current = { x: next() + ox, y: next() + oy };
+                    start = { ...current };
+                    subpath = { points: [{ ...current }], closed: false };
+                    subpaths.push(subpath);
+                    // Further coordinate pairs are implicit line-tos
+                    command = relative ? 'l' : 'L';
+                    break;
+
+                case 'L':
+                    current = { x: next() + ox, y: next() + oy };
+                    lineTo(current);
+                    break;
+
+                case 'H':
+                    current = { x: next() + ox, y: current.y };
+                    lineTo(current);
+                    break;
+
+                case 'V':
+                    current = { x: current.x, y: next() + oy };
+                    lineTo(current);
+                    break;
+
+                case 'C':
+                case 'S': {
+                    let c1;
+                    if (type === 'C') {
+                        c1 = { x: next() + ox, y: next() + oy };
+                    } else {
+                        c1 = lastControl && 'CS'.includes(lastCommand)
+                            ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                            : { ...current };
+                    }
+                    const c2 = { x: next() + ox, y: next() + oy };
+                    const end = { x: next() + ox, y: next() + oy };
+
+                    this.sampleCurve(current, c1, c2, end).forEach(lineTo);
+                    control = c2;
+                    current = end;
+                    break;
+                }
+
+                case 'Q':
+                case 'T': {
+                    const c = type === 'Q'
+                        ? { x: next() + ox, y: next() + oy }
+                        : lastControl && 'QT'.includes(lastCommand)
+                            ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                            : { ...current };
+                    const end = { x: next() + ox, y: next() + oy };
+
+                    // Express the quadratic as a cubic
+                    const c1 = { x: current.x + (c.x - current.x) * 2 / 3, y: current.y + (c.y - current.y) * 2 / 3 };
+                    const c2 = { x: end.x + (c.x - end.x) * 2 / 3, y: end.y + (c.y - end.y) * 2 / 3 };
+                    this.sampleCurve(current, c1, c2, end).forEach(lineTo);
+                    control = c;
+                    current = end;
+                    break;
+                }
+
+                case 'A': {
+                    const rx = next();
+                    const ry = next();
+                    const rotation = next();
+                    const largeArc = nextFlag();
+                    const sweep = nextFlag();
+                    const end = { x: next() + ox, y: next() + oy };
+
+                    this.sampleArc(current, rx, ry, rotation, largeArc, sweep, end).forEach(lineTo);
+                    current = end;
+                    break;
+                }
+
+                case 'Z':
+                    if (subpath) {
+                        subpath.points.push({ ...start });
+                        subpath.closed = true;
+                    }
+                    current = { ...start };
+                    subpath = null;
+                    break;
+            }
+
+            if (isNaN(current.x) || isNaN(current.y)) {
+                // Malformed data: keep what was parsed so far
+                subpaths.forEach(path => {
+                    path.points = path.points.filter(point => !isNaN(point.x) && !isNaN(point.y));
+                });
+                break;
+            }
+
+            lastControl = control;
+            lastCommand = type;
+        }
+
+        return subpaths;
+    }
+
+    /**
+     * Sample a cubic Bézier curve, excluding its start point
+     * @param {Object} p0 - Start point
+     * @param {Object} p1 - First control point
+     * @param {Object} p2 - Second control point
+     * @param {Object} p3 - End point
+     * @returns {Array} Points
+     */
+    static sampleCurve(p0, p1, p2, p3) {
+        const points = [];
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+            const t = i / CURVE_SEGMENTS;
+            const mt = 1 - t;
+            points.push({
+                x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+                y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Sample an elliptical arc given in SVG endpoint form, excluding its start point
+     * @param {Object} from - Start point
+     * @param {number} rx - X radius
+     * @param {number} ry - Y radius
+     * @param {number} rotation - X axis rotation in degrees
+     * @param {boolean} largeArc - Large arc flag
+     * @param {boolean} sweep - Sweep flag
+     * @param {Object} to - End point
+     * @returns {Array} Points
+     */
+    static sampleArc(from, rx, ry, rotation, largeArc, sweep, to) {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) {
+            return [{ ...to }];
+        }
+
+        // Endpoint to center parameterization (SVG spec, appendix F.6.5)
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+
+        // Scale up radii that are too small to reach the end point
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = coef * rx * y1 / ry;
+        const cyp = -coef * ry * x1 / rx;
+        const cx = cos * cxp - sin * cyp + (from.x + to.x) / 2;
+        const cy = sin * cxp + cos * cyp + (from.y + to.y) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+        let delta = angle((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+        if (!sweep && delta > 0) delta -= Math.PI * 2;
+        if (sweep && delta < 0) delta += Math.PI * 2;
+
+        const segments = Math.max(4, Math.ceil(Math.abs(delta) / (Math.PI / CURVE_SEGMENTS)));
+        const points = [];
+        for (let i = 1; i < segments; i++) {
+            const t = theta + delta * i / segments;
+            points.push({
+                x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+                y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+            });
+        }
+        // End exactly on the target point
+        points.push({ ...to });
+        return points;
+    }
+}
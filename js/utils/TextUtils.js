@@ -0,0 +1,161 @@
+/**
+ * Default text object styling
+ */
+export const TEXT_DEFAULTS = {
+    fontFamily: 'Arial, sans-serif',
+    fontSize: 24,
+    fontWeight: 'normal',
+    textAlign: 'left',
+    color: '#000000',
+    wrap: false
+};
+
+/**
+ * Line height as a multiple of the font size
+ */
+const LINE_HEIGHT = 1.25;
+
+// Shared context used to measure text outside of rendering
+let measureContext = null;
+
+/**
+ * Utility functions for laying out and measuring text objects
+ */
+export class TextUtils {
+    /**
+     * Get text properties with defaults filled in
+     * @param {Object} properties - Text object properties
+     * @returns {Object} Complete text properties
+     */
+    static getTextProperties(properties = {}) {
+        return { ...TEXT_DEFAULTS, ...properties };
+    }
+
+    /**
+     * Build a CSS font string
+     * @param {Object} properties - Text properties
+     * @returns {string} Font string for canvas or CSS
+     */
+    static getFont(properties) {
+        const { fontWeight, fontSize, fontFamily } = this.getTextProperties(properties);
+        return `${fontWeight} ${fontSize}px ${fontFamily}`;
+    }
+
+    /**
+     * Get the line height in pixels
+     * @param {Object} properties - Text properties
+     * @returns {number} Line height
+     */
+    static getLineHeight(properties) {
+        return this.getTextProperties(properties).fontSize * LINE_HEIGHT;
+    }
+
+    /**
+     * Measure the width of a single line
+     * @param {string} text - Line text
+     * @param {Object} properties - Text properties
+     * @returns {number} Width in pixels
+     */
+    static measureLine(text, properties) {
+        const ctx = this.getMeasureContext();
+        if (!ctx) {
+            // Rough estimate when no canvas is available
+            return text.length * this.getTextProperties(properties).fontSize * 0.6;
+        }
+
+        ctx.font = this.getFont(properties);
+        return ctx.measureText(text).width;
+    }
+
+    /**
+     * Split text into lines, wrapping at word boundaries when a width is given
+     * @param {string} text - Text to lay out
+     * @param {Object} properties - Text properties
+     * @param {number|null} maxWidth - Wrap width, or null to only break at newlines
+     * @returns {Array<string>} Lines
+     */
+    static layoutLines(text, properties, maxWidth = null) {
+        const paragraphs = (text || '').split('\n');
+        if (!maxWidth) return paragraphs;
+
+        return paragraphs.flatMap(paragraph => this.wrapParagraph(paragraph, properties, maxWidth));
+    }
+
+    /**
+     * Wrap a single paragraph to a width. Words longer than the width are broken.
+     * @param {string} paragraph - Paragraph without newlines
+     * @param {Object} properties - Text properties
+     * @param {number} maxWidth - Wrap width
+     * @returns {Array<string>} Lines
+     */
+    static wrapParagraph(paragraph, properties, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        paragraph.split(/(\s+)/).forEach(token => {
+            if (token === '') return;
+
+            const candidate = line + token;
+            if (this.measureLine(candidate, properties) <= maxWidth || line.trim() === '') {
+                line = candidate;
+            } else {
+                lines.push(line.trimEnd());
+                line = token.trim() === '' ? '' : token;
+            }
+
+            // Break words that don't fit on a line of their own
+            while (line.length > 1 && this.measureLine(line, properties) > maxWidth) {
+                let end = line.length - 1;
+                while (end > 1 && this.measureLine(line.slice(0, end), properties) > maxWidth) {
+                    end--;
+                }
+                lines.push(line.slice(0, end));
+                line = line.slice(end);
+            }
+        });
+
+        lines.push(line.trimEnd());
+        return lines;
+    }
+
+    /**
+     * Lay out a text object
+     * @param {string} text - Text
+     * @param {Object} properties - Text properties
+     * @param {number|null} maxWidth - Wrap width, or null to size to the longest line
+     * @returns {Object} Layout {lines, width, height, lineHeight}
+     */
+    static measureText(text, properties, maxWidth = null) {
+        const lines = this.layoutLines(text, properties, maxWidth);
+        const lineHeight = this.getLineHeight(properties);
+        const width = maxWidth || Math.max(0, ...lines.map(line => this.measureLine(line, properties)));
+
+        return {
+            lines,
+            width,
+            height: lines.length * lineHeight,
+            lineHeight
+        };
+    }
+
+    /**
+     * Lay out a text object using its own wrap settings
+     * @param {Object} obj - Text object
+     * @returns {Object} Layout {lines, width, height, lineHeight}
+     */
+    static measureTextObject(obj) {
+        const properties = this.getTextProperties(obj.properties);
+        return this.measureText(obj.text, properties, properties.wrap ? obj.width : null);
+    }
+
+    /**
+     * Get the shared measuring context
+     * @returns {CanvasRenderingContext2D|null} Context, or null outside the browser
+     */
+    static getMeasureContext() {
+        if (!measureContext && typeof document !== 'undefined') {
+            measureContext = document.createElement('canvas').getContext('2d');
+        }
+        return measureContext;
+    }
+}